@@ -6,9 +6,18 @@
  * - basic(): Intent + mock responses (no MCP required)
  * - standard(): Intent + real LLM answers (phi4 required)
  * - full(): All nodes enabled (all MCP services required)
+ * 
+ * Plus automation(): the command_automate loop on its own, embeddable as a subgraph,
+ * and fromDefinition(): a graph described by a JSON / YAML document
  */
 
 const StateGraph = require('./core/StateGraph');
+const { withAbortSignal, raceAbort } = require('./core/abort');
+const { loadGraphDefinition, buildGraphDefinition } = require('./core/graphDefinition');
+const pruneGraph = require('./core/pruneGraph');
+const IntentRouteRegistry = require('./core/IntentRouteRegistry');
+const AdaptiveGraph = require('./core/AdaptiveGraph');
+const PluginRegistry = require('./core/PluginRegistry');
 const MockMCPAdapter = require('./adapters/MockMCPAdapter');
 const parseIntentNode = require('./nodes/parseIntent');
 const answerNode = require('./nodes/answer');
@@ -28,7 +37,311 @@ const evaluateSkillsNode = require('./nodes/evaluateSkills');
 const creatorPlanningNode = require('./nodes/creatorPlanning');
 const gatherContextNode = require('./nodes/gatherContext');
 
+// Visits to recoverSkill per run in the command_automate loop: MAX_REPLANS (10) replans,
+// each after a few step retries. A run past this keeps failing without converging.
+const RECOVER_SKILL_MAX_VISITS = 30;
+
+/**
+ * Default node policies for full()
+ * Enrichment nodes degrade instead of killing the run when their service hangs:
+ * - resolveReferences: skip coreference, continue with the raw message
+ * - webSearch: retried once; in the question fan-out a failure only lands in
+ *   parallelErrors, on its own it falls back to retrieveMemory
+ * - recoverSkill: capped at RECOVER_SKILL_MAX_VISITS (see below)
+ */
+const FULL_NODE_POLICIES = {
+  resolveReferences: { timeoutMs: 10000, fallback: 'parseSkill' },
+  // parseIntent/webSearch results are memoized when options.cacheEnabled is set
+  parseIntent: { cacheKey: (state) => state.carriedIntent ? null : normalizeCacheText(state.resolvedMessage || state.message) },
+  webSearch: {
+    timeoutMs: 15000, maxRetries: 1, backoff: 'exponential', backoffMs: 500, fallback: 'retrieveMemory',
+    cacheKey: (state) => normalizeCacheText(state.message)
+  },
+  recoverSkill: { maxVisits: RECOVER_SKILL_MAX_VISITS }
+};
+
+/**
+ * Where full() sends runs headed for a disabled node when following the node's
+ * own edge would be wrong: without a planner or executor, automation requests
+ * get a conversational answer instead of looping back into the missing node.
+ * Other disabled nodes are skipped along their own edge (see core/pruneGraph.js).
+ */
+const FULL_NODE_FALLBACKS = {
+  planSkills: 'answer',
+  executeCommand: 'answer'
+};
+
+/**
+ * The enrichIntent routes of full()
+ * Unresolved enrichment gaps go to logConversation first (the question is
+ * surfaced to the user); unknown intents go to retrieveMemory.
+ * @param {Object} logger - Logger
+ * @returns {IntentRouteRegistry}
+ */
+function fullIntentRoutes(logger) {
+  const routes = new IntentRouteRegistry({ logger, defaultRoute: 'retrieveMemory' });
+
+  // Enrichment gaps remain — ask user first, whatever the intent
+  routes.register('*', {
+    name: 'enrichment gaps → ask user',
+    to: 'logConversation',
+    when: (state) => Array.isArray(state.enrichmentNeeded) && state.enrichmentNeeded.length > 0,
+    priority: 100
+  });
+
+  // MODE B re-route or MODE A success: command_automate with profile complete — proceed to plan.
+  // Skill already installed (parseSkill matched) — skip gatherContext + creatorPlanning,
+  // go straight to planSkills which will emit external.skill as the only step.
+  routes.register('command_automate', { name: 'installed skill → planSkills', to: 'planSkills', when: (state) => !!state.matchedSkillName, priority: 10 });
+  routes.register('command_automate', { to: 'gatherContext' });
+
+  routes.register('memory_store', { to: 'storeMemory' });
+  routes.register('memory_retrieve', { to: 'retrieveMemory' });
+  routes.register(['command_execute', 'command_guide'], { to: 'executeCommand' });
+  routes.register('screen_intelligence', { to: 'screenIntelligence' });
+  // Search and memory lookup are independent — run them together and join at answer
+  routes.register(['web_search', 'question', 'general_knowledge'], {
+    to: StateGraph.parallel(['webSearch', 'retrieveMemory'], { join: 'answer' })
+  });
+  routes.register('greeting', { to: 'answer' });
+  return routes;
+}
+
+/**
+ * MCP services each full() node cannot work without (auto() skips the node
+ * when one is down). Optional lookups a node survives without — user-memory
+ * in answer or parseIntent — are not listed; every node except parseIntent
+ * also needs the LLM, which auto() checks separately.
+ */
+const NODE_SERVICES = {
+  resolveReferences: ['coreference'],
+  parseSkill: ['user-memory'],
+  parseIntent: [],
+  enrichIntent: ['user-memory'],
+  retrieveMemory: ['user-memory'],
+  storeMemory: ['user-memory'],
+  webSearch: ['web-search'],
+  gatherContext: ['command'],
+  creatorPlanning: ['command'],
+  planSkills: ['command'],
+  executeCommand: ['command'],
+  recoverSkill: ['command'],
+  evaluateSkills: ['command'],
+  screenIntelligence: ['screen-intelligence'],
+  synthesize: [],
+  answer: [],
+  logConversation: ['conversation']
+};
+
+// Iteration limit for graphs running the command_automate loop — every plan step is one
+// executeCommand iteration, so long browser plans outgrow the engine default of 50.
+// The repeated-state loop guard does not help here: every executeCommand ⇄ recoverSkill
+// pass changes skillResults, stepRetryCount or replanCount, so its fingerprint never
+// repeats. That loop is bounded by MAX_REPLANS in recoverSkill and by
+// RECOVER_SKILL_MAX_VISITS; this limit is the backstop.
+const AUTOMATION_MAX_ITERATIONS = 150;
+
+/** Normalize a message for use as a cache key (case and whitespace insensitive) */
+function normalizeCacheText(text) {
+  return text ? String(text).toLowerCase().replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Dependencies injected into a node call
+ * The adapter and backend are bound to the run's abort signal, so a cancelled
+ * run also stops in-flight service calls and LLM streams.
+ */
+function runDeps(state, logger, mcpAdapter, llmBackend) {
+  const deps = { logger, mcpAdapter: withAbortSignal(mcpAdapter, state.abortSignal) };
+  if (llmBackend !== undefined) deps.llmBackend = withAbortSignal(llmBackend, state.abortSignal);
+  return deps;
+}
+
+/**
+ * Engine options every builder forwards to StateGraph
+ * @param {Object} options - Builder options
+ * @param {Object} logger - Resolved logger
+ * @param {Object} mcpAdapter - Resolved MCP adapter
+ * @returns {Object} StateGraph options
+ */
+function engineOptions(options, logger, mcpAdapter) {
+  return {
+    logger,
+    mcpAdapter,
+    debug: options.debug || false,
+    checkpointer: options.checkpointer || null,
+    journal: options.journal,
+    cacheEnabled: options.cacheEnabled,
+    cacheTTL: options.cacheTTL,
+    cacheMaxSize: options.cacheMaxSize,
+    verboseTrace: options.verboseTrace,
+    tracer: options.tracer,
+    metrics: options.metrics,
+    maxIterations: options.maxIterations,
+    loopDetection: options.loopDetection,
+    stateSchema: options.stateSchema,
+    nodePolicies: options.nodePolicies
+  };
+}
+
+/**
+ * Built-in nodes by registered name — graph definitions reference nodes by these names
+ * usesLLM: the node also receives llmBackend
+ */
+const NODE_REGISTRY = {
+  resolveReferences: { node: resolveReferencesNode },
+  parseSkill: { node: parseSkillNode, usesLLM: true },
+  parseIntent: { node: parseIntentNode, usesLLM: true },
+  enrichIntent: { node: enrichIntentNode },
+  retrieveMemory: { node: retrieveMemoryNode },
+  storeMemory: { node: storeMemoryNode },
+  webSearch: { node: webSearchNode },
+  gatherContext: { node: gatherContextNode, usesLLM: true },
+  creatorPlanning: { node: creatorPlanningNode },
+  planSkills: { node: planSkillsNode, usesLLM: true },
+  executeCommand: { node: executeCommandNode, usesLLM: true },
+  recoverSkill: { node: recoverSkillNode, usesLLM: true },
+  evaluateSkills: { node: evaluateSkillsNode, usesLLM: true },
+  screenIntelligence: { node: screenIntelligenceNode },
+  synthesize: { node: synthesizeNode, usesLLM: true },
+  answer: { node: answerNode, usesLLM: true },
+  logConversation: { node: logConversationNode }
+};
+
+// Plugins registered with StateGraphBuilder.use() — used by graphs built without options.plugins
+const sharedPlugins = new PluginRegistry();
+
+/**
+ * The plugin registry a graph uses
+ * @param {Array<Object>|PluginRegistry|undefined} plugins - options.plugins
+ * @param {Object} logger - Logger
+ * @returns {PluginRegistry}
+ */
+function resolvePlugins(plugins, logger) {
+  if (plugins instanceof PluginRegistry) return plugins;
+  if (Array.isArray(plugins)) return new PluginRegistry({ plugins, logger });
+  return sharedPlugins;
+}
+
+/**
+ * Node functions for the command_automate loop
+ * Shared by full() and automation() so both run the exact same wiring.
+ * planSkills and executeCommand also get the plugin registry (plugin skills and planner prompts).
+ */
+function automationNodes(logger, mcpAdapter, llmBackend, plugins) {
+  return {
+    gatherContext: (state) => gatherContextNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+    creatorPlanning: (state) => creatorPlanningNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+    planSkills: (state) => planSkillsNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend), plugins }),
+    executeCommand: (state) => executeCommandNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend), plugins }),
+    recoverSkill: (state) => recoverSkillNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+    evaluateSkills: (state) => evaluateSkillsNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) })
+  };
+}
+
+/**
+ * Edges for the command_automate loop
+ * @param {Object} logger - Logger for routing decisions
+ * @param {string} exitNode - Where the loop hands off when it is done or needs the user
+ *   ('logConversation' inside full(), 'end' for the standalone automation() graph)
+ */
+function automationEdges(logger, exitNode) {
+  return {
+    // gatherContext → planSkills (EXECUTE one-shot) or creatorPlanning (BUILD new skill)
+    gatherContext: StateGraph.route(['planSkills', 'creatorPlanning'], (state) => {
+      if (state.gatherContextSkipped) {
+        logger.debug('[StateGraph:Router] gatherContext skipped (EXECUTE task) — routing direct to planSkills');
+        return 'planSkills';
+      }
+      return 'creatorPlanning';
+    }),
+
+    // creatorPlanning → planSkills (pass/warnings) or exit (reviewer fail)
+    creatorPlanning: StateGraph.route([exitNode, 'planSkills'], (state) => {
+      if (state.planError) {
+        logger.debug(`[StateGraph:Router] creatorPlanning reviewer blocked: ${state.planError}`);
+        return exitNode;
+      }
+      return 'planSkills';
+    }),
+
+    // planSkills → executeCommand (plan ready) or exit (plan error)
+    planSkills: StateGraph.route([exitNode, 'executeCommand'], (state) => {
+      if (state.planError && !state.skillPlan) {
+        logger.debug(`[StateGraph:Router] planSkills failed: ${state.planError}`);
+        return exitNode;
+      }
+      return 'executeCommand';
+    }),
+
+    // executeCommand cycle: next step, recover on failure, or done
+    executeCommand: StateGraph.route(['recoverSkill', 'executeCommand', 'evaluateSkills'], (state) => {
+      // Step failed — route to recovery
+      if (state.failedStep) {
+        return 'recoverSkill';
+      }
+      // More steps remaining — loop back
+      if (Array.isArray(state.skillPlan) && state.skillCursor < state.skillPlan.length) {
+        return 'executeCommand';
+      }
+      // All steps done — evaluate result quality before logging
+      if (state.commandExecuted || state.answer) {
+        return 'evaluateSkills';
+      }
+      return 'evaluateSkills';
+    }),
+
+    // evaluateSkills: PASS/ASK_USER → done, FIX → replan with stored context rule
+    // Special case: failure-path PASS (no rule derived) still routes to planSkills
+    // because recoveryContext from recoverSkill is still set for the replan.
+    evaluateSkills: StateGraph.route(['planSkills', exitNode], (state) => {
+      const verdict = state.evaluationVerdict;
+      if (verdict === 'FIX' && state.evaluationFix) {
+        logger.info(`[StateGraph:Router] evaluateSkills FIX → planSkills (retry ${state.evaluationRetryCount})`);
+        return 'planSkills';
+      }
+      // recoverSkill set recoveryAction='replan' — evaluateSkills was inserted in that path.
+      // If no FIX rule was derived (PASS fallback), still continue to planSkills with recoveryContext.
+      if (verdict === 'PASS' && state.recoveryAction === 'replan' && state.recoveryContext) {
+        logger.debug('[StateGraph:Router] evaluateSkills PASS (failure path) → planSkills with recoveryContext');
+        return 'planSkills';
+      }
+      return exitNode;
+    }),
+
+    // recoverSkill → retry step, replan (via evaluateSkills for FIX rule), or surface question to user
+    recoverSkill: StateGraph.route(['executeCommand', 'evaluateSkills', exitNode], (state) => {
+      const action = state.recoveryAction;
+      if (action === 'auto_patch') {
+        logger.debug('[StateGraph:Router] Recovery: auto_patch → retry executeCommand');
+        return 'executeCommand';
+      }
+      if (action === 'replan') {
+        // Route through evaluateSkills so it can judge the failure and save a context rule.
+        // evaluateSkills detects evaluationFromFailure=true and uses the failure-path prompt.
+        // From there: FIX → planSkills (with saved rule), PASS → planSkills, ASK_USER → exit.
+        logger.debug('[StateGraph:Router] Recovery: replan → evaluateSkills (failure judge) → planSkills');
+        return 'evaluateSkills';
+      }
+      // ask_user: state.answer is already set with the question
+      logger.debug(`[StateGraph:Router] Recovery: ask_user → ${exitNode}`);
+      return exitNode;
+    })
+  };
+}
+
 class StateGraphBuilder {
+  /**
+   * Register a plugin for every graph built afterwards (see core/PluginRegistry.js)
+   * Graphs given options.plugins use that list instead.
+   * @param {Object} plugin - { name, nodes, edges, routes, skills, plannerPrompt }
+   * @returns {typeof StateGraphBuilder} StateGraphBuilder, for chaining
+   */
+  static use(plugin) {
+    sharedPlugins.use(plugin);
+    return StateGraphBuilder;
+  }
+
   /**
    * Create a minimal graph for intent classification testing
    * No MCP services required - uses rule-based fallback
@@ -36,6 +349,7 @@ class StateGraphBuilder {
    * @param {Object} options - Configuration options
    * @param {Object} options.logger - Custom logger (default: console)
    * @param {Object} options.mcpAdapter - MCP adapter (default: null for fallback)
+   * @param {Object} options.checkpointer - Checkpointer for durable runs (default: none)
    * @returns {StateGraph} Configured graph
    */
   static minimal(options = {}) {
@@ -47,8 +361,8 @@ class StateGraphBuilder {
     
     // Minimal nodes: just parseIntent → answer
     const nodes = {
-      parseIntent: (state) => parseIntentNode({ ...state, logger, mcpAdapter, llmBackend }),
-      answer: (state) => answerNode({ ...state, logger, mcpAdapter, llmBackend })
+      parseIntent: (state) => parseIntentNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      answer: (state) => answerNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) })
     };
     
     // Simple linear flow
@@ -58,11 +372,7 @@ class StateGraphBuilder {
       answer: 'end'
     };
     
-    return new StateGraph(nodes, edges, {
-      logger,
-      mcpAdapter,
-      debug: options.debug || false
-    });
+    return new StateGraph(nodes, edges, engineOptions(options, logger, mcpAdapter));
   }
 
   /**
@@ -81,8 +391,8 @@ class StateGraphBuilder {
     
     // Basic nodes: parseIntent → answer with mock data
     const nodes = {
-      parseIntent: (state) => parseIntentNode({ ...state, logger, mcpAdapter, llmBackend }),
-      answer: (state) => answerNode({ ...state, logger, mcpAdapter, llmBackend })
+      parseIntent: (state) => parseIntentNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      answer: (state) => answerNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) })
     };
     
     const edges = {
@@ -91,11 +401,7 @@ class StateGraphBuilder {
       answer: 'end'
     };
     
-    return new StateGraph(nodes, edges, {
-      logger,
-      mcpAdapter,
-      debug: options.debug || false
-    });
+    return new StateGraph(nodes, edges, engineOptions(options, logger, mcpAdapter));
   }
 
   /**
@@ -119,10 +425,10 @@ class StateGraphBuilder {
     
     // Standard nodes: parseIntent → retrieveMemory → answer → logConversation
     const nodes = {
-      parseIntent: (state) => parseIntentNode({ ...state, logger, mcpAdapter, llmBackend }),
-      retrieveMemory: (state) => retrieveMemoryNode({ ...state, logger, mcpAdapter }),
-      answer: (state) => answerNode({ ...state, logger, mcpAdapter, llmBackend }),
-      logConversation: (state) => logConversationNode({ ...state, logger, mcpAdapter })
+      parseIntent: (state) => parseIntentNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      retrieveMemory: (state) => retrieveMemoryNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      answer: (state) => answerNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      logConversation: (state) => logConversationNode({ ...state, ...runDeps(state, logger, mcpAdapter) })
     };
     
     const edges = {
@@ -133,11 +439,7 @@ class StateGraphBuilder {
       logConversation: 'end'
     };
     
-    return new StateGraph(nodes, edges, {
-      logger,
-      mcpAdapter,
-      debug: options.debug || false
-    });
+    return new StateGraph(nodes, edges, engineOptions(options, logger, mcpAdapter));
   }
 
   /**
@@ -146,8 +448,18 @@ class StateGraphBuilder {
    * 
    * @param {Object} options - Configuration options
    * @param {Object} options.mcpAdapter - MCP adapter (required)
-   * @param {Array<string>} options.enabledNodes - Nodes to enable (default: all)
-   * @returns {StateGraph} Configured graph
+   * @param {Array<string>} options.enabledNodes - Nodes to enable (default: all); edges into
+   *   disabled nodes are rerouted to the nearest enabled node
+   * @param {Object} options.overrides - Replace built-in wiring: { nodes: { name: fn }, edges: { name: edge } }
+   * @param {Array<Object>|IntentRouteRegistry} options.intentRoutes - Extra routes
+   *   ([{ intent, to, when, priority }], registered over the built-ins) or a registry replacing them
+   *   (plugin routes are then left to the caller)
+   * @param {Array<Object>|PluginRegistry} options.plugins - Plugins (default: those registered with use())
+   * @param {Object} options.nodePolicies - Per-node timeout/retry/fallback policies (merged over defaults)
+   * @param {boolean|Object} options.journal - Journal progress to voice-state.json and honour voice signals
+   * @param {boolean} options.cacheEnabled - Memoize parseIntent/webSearch results (cacheTTL, cacheMaxSize)
+   * @returns {StateGraph} Configured graph; graph.topology reports the nodes, reroutes and overrides
+   *   in effect, graph.intentRoutes is the registry the enrichIntent router reads
    */
   static full(options = {}) {
     const logger = options.logger || console;
@@ -159,183 +471,69 @@ class StateGraphBuilder {
     }
     
     logger.debug(`[StateGraphBuilder] Creating FULL graph (all nodes enabled, llmBackend: ${llmBackend ? llmBackend.getInfo().name : 'MCPLLMBackend/phi4'})`);
+
+    const plugins = resolvePlugins(options.plugins, logger);
     
     // Full nodes with intent-based routing
     const nodes = {
-      resolveReferences: (state) => resolveReferencesNode({ ...state, logger, mcpAdapter }),
-      parseSkill: (state) => parseSkillNode({ ...state, logger, mcpAdapter, llmBackend }),
-      parseIntent: (state) => parseIntentNode({ ...state, logger, mcpAdapter, llmBackend }),
-      enrichIntent: (state) => enrichIntentNode({ ...state, logger, mcpAdapter }),
-      retrieveMemory: (state) => retrieveMemoryNode({ ...state, logger, mcpAdapter }),
-      storeMemory: (state) => storeMemoryNode({ ...state, logger, mcpAdapter }),
-      webSearch: (state) => webSearchNode({ ...state, logger, mcpAdapter }),
-      gatherContext: (state) => gatherContextNode({ ...state, logger, mcpAdapter, llmBackend }),
-      creatorPlanning: (state) => creatorPlanningNode({ ...state, logger, mcpAdapter }),
-      planSkills: (state) => planSkillsNode({ ...state, logger, mcpAdapter, llmBackend }),
-      executeCommand: (state) => executeCommandNode({ ...state, logger, mcpAdapter, llmBackend }),
-      recoverSkill: (state) => recoverSkillNode({ ...state, logger, mcpAdapter, llmBackend }),
-      evaluateSkills: (state) => evaluateSkillsNode({ ...state, logger, mcpAdapter, llmBackend }),
-      screenIntelligence: (state) => screenIntelligenceNode({ ...state, logger, mcpAdapter }),
-      synthesize: (state) => synthesizeNode({ ...state, logger, mcpAdapter, llmBackend }),
-      answer: (state) => answerNode({ ...state, logger, mcpAdapter, llmBackend }),
-      logConversation: (state) => logConversationNode({ ...state, logger, mcpAdapter })
+      resolveReferences: (state) => resolveReferencesNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      parseSkill: (state) => parseSkillNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      parseIntent: (state) => parseIntentNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      enrichIntent: (state) => enrichIntentNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      retrieveMemory: (state) => retrieveMemoryNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      storeMemory: (state) => storeMemoryNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      webSearch: (state) => webSearchNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      ...automationNodes(logger, mcpAdapter, llmBackend, plugins),
+      screenIntelligence: (state) => screenIntelligenceNode({ ...state, ...runDeps(state, logger, mcpAdapter) }),
+      synthesize: (state) => synthesizeNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      answer: (state) => answerNode({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) }),
+      logConversation: (state) => logConversationNode({ ...state, ...runDeps(state, logger, mcpAdapter) })
     };
     
     // Intent-based routing (matches DistilBERT classifier intents)
+    const intentRoutes = options.intentRoutes instanceof IntentRouteRegistry
+      ? options.intentRoutes
+      : fullIntentRoutes(logger);
+    if (!(options.intentRoutes instanceof IntentRouteRegistry)) {
+      for (const { intent, ...routeSpec } of [...plugins.routes(), ...(options.intentRoutes || [])]) {
+        intentRoutes.register(intent, routeSpec);
+      }
+    }
+
     const edges = {
       start: 'resolveReferences',
       resolveReferences: 'parseSkill',
-      parseSkill: (state) => {
+      parseSkill: StateGraph.route(['enrichIntent', 'parseIntent'], (state) => {
         // If parseSkill matched an installed skill, skip parseIntent entirely
         if (state.matchedSkillName) {
           logger.debug(`[StateGraph:Router] parseSkill matched "${state.matchedSkillName}" — skipping to enrichIntent`);
           return 'enrichIntent';
         }
         return 'parseIntent';
-      },
+      }),
       parseIntent: 'enrichIntent',
 
-      // enrichIntent router: handles MODE B re-routing + MODE A gap/resolve routing
-      enrichIntent: (state) => {
-        const intentType = state.intent?.type || 'general_query';
-        logger.debug(`[StateGraph:Router] enrichIntent exit — intent: ${intentType}`);
-
-        // Enrichment gaps remain — ask user first (surface the question via logConversation)
-        if (Array.isArray(state.enrichmentNeeded) && state.enrichmentNeeded.length > 0) {
-          logger.debug('[StateGraph:Router] enrichIntent: gaps unresolved — asking user');
-          return 'logConversation';
-        }
-
-        // MODE B re-route: enrichIntent stored answers and set intent=command_automate
-        // or MODE A success: command_automate with profile complete — proceed to plan
-        if (intentType === 'command_automate') {
-          // Skill already installed (parseSkill matched) — skip gatherContext + creatorPlanning,
-          // go straight to planSkills which will emit external.skill as the only step.
-          if (state.matchedSkillName) {
-            logger.debug(`[StateGraph:Router] enrichIntent: matchedSkillName="${state.matchedSkillName}" — skipping to planSkills`);
-            return 'planSkills';
-          }
-          logger.debug('[StateGraph:Router] enrichIntent: command_automate, no skill match — gatherContext');
-          return 'gatherContext';
-        }
-
-        // All other intents: route the same as parseIntent used to
-        if (intentType === 'memory_store') {
-          return 'storeMemory';
-        }
-        if (intentType === 'memory_retrieve') {
-          return 'retrieveMemory';
-        }
-        if (intentType === 'command_execute' || intentType === 'command_guide') {
-          return 'executeCommand';
-        }
-        if (intentType === 'screen_intelligence') {
-          return 'screenIntelligence';
-        }
-        if (intentType === 'web_search' || intentType === 'question' || intentType === 'general_knowledge') {
-          return 'webSearch';
-        }
-        if (intentType === 'greeting') {
-          return 'answer';
-        }
-        return 'retrieveMemory';
-      },
+      // enrichIntent router: handles MODE B re-routing + MODE A gap/resolve routing (see fullIntentRoutes)
+      enrichIntent: intentRoutes.router('enrichIntent'),
 
       // Memory store path: store → logConversation → end
       storeMemory: 'logConversation',
       
-      // gatherContext → planSkills (EXECUTE one-shot) or creatorPlanning (BUILD new skill)
-      gatherContext: (state) => {
-        if (state.gatherContextSkipped) {
-          logger.debug('[StateGraph:Router] gatherContext skipped (EXECUTE task) — routing direct to planSkills');
-          return 'planSkills';
-        }
-        return 'creatorPlanning';
-      },
-
-      // creatorPlanning → planSkills (pass/warnings) or logConversation (reviewer fail)
-      creatorPlanning: (state) => {
-        if (state.planError) {
-          logger.debug(`[StateGraph:Router] creatorPlanning reviewer blocked: ${state.planError}`);
-          return 'logConversation';
-        }
-        return 'planSkills';
-      },
-
-      // planSkills → executeCommand (plan ready) or logConversation (plan error)
-      planSkills: (state) => {
-        if (state.planError && !state.skillPlan) {
-          logger.debug(`[StateGraph:Router] planSkills failed: ${state.planError}`);
-          return 'logConversation';
-        }
-        return 'executeCommand';
-      },
-
-      // executeCommand cycle: next step, recover on failure, or done
-      executeCommand: (state) => {
-        // Step failed — route to recovery
-        if (state.failedStep) {
-          return 'recoverSkill';
-        }
-        // More steps remaining — loop back
-        if (Array.isArray(state.skillPlan) && state.skillCursor < state.skillPlan.length) {
-          return 'executeCommand';
-        }
-        // All steps done — evaluate result quality before logging
-        if (state.commandExecuted || state.answer) {
-          return 'evaluateSkills';
-        }
-        return 'evaluateSkills';
-      },
-
-      // evaluateSkills: PASS/ASK_USER → done, FIX → replan with stored context rule
-      // Special case: failure-path PASS (no rule derived) still routes to planSkills
-      // because recoveryContext from recoverSkill is still set for the replan.
-      evaluateSkills: (state) => {
-        const verdict = state.evaluationVerdict;
-        if (verdict === 'FIX' && state.evaluationFix) {
-          logger.info(`[StateGraph:Router] evaluateSkills FIX → planSkills (retry ${state.evaluationRetryCount})`);
-          return 'planSkills';
-        }
-        // recoverSkill set recoveryAction='replan' — evaluateSkills was inserted in that path.
-        // If no FIX rule was derived (PASS fallback), still continue to planSkills with recoveryContext.
-        if (verdict === 'PASS' && state.recoveryAction === 'replan' && state.recoveryContext) {
-          logger.debug('[StateGraph:Router] evaluateSkills PASS (failure path) → planSkills with recoveryContext');
-          return 'planSkills';
-        }
-        return 'logConversation';
-      },
-
-      // recoverSkill → retry step, replan (via evaluateSkills for FIX rule), or surface question to user
-      recoverSkill: (state) => {
-        const action = state.recoveryAction;
-        if (action === 'auto_patch') {
-          logger.debug('[StateGraph:Router] Recovery: auto_patch → retry executeCommand');
-          return 'executeCommand';
-        }
-        if (action === 'replan') {
-          // Route through evaluateSkills so it can judge the failure and save a context rule.
-          // evaluateSkills detects evaluationFromFailure=true and uses the failure-path prompt.
-          // From there: FIX → planSkills (with saved rule), PASS → planSkills, ASK_USER → logConversation.
-          logger.debug('[StateGraph:Router] Recovery: replan → evaluateSkills (failure judge) → planSkills');
-          return 'evaluateSkills';
-        }
-        // ask_user: state.answer is already set with the question
-        logger.debug('[StateGraph:Router] Recovery: ask_user → logConversation');
-        return 'logConversation';
-      },
+      // Automation loop: gatherContext → creatorPlanning → planSkills → executeCommand ⇄ recoverSkill → evaluateSkills
+      ...automationEdges(logger, 'logConversation'),
       
       // Screen intelligence path
-      screenIntelligence: (state) => {
+      screenIntelligence: StateGraph.route(['logConversation', 'answer'], (state) => {
         // If already has answer (from vision API), log and end
         if (state.answer) {
           return 'logConversation';
         }
         // Otherwise, process with LLM
         return 'answer';
-      },
+      }),
       
-      // Web search path
+      // Web search path (only used when webSearch runs on its own — the
+      // enrichIntent router normally fans out webSearch + retrieveMemory → answer)
       webSearch: 'retrieveMemory',
       
       // Standard path: all roads lead to logConversation before end
@@ -344,12 +542,192 @@ class StateGraphBuilder {
       synthesize: 'logConversation',
       logConversation: 'end'
     };
+
+    // Plugin nodes join the graph with their own edges (and may be overridden or disabled like built-ins)
+    const pluginEdges = plugins.edges();
+    for (const [name, spec] of Object.entries(plugins.nodes())) {
+      if (nodes[name]) {
+        throw new Error(`[StateGraphBuilder] Plugin ${spec.plugin} defines node ${name}, which full() already has`);
+      }
+      if (!pluginEdges[name]) {
+        throw new Error(`[StateGraphBuilder] Plugin ${spec.plugin}: node ${name} needs an edge for full()`);
+      }
+      nodes[name] = (state) => spec.node({ ...state, ...runDeps(state, logger, mcpAdapter, spec.usesLLM ? llmBackend : undefined), plugins });
+      edges[name] = pluginEdges[name];
+    }
+
+    // Overrides replace built-in nodes and routers before pruning, so their edges are rerouted too
+    const overrides = options.overrides || {};
+    for (const [name, fn] of Object.entries(overrides.nodes || {})) {
+      if (!nodes[name]) {
+        throw new Error(`[StateGraphBuilder] overrides.nodes.${name}: full() has no node ${name}`);
+      }
+      nodes[name] = (state) => fn({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) });
+    }
+    for (const [name, edge] of Object.entries(overrides.edges || {})) {
+      if (name !== 'start' && !nodes[name]) {
+        throw new Error(`[StateGraphBuilder] overrides.edges.${name}: full() has no node ${name}`);
+      }
+      edges[name] = edge;
+    }
+
+    let graphNodes = nodes;
+    let graphEdges = edges;
+    let nodePolicies = { ...FULL_NODE_POLICIES, ...(options.nodePolicies || {}) };
+    let reroutes = {};
+    if (Array.isArray(options.enabledNodes)) {
+      ({ nodes: graphNodes, edges: graphEdges, nodePolicies, reroutes } = pruneGraph(
+        { nodes, edges, nodePolicies }, options.enabledNodes, { fallbacks: FULL_NODE_FALLBACKS, logger }
+      ));
+    }
+
+    const topology = {
+      enabledNodes: Object.keys(graphNodes),
+      disabledNodes: Object.keys(reroutes),
+      reroutes,
+      overrides: { nodes: Object.keys(overrides.nodes || {}), edges: Object.keys(overrides.edges || {}) }
+    };
+    if (topology.disabledNodes.length > 0 || topology.overrides.nodes.length > 0 || topology.overrides.edges.length > 0) {
+      const rerouted = Object.entries(reroutes).map(([name, targets]) => `${name} → ${targets.join(' | ') || 'end'}`);
+      logger.info(`[StateGraphBuilder] FULL graph: ${topology.enabledNodes.length}/${Object.keys(nodes).length} nodes enabled` +
+        (rerouted.length > 0 ? `; rerouted ${rerouted.join(', ')}` : '') +
+        (topology.overrides.nodes.length > 0 ? `; overridden nodes: ${topology.overrides.nodes.join(', ')}` : '') +
+        (topology.overrides.edges.length > 0 ? `; overridden edges: ${topology.overrides.edges.join(', ')}` : ''));
+    }
     
-    return new StateGraph(nodes, edges, {
-      logger,
-      mcpAdapter,
-      debug: options.debug || false
+    const graph = new StateGraph(graphNodes, graphEdges, {
+      ...engineOptions(options, logger, mcpAdapter),
+      maxIterations: options.maxIterations || AUTOMATION_MAX_ITERATIONS,
+      nodePolicies
+    });
+    graph.topology = topology;
+    graph.intentRoutes = intentRoutes;
+    return graph.compile();
+  }
+
+  /**
+   * Pick the richest profile an environment can serve
+   * Without an LLM only intent classification works ('minimal'); otherwise the
+   * full graph, minus the nodes whose services are down ('partial').
+   *
+   * @param {Object} availability
+   * @param {Array<string>} availability.services - Available MCP services
+   * @param {boolean} availability.llmAvailable - LLM backend (or phi4) reachable
+   * @param {Array<string>} [enabledNodes] - Nodes the caller allows (default: all)
+   * @returns {{ profile, enabledNodes, skippedNodes, missingServices, key }}
+   */
+  static selectProfile({ services, llmAvailable }, enabledNodes = Object.keys(NODE_SERVICES)) {
+    const up = new Set(services);
+    const missingServices = [...new Set(Object.values(NODE_SERVICES).flat())].filter(service => !up.has(service));
+    if (!llmAvailable) missingServices.push('llm');
+
+    let profile, enabled;
+    if (!llmAvailable) {
+      profile = 'minimal';
+      enabled = ['parseIntent', 'answer'];
+    } else {
+      enabled = enabledNodes.filter(name => (NODE_SERVICES[name] || []).every(service => up.has(service)));
+      profile = enabled.length === enabledNodes.length ? 'full' : 'partial';
+    }
+    const skippedNodes = enabledNodes.filter(name => !enabled.includes(name));
+    return { profile, enabledNodes: enabled, skippedNodes, missingServices, key: `${profile}:${enabled.join(',')}` };
+  }
+
+  /**
+   * Build the richest graph the available services can serve, and rebuild it
+   * when services come or go
+   * Probes mcpAdapter.getAvailableServices() and llmBackend.isAvailable()
+   * (phi4 without a backend); see selectProfile().
+   *
+   * @param {Object} options - full() options, plus:
+   * @param {number} options.refreshIntervalMs - Re-probe interval (default: 60000, 0 disables)
+   * @param {number} options.probeTimeoutMs - Probe timeout; a probe that times out counts as down (default: 5000)
+   * @param {Function} options.onProfileChange - (selection, previousSelection) after a rebuild
+   * @returns {Promise<AdaptiveGraph>} graph.profile, graph.skippedNodes, graph.selection; graph.stop() ends re-probing
+   */
+  static async auto(options = {}) {
+    const logger = options.logger || console;
+    const { mcpAdapter, llmBackend } = options;
+    const probeTimeoutMs = options.probeTimeoutMs ?? 5000;
+
+    if (!mcpAdapter && !llmBackend) {
+      throw new Error('[StateGraphBuilder] auto() requires mcpAdapter or llmBackend');
+    }
+
+    const probeWithTimeout = async (what, probe, fallback) => {
+      try {
+        return await raceAbort(probe(), AbortSignal.timeout(probeTimeoutMs));
+      } catch (error) {
+        logger.warn(`[StateGraphBuilder] auto: ${what} probe failed:`, error.message);
+        return fallback;
+      }
+    };
+
+    const probe = async () => {
+      const services = mcpAdapter ? await probeWithTimeout('service', () => mcpAdapter.getAvailableServices(), []) : [];
+      const llmAvailable = llmBackend
+        ? await probeWithTimeout('LLM', () => llmBackend.isAvailable(), false)
+        : services.includes('phi4');
+      return { services, llmAvailable };
+    };
+
+    const build = (availability) => {
+      const candidates = options.enabledNodes || [...Object.keys(NODE_SERVICES), ...Object.keys(resolvePlugins(options.plugins, logger).nodes())];
+      const selection = StateGraphBuilder.selectProfile(availability, candidates);
+      logger.debug(`[StateGraphBuilder] auto: services [${availability.services.join(', ')}], LLM ${availability.llmAvailable ? 'up' : 'down'} → ${selection.profile}`);
+      const graph = selection.profile === 'minimal'
+        ? StateGraphBuilder.minimal(options)
+        : StateGraphBuilder.full({ ...options, enabledNodes: selection.profile === 'full' && !options.enabledNodes ? undefined : selection.enabledNodes });
+      return { graph, selection };
+    };
+
+    const graph = new AdaptiveGraph({
+      probe,
+      build,
+      refreshIntervalMs: options.refreshIntervalMs ?? 60000,
+      onChange: options.onProfileChange,
+      logger
     });
+    const selection = await graph.refresh();
+    logger.info(`[StateGraphBuilder] auto: ${selection.profile} profile` +
+      (selection.skippedNodes.length > 0 ? ` (skipped: ${selection.skippedNodes.join(', ')}; missing: ${selection.missingServices.join(', ')})` : ''));
+    return graph.start();
+  }
+
+  /**
+   * Create the standalone command_automate loop
+   * gatherContext → creatorPlanning → planSkills → executeCommand ⇄ recoverSkill → evaluateSkills
+   * 
+   * Uses the same nodes and routing as full(), but exits to 'end' instead of
+   * logConversation so it can run on its own (e.g. a scheduled job runner) or be
+   * embedded in another graph via graph.addSubgraph('automate', StateGraphBuilder.automation(...)).
+   * 
+   * @param {Object} options - Configuration options
+   * @param {Object} options.mcpAdapter - MCP adapter (required unless llmBackend given)
+   * @returns {StateGraph} Configured graph
+   */
+  static automation(options = {}) {
+    const logger = options.logger || console;
+    const mcpAdapter = options.mcpAdapter;
+    const llmBackend = options.llmBackend || null;
+    
+    if (!mcpAdapter && !llmBackend) {
+      throw new Error('[StateGraphBuilder] automation() requires mcpAdapter or llmBackend');
+    }
+    
+    logger.debug('[StateGraphBuilder] Creating AUTOMATION graph (command_automate loop)');
+    
+    const edges = {
+      // Installed skill already matched (parseSkill) — go straight to planSkills, same as full()
+      start: StateGraph.route(['planSkills', 'gatherContext'], (state) => (state.matchedSkillName ? 'planSkills' : 'gatherContext')),
+      ...automationEdges(logger, 'end')
+    };
+    
+    return new StateGraph(automationNodes(logger, mcpAdapter, llmBackend, resolvePlugins(options.plugins, logger)), edges, {
+      ...engineOptions(options, logger, mcpAdapter),
+      maxIterations: options.maxIterations || AUTOMATION_MAX_ITERATIONS,
+      nodePolicies: { recoverSkill: FULL_NODE_POLICIES.recoverSkill, ...(options.nodePolicies || {}) }
+    }).compile();
   }
 
   /**
@@ -358,7 +736,8 @@ class StateGraphBuilder {
    * @param {Object} nodes - Node implementations
    * @param {Object} edges - Edge routing
    * @param {Object} options - Configuration options
-   * @returns {StateGraph} Configured graph
+   * @returns {StateGraph} Configured graph (validated — dynamic edges must use StateGraph.route)
+   * @throws {Error} If the graph fails compile() validation
    */
   static custom(nodes, edges, options = {}) {
     const logger = options.logger || console;
@@ -370,15 +749,67 @@ class StateGraphBuilder {
     // Inject logger, mcpAdapter, and llmBackend into all nodes
     const wrappedNodes = {};
     for (const [name, fn] of Object.entries(nodes)) {
-      wrappedNodes[name] = (state) => fn({ ...state, logger, mcpAdapter, llmBackend });
+      wrappedNodes[name] = (state) => fn({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) });
     }
     
-    return new StateGraph(wrappedNodes, edges, {
-      logger,
-      mcpAdapter,
-      debug: options.debug || false
+    return new StateGraph(wrappedNodes, edges, engineOptions(options, logger, mcpAdapter)).compile();
+  }
+
+  /**
+   * Create a graph from a JSON / YAML definition (see core/graphDefinition.js)
+   * 
+   * Nodes are referenced by registered name: the built-in nodes, plus
+   * options.nodes (node functions, or compiled graphs run as subgraphs).
+   * Code options win over the document's options; options.nodePolicies
+   * replace the document's policy for the same node.
+   * 
+   * @param {Object|string} definition - Definition object, file path or JSON/YAML text
+   * @param {Object} options - Configuration options (mcpAdapter, llmBackend, checkpointer, ...)
+   * @param {Object} options.nodes - Extra registered nodes: { name: fn | StateGraph }
+   * @param {Array<Object>|PluginRegistry} options.plugins - Plugins (default: those registered with use())
+   * @returns {StateGraph} Configured graph (validated); graph.definition = { name, version }
+   * @throws {Error} If the document is invalid or the graph fails compile() validation
+   */
+  static fromDefinition(definition, options = {}) {
+    const logger = options.logger || console;
+    const mcpAdapter = options.mcpAdapter;
+    const llmBackend = options.llmBackend || null;
+    const registered = options.nodes || {};
+    const plugins = resolvePlugins(options.plugins, logger);
+    const pluginNodes = plugins.nodes();
+
+    const resolveNode = (registeredName, nodeName) => {
+      const custom = registered[registeredName];
+      if (custom instanceof StateGraph) {
+        return StateGraph.subgraph(custom, { name: nodeName });
+      }
+      if (typeof custom === 'function') {
+        return (state) => custom({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend) });
+      }
+      const known = NODE_REGISTRY[registeredName] || pluginNodes[registeredName];
+      if (!known) {
+        throw new Error(`[StateGraphBuilder] Unknown node "${registeredName}" in graph definition (registered: ${[...Object.keys(NODE_REGISTRY), ...Object.keys(pluginNodes), ...Object.keys(registered)].join(', ')})`);
+      }
+      return known.usesLLM
+        ? (state) => known.node({ ...state, ...runDeps(state, logger, mcpAdapter, llmBackend), plugins })
+        : (state) => known.node({ ...state, ...runDeps(state, logger, mcpAdapter), plugins });
+    };
+
+    const { nodes, edges, nodePolicies, options: documentOptions, meta } = buildGraphDefinition(loadGraphDefinition(definition), { resolveNode, logger });
+    const settings = { ...documentOptions, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+
+    logger.debug(`[StateGraphBuilder] Creating graph from definition ${meta.name || '(unnamed)'}${meta.version ? ` v${meta.version}` : ''}`);
+
+    const graph = new StateGraph(nodes, edges, {
+      ...engineOptions(settings, logger, mcpAdapter),
+      nodePolicies: { ...nodePolicies, ...(options.nodePolicies || {}) }
     });
+    graph.definition = meta;
+    return graph.compile();
   }
 }
 
+// Shared registry behind use(): list(), remove(name), ...
+StateGraphBuilder.plugins = sharedPlugins;
+
 module.exports = StateGraphBuilder;
@@ -0,0 +1,58 @@
+/**
+ * CassetteMCPAdapter - Records or replays MCP calls through a Cassette
+ *
+ * Created by cassette.wrap(options). In record mode every call is forwarded
+ * to the wrapped adapter; in replay mode calls are answered from the cassette
+ * and no adapter is needed.
+ */
+
+const MCPAdapter = require('./MCPAdapter');
+
+class CassetteMCPAdapter extends MCPAdapter {
+  /**
+   * @param {Cassette} cassette - Cassette to record into / replay from
+   * @param {MCPAdapter|null} adapter - Real adapter (record mode)
+   * @param {Object} options
+   * @param {Object} [options.logger] - Logger (default: console)
+   */
+  constructor(cassette, adapter = null, options = {}) {
+    super();
+    this.cassette = cassette;
+    this.adapter = adapter;
+    this.logger = options.logger || console;
+  }
+
+  _inner(method) {
+    if (!this.adapter || typeof this.adapter[method] !== 'function') {
+      throw new Error(`[CassetteMCP] Wrapped adapter does not implement ${method}()`);
+    }
+    return this.adapter[method].bind(this.adapter);
+  }
+
+  async callService(serviceName, action, params, options = {}) {
+    return this.cassette.intercept('mcp', `${serviceName}.${action}`, { params },
+      () => this._inner('callService')(serviceName, action, params, options));
+  }
+
+  async callServiceStream(serviceName, action, params, onToken, onProgress, options = {}) {
+    return this.cassette.intercept('mcp', `stream:${serviceName}.${action}`, { params },
+      (tap) => this._inner('callServiceStream')(serviceName, action, params, tap, onProgress, options), onToken);
+  }
+
+  async call(toolName, params) {
+    return this.cassette.intercept('mcp', `call:${toolName}`, { params },
+      () => this._inner('call')(toolName, params));
+  }
+
+  async isServiceAvailable(serviceName) {
+    return this.cassette.intercept('mcp', `available:${serviceName}`, {},
+      () => this._inner('isServiceAvailable')(serviceName));
+  }
+
+  async getAvailableServices() {
+    return this.cassette.intercept('mcp', 'available_services', {},
+      () => this._inner('getAvailableServices')());
+  }
+}
+
+module.exports = CassetteMCPAdapter;
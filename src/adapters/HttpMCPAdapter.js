@@ -0,0 +1,334 @@
+/**
+ * HttpMCPAdapter - MCP services over HTTP JSON-RPC, no external client needed
+ *
+ * Each service has a base URL; calls are JSON-RPC 2.0 requests:
+ *   POST {url}
+ *   Body:     { jsonrpc: '2.0', id, method: action, params }
+ *   Response: { jsonrpc: '2.0', id, result } or { ..., error: { code, message, data? } }
+ *
+ * Streaming (callServiceStream) sends the same request with
+ * Accept: text/event-stream and reads any of:
+ *   - SSE:            data: {"type":"token","token":"..."}\n\n ... data: {"type":"done"}\n\n (or data: [DONE])
+ *   - NDJSON chunks:  {"type":"token","token":"..."}\n per line (application/x-ndjson)
+ *   - plain chunks:   every chunk of the body is a token
+ *   - JSON:           a service that does not stream answers with a normal response
+ *
+ * Health check: the health.check method; the service is up unless it fails
+ * or reports a status other than ok/healthy.
+ *
+ *   const mcpAdapter = new HttpMCPAdapter({
+ *     services: {
+ *       phi4: 'http://localhost:3002',
+ *       'user-memory': { url: 'http://localhost:3001', apiKey: process.env.MEMORY_KEY }
+ *     },
+ *     baseUrl: 'http://localhost:3000/mcp',   // other services: {baseUrl}/{service}
+ *     headers: () => ({ Authorization: `Bearer ${tokens.current()}` })
+ *   });
+ */
+
+const MCPAdapter = require('./MCPAdapter');
+const { abortError, throwIfAborted, linkAbortSignal } = require('../core/abort');
+
+class HttpMCPAdapter extends MCPAdapter {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.services] - { service: url | { url, headers, apiKey, timeoutMs } }
+   * @param {string} [config.baseUrl] - URL prefix for services not listed ({baseUrl}/{service})
+   * @param {Object|Function} [config.headers] - Headers for every request, or (service) => headers (may be async)
+   * @param {string} [config.apiKey] - Sent as Authorization: Bearer {apiKey}
+   * @param {number} [config.timeoutMs=30000] - Request timeout (streams: longest pause between chunks)
+   * @param {number} [config.healthTimeoutMs=3000] - health.check timeout
+   * @param {Object} [config.logger] - Logger (default: console)
+   */
+  constructor(config = {}) {
+    super();
+    this.services = {};
+    for (const [service, entry] of Object.entries(config.services || {})) {
+      const spec = typeof entry === 'string' ? { url: entry } : { ...entry };
+      if (!spec.url) {
+        throw new Error(`[HttpMCP] Service ${service} needs a url`);
+      }
+      spec.url = spec.url.replace(/\/$/, '');
+      this.services[service] = spec;
+    }
+    this.baseUrl = config.baseUrl ? config.baseUrl.replace(/\/$/, '') : null;
+    if (!this.baseUrl && Object.keys(this.services).length === 0) {
+      throw new Error('[HttpMCP] config.services or config.baseUrl is required');
+    }
+    this.headers = config.headers || {};
+    this.apiKey = config.apiKey || null;
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.healthTimeoutMs = config.healthTimeoutMs || 3000;
+    this.logger = config.logger || console;
+    this._nextId = 1;
+  }
+
+  /**
+   * @param {string} serviceName - Service name
+   * @param {string} action - JSON-RPC method
+   * @param {Object} params - Method params
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Per-call timeout (options.timeout is accepted too)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} The JSON-RPC result
+   */
+  async callService(serviceName, action, params = {}, options = {}) {
+    throwIfAborted(options.signal);
+    const service = this._service(serviceName);
+    const timeoutMs = options.timeoutMs || options.timeout || service.timeoutMs || this.timeoutMs;
+    this.logger.debug(`[HttpMCP] Calling ${serviceName}.${action}`);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const unlink = linkAbortSignal(controller, options.signal);
+
+    try {
+      const res = await this._post(serviceName, service, action, params, 'application/json', controller.signal);
+      return this._result(serviceName, action, await readJson(res, serviceName, action));
+    } catch (error) {
+      if (options.signal?.aborted) throw abortError();
+      if (controller.signal.aborted) {
+        throw Object.assign(new Error(`[HttpMCP] ${serviceName}.${action} timed out after ${timeoutMs}ms`), { code: 'ETIMEDOUT' });
+      }
+      this.logger.error(`[HttpMCP] Error calling ${serviceName}.${action}:`, error.message);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      unlink();
+    }
+  }
+
+  /**
+   * Streamed call (SSE, NDJSON or plain chunked body)
+   * @param {string} serviceName - Service name
+   * @param {string} action - JSON-RPC method
+   * @param {Object} params - Method params
+   * @param {Function} onToken - (token) => void
+   * @param {Function} [onProgress] - ({ type, ... }) => void for non-token events (start, done, ...)
+   * @param {Object} [options] - { timeoutMs, signal } as for callService
+   * @returns {Promise<Object>} { answer, ...data of the done event }
+   */
+  async callServiceStream(serviceName, action, params = {}, onToken = () => {}, onProgress = null, options = {}) {
+    throwIfAborted(options.signal);
+    const service = this._service(serviceName);
+    const timeoutMs = options.timeoutMs || options.timeout || service.timeoutMs || this.timeoutMs;
+    this.logger.debug(`[HttpMCP] Streaming ${serviceName}.${action}`);
+
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), timeoutMs);
+    const unlink = linkAbortSignal(controller, options.signal);
+
+    let answer = '';
+    let doneData = {};
+    const emit = (event) => {
+      if (event.type === 'error') {
+        throw Object.assign(new Error(`[HttpMCP] ${serviceName}.${action} stream failed: ${event.error || event.message || 'unknown error'}`), { code: event.code });
+      }
+      const token = event.token ?? event.text ?? event.chunk;
+      if ((!event.type || event.type === 'token') && token) {
+        answer += token;
+        onToken(token);
+        return;
+      }
+      if (event.type === 'done') {
+        const { type, ...data } = event;
+        doneData = data;
+      }
+      if (event.type && onProgress) onProgress(event);
+    };
+
+    try {
+      const res = await this._post(serviceName, service, action, params, 'text/event-stream, application/x-ndjson', controller.signal);
+      if (!res.ok) await readJson(res, serviceName, action); // Throws with the HTTP status
+
+      const contentType = res.headers.get('content-type') || '';
+      if (contentType.includes('application/json')) {
+        // Service answered without streaming
+        const result = this._result(serviceName, action, await res.json());
+        const data = result?.data || result || {};
+        const text = typeof data === 'string' ? data : data.answer || data.text || '';
+        if (text) emit({ type: 'token', token: text });
+        return { ...(typeof data === 'object' ? data : {}), answer };
+      }
+
+      // Each parser takes the next chunk; the separator completes a trailing event at the end
+      const [parse, separator] = contentType.includes('text/event-stream') ? [sseParser(emit), '\n\n']
+        : contentType.includes('ndjson') ? [ndjsonParser(emit), '\n']
+          : [(text) => { if (text) emit({ type: 'token', token: text }); }, ''];
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          parse(decoder.decode() + separator);
+          break;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+        if (parse(decoder.decode(value, { stream: true })) === STOP) {
+          reader.cancel().catch(() => {});
+          break;
+        }
+      }
+      return { ...doneData, answer };
+    } catch (error) {
+      if (options.signal?.aborted) throw abortError();
+      if (controller.signal.aborted) {
+        throw Object.assign(new Error(`[HttpMCP] ${serviceName}.${action} stream stalled for ${timeoutMs}ms`), { code: 'ETIMEDOUT' });
+      }
+      // An error event (or a throwing callback) leaves the response unread — drop the connection
+      controller.abort();
+      this.logger.error(`[HttpMCP] Error streaming ${serviceName}.${action}:`, error.message);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      unlink();
+    }
+  }
+
+  async isServiceAvailable(serviceName) {
+    try {
+      const result = await this.callService(serviceName, 'health.check', {}, { timeoutMs: this.healthTimeoutMs });
+      const status = (result?.data || result)?.status;
+      return status === undefined || status === 'ok' || status === 'healthy';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Configured services (with baseUrl, also the standard ones) that pass health.check
+   * @returns {Promise<Array<string>>}
+   */
+  async getAvailableServices() {
+    const standard = this.baseUrl
+      ? ['phi4', 'conversation', 'user-memory', 'web-search', 'command', 'screen-intelligence', 'vision', 'coreference']
+      : [];
+    const services = [...new Set([...Object.keys(this.services), ...standard])];
+    const available = await Promise.all(services.map(service => this.isServiceAvailable(service)));
+    return services.filter((service, i) => available[i]);
+  }
+
+  _service(serviceName) {
+    if (this.services[serviceName]) return this.services[serviceName];
+    if (this.baseUrl) return { url: `${this.baseUrl}/${serviceName}` };
+    throw new Error(`[HttpMCP] No URL configured for service ${serviceName}`);
+  }
+
+  async _post(serviceName, service, action, params, accept, signal) {
+    const shared = typeof this.headers === 'function' ? await this.headers(serviceName) : this.headers;
+    const apiKey = service.apiKey || this.apiKey;
+    const fetch = this._getFetch();
+    return fetch(service.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: accept,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(shared || {}),
+        ...(service.headers || {})
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: this._nextId++, method: action, params }),
+      signal
+    });
+  }
+
+  _result(serviceName, action, response) {
+    if (response?.error) {
+      const { code, message, data } = response.error;
+      throw Object.assign(new Error(`[HttpMCP] ${serviceName}.${action} failed: ${message || 'unknown error'}`), { code, data });
+    }
+    return response?.result;
+  }
+
+  /**
+   * Get fetch - works in Node.js 18+ (native) or falls back to node-fetch
+   */
+  _getFetch() {
+    if (typeof fetch !== 'undefined') return fetch;
+    try {
+      return require('node-fetch');
+    } catch {
+      throw new Error('[HttpMCP] No fetch available. Node 18+ or install node-fetch.');
+    }
+  }
+}
+
+// Returned by a stream parser once the stream signalled its end
+const STOP = Symbol('stop');
+
+/** JSON body of a response; HTTP errors throw with the JSON-RPC message when there is one */
+async function readJson(res, serviceName, action) {
+  const text = await res.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON — reported below
+  }
+  if (!res.ok) {
+    const detail = body?.error?.message || text.slice(0, 200) || res.statusText;
+    throw Object.assign(new Error(`[HttpMCP] ${serviceName}.${action} HTTP ${res.status}: ${detail}`), { status: res.status });
+  }
+  if (body === null) {
+    throw new Error(`[HttpMCP] ${serviceName}.${action} returned a non-JSON response`);
+  }
+  return body;
+}
+
+/** Server-Sent Events: events end with a blank line; data lines hold JSON (or [DONE]) */
+function sseParser(emit) {
+  let buffer = '';
+  return (text) => {
+    buffer += text;
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop(); // keep the incomplete event
+    for (const block of events) {
+      let eventType = null;
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) eventType = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length === 0) continue;
+      const raw = data.join('\n');
+      if (raw.trim() === '[DONE]') return STOP;
+      let event;
+      try {
+        event = JSON.parse(raw);
+      } catch {
+        event = { token: raw }; // Plain-text data is a token
+      }
+      if (typeof event !== 'object' || event === null) event = { token: String(event) };
+      if (!event.type && eventType && eventType !== 'message') event.type = eventType;
+      emit(event);
+      if (event.type === 'done') return STOP;
+    }
+    return null;
+  };
+}
+
+/** Newline-delimited JSON events */
+function ndjsonParser(emit) {
+  let buffer = '';
+  return (text) => {
+    buffer += text;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue; // Skip malformed lines
+      }
+      emit(event);
+      if (event.type === 'done') return STOP;
+    }
+    return null;
+  };
+}
+
+module.exports = HttpMCPAdapter;
@@ -13,6 +13,9 @@ class MCPAdapter {
    * @param {string} serviceName - Service name (phi4, conversation, user-memory, etc.)
    * @param {string} action - Action to perform (intent.parse, message.list, etc.)
    * @param {Object} params - Action-specific parameters
+   * @param {Object} [options] - Call options
+   * @param {number} [options.timeoutMs] - Per-call timeout override
+   * @param {AbortSignal} [options.signal] - Cancels the call (rejects with an AbortError)
    * @returns {Promise<Object>} Service response
    */
   async callService(serviceName, action, params) {
@@ -9,6 +9,7 @@
  */
 
 const MCPAdapter = require('./MCPAdapter');
+const { throwIfAborted, raceAbort } = require('../core/abort');
 
 class MockMCPAdapter extends MCPAdapter {
   constructor(options = {}) {
@@ -17,13 +18,14 @@ class MockMCPAdapter extends MCPAdapter {
     this.mockResponses = options.mockResponses || {};
   }
 
-  async callService(serviceName, action, params) {
+  async callService(serviceName, action, params, options = {}) {
+    throwIfAborted(options.signal);
     this.logger.debug(`[MockMCP] ${serviceName}.${action}`, params);
 
-    // Check for custom mock responses
+    // Check for custom mock responses (slow mocks stop on options.signal)
     const mockKey = `${serviceName}.${action}`;
     if (this.mockResponses[mockKey]) {
-      return this.mockResponses[mockKey](params);
+      return raceAbort(this.mockResponses[mockKey](params, options), options.signal);
     }
 
     // Default mock responses
@@ -6,6 +6,7 @@
  */
 
 const MCPAdapter = require('./MCPAdapter');
+const { throwIfAborted, raceAbort } = require('../core/abort');
 
 class RealMCPAdapter extends MCPAdapter {
   constructor(mcpClient, options = {}) {
@@ -16,10 +17,12 @@ class RealMCPAdapter extends MCPAdapter {
 
   async callService(serviceName, action, params, options = {}) {
     try {
+      throwIfAborted(options.signal);
       this.logger.debug(`[RealMCP] Calling ${serviceName}.${action}`);
       
-      // Delegate to existing MCPClient — pass options so timeoutMs override works
-      const result = await this.mcpClient.callService(serviceName, action, params, options);
+      // Delegate to existing MCPClient — pass options so timeoutMs override works.
+      // Clients that ignore options.signal are raced so a cancelled run stops waiting.
+      const result = await raceAbort(this.mcpClient.callService(serviceName, action, params, options), options.signal);
       
       return result;
     } catch (error) {
@@ -0,0 +1,94 @@
+/**
+ * TracingMCPAdapter - Emits a CLIENT span for every MCP call
+ *
+ * Created by tracer.wrap(options). Spans are named `mcp <service>.<action>`
+ * and carry the skill of command.automate steps and the token usage reported
+ * by LLM services (response.usage or response.data.usage).
+ */
+
+const MCPAdapter = require('./MCPAdapter');
+
+/**
+ * Usage attributes from an MCP response, if the service reported any
+ * @param {Object} response - Service response
+ * @returns {Object} Span attributes
+ */
+function usageAttributes(response) {
+  const usage = response?.usage || response?.data?.usage;
+  if (!usage) return {};
+  return {
+    'llm.usage.prompt_tokens': usage.promptTokens ?? usage.prompt_tokens,
+    'llm.usage.completion_tokens': usage.completionTokens ?? usage.completion_tokens,
+    'llm.usage.total_tokens': usage.totalTokens ?? usage.total_tokens
+  };
+}
+
+class TracingMCPAdapter extends MCPAdapter {
+  /**
+   * @param {Tracer} tracer - Tracer to record spans with
+   * @param {MCPAdapter} adapter - Adapter to forward calls to
+   */
+  constructor(tracer, adapter) {
+    super();
+    this.tracer = tracer;
+    this.adapter = adapter;
+  }
+
+  _spanOptions(serviceName, action, params) {
+    return {
+      kind: 'CLIENT',
+      attributes: {
+        'mcp.service': serviceName,
+        'mcp.action': action,
+        'mcp.skill': typeof params?.skill === 'string' ? params.skill : undefined
+      }
+    };
+  }
+
+  async callService(serviceName, action, params, options = {}) {
+    return this.tracer.trace(`mcp ${serviceName}.${action}`, this._spanOptions(serviceName, action, params), async (span) => {
+      const response = await this.adapter.callService(serviceName, action, params, options);
+      span.setAttributes(usageAttributes(response));
+      if (response && response.success === false) {
+        span.setStatus('ERROR', String(response.error || 'Service reported failure'));
+      }
+      return response;
+    });
+  }
+
+  async callServiceStream(serviceName, action, params, onToken, onProgress, callOptions = {}) {
+    const options = this._spanOptions(serviceName, action, params);
+    options.attributes['mcp.stream'] = true;
+    return this.tracer.trace(`mcp ${serviceName}.${action}`, options, async (span) => {
+      let tokens = 0;
+      const countingOnToken = typeof onToken === 'function'
+        ? (token) => {
+          tokens++;
+          onToken(token);
+        }
+        : onToken;
+      try {
+        const response = await this.adapter.callServiceStream(serviceName, action, params, countingOnToken, onProgress, callOptions);
+        span.setAttributes(usageAttributes(response));
+        return response;
+      } finally {
+        span.setAttribute('llm.streamed_tokens', tokens);
+      }
+    });
+  }
+
+  async call(toolName, params) {
+    return this.tracer.trace(`mcp ${toolName}`, { kind: 'CLIENT', attributes: { 'mcp.tool': toolName } },
+      () => this.adapter.call(toolName, params));
+  }
+
+  async isServiceAvailable(serviceName) {
+    return this.adapter.isServiceAvailable(serviceName);
+  }
+
+  async getAvailableServices() {
+    return this.adapter.getAvailableServices();
+  }
+}
+
+module.exports = TracingMCPAdapter;
@@ -0,0 +1,62 @@
+/**
+ * CassetteLLMBackend - Records or replays generateAnswer() through a Cassette
+ *
+ * Created by cassette.wrap(options). Streamed tokens are recorded and
+ * re-emitted on replay, so streaming UIs behave the same offline.
+ * Calls are matched on prompt, payload and options: nodes put the varying
+ * input (the user's message, system instructions) in the payload.
+ */
+
+const LLMBackend = require('./LLMBackend');
+
+/**
+ * The JSON-safe part of a generateAnswer payload (callbacks and circular values dropped)
+ * @param {*} payload - Payload passed to generateAnswer
+ * @returns {*} Value to record and match on
+ */
+function requestPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload ?? null;
+  const safe = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (typeof value === 'function') continue;
+    try {
+      JSON.stringify(value);
+      safe[key] = value;
+    } catch (_) { /* circular or BigInt — not part of the request */ }
+  }
+  return safe;
+}
+
+class CassetteLLMBackend extends LLMBackend {
+  /**
+   * @param {Cassette} cassette - Cassette to record into / replay from
+   * @param {LLMBackend|null} backend - Real backend (record mode)
+   */
+  constructor(cassette, backend = null) {
+    super();
+    this.cassette = cassette;
+    this.backend = backend;
+  }
+
+  async generateAnswer(prompt, payload, options = {}, onToken = null) {
+    // The run's AbortSignal is not part of the request — recorded and replayed runs must match
+    const { signal, ...requestOptions } = options;
+    return this.cassette.intercept('llm', 'generateAnswer', { prompt, payload: requestPayload(payload), options: requestOptions },
+      (tap) => {
+        if (!this.backend) throw new Error('[CassetteLLM] No backend to record from');
+        return this.backend.generateAnswer(prompt, payload, options, tap);
+      },
+      onToken);
+  }
+
+  async isAvailable() {
+    return this.backend ? this.backend.isAvailable() : true;
+  }
+
+  getInfo() {
+    if (this.backend) return this.backend.getInfo();
+    return { name: 'CassetteLLMBackend', type: 'replay', model: 'recorded', provider: this.cassette.path };
+  }
+}
+
+module.exports = CassetteLLMBackend;
@@ -18,6 +18,7 @@
  */
 
 const LLMBackend = require('./LLMBackend');
+const { abortError, throwIfAborted, linkAbortSignal } = require('../core/abort');
 
 class ExternalLLMBackend extends LLMBackend {
   /**
@@ -43,6 +44,10 @@ class ExternalLLMBackend extends LLMBackend {
   }
 
   async generateAnswer(prompt, payload, options = {}, onToken = null) {
+    // The signal aborts the request; it is not part of the request body
+    const { signal, ...requestOptions } = options;
+    throwIfAborted(signal);
+
     const body = JSON.stringify({
       prompt,
       query: payload.query || prompt,
@@ -50,18 +55,19 @@ class ExternalLLMBackend extends LLMBackend {
       options: {
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 500,
-        ...options
+        ...requestOptions
       }
     });
 
     // Use SSE streaming if supported and onToken provided
     if (this.supportsStreaming && typeof onToken === 'function') {
-      return this._streamAnswer(body, onToken);
+      return this._streamAnswer(body, onToken, signal);
     }
 
     // Blocking HTTP call
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), this.timeoutMs);
+    const unlink = linkAbortSignal(controller, signal);
 
     try {
       const fetch = this._getFetch();
@@ -83,17 +89,22 @@ class ExternalLLMBackend extends LLMBackend {
 
     } catch (err) {
       clearTimeout(t);
+      if (signal?.aborted) throw abortError();
       throw err;
+    } finally {
+      unlink();
     }
   }
 
   /**
    * SSE streaming via POST to {httpUrl}/stream
+   * The signal stays linked until the stream ends, so aborting stops reading mid-answer.
    */
-  async _streamAnswer(body, onToken) {
+  async _streamAnswer(body, onToken, signal = null) {
     const fetch = this._getFetch();
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), this.timeoutMs);
+    const unlink = linkAbortSignal(controller, signal);
 
     try {
       const res = await fetch(this.streamUrl, {
@@ -151,7 +162,10 @@ class ExternalLLMBackend extends LLMBackend {
 
     } catch (err) {
       clearTimeout(t);
+      if (signal?.aborted) throw abortError();
       throw err;
+    } finally {
+      unlink();
     }
   }
 
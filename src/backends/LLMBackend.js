@@ -21,6 +21,7 @@ class LLMBackend {
    * @param {number} [options.maxTokens=500] - Max tokens to generate
    * @param {number} [options.temperature=0.1] - Sampling temperature
    * @param {boolean} [options.fastMode=false] - Skip heavy system prompts
+   * @param {AbortSignal} [options.signal] - Cancels generation (rejects with an AbortError)
    * @param {Function|null} onToken - Streaming callback (token: string) => void, or null for blocking
    * @returns {Promise<string>} The generated answer text
    */
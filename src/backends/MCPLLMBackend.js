@@ -12,6 +12,7 @@
  */
 
 const LLMBackend = require('./LLMBackend');
+const { throwIfAborted } = require('../core/abort');
 
 class MCPLLMBackend extends LLMBackend {
   /**
@@ -30,6 +31,8 @@ class MCPLLMBackend extends LLMBackend {
   async generateAnswer(prompt, payload, options = {}, onToken = null) {
     const isStreaming = typeof onToken === 'function';
     const timeout = (payload.context?.webSearchResults?.length > 0) ? 60000 : 30000;
+    const signal = options.signal;
+    throwIfAborted(signal);
 
     if (isStreaming) {
       let accumulated = '';
@@ -56,11 +59,14 @@ class MCPLLMBackend extends LLMBackend {
         // Streaming produced no content - fall back to blocking
         console.warn('[MCPLLMBackend] Streaming produced no content, falling back to blocking call');
       } catch (streamErr) {
+        // A cancelled answer must not be retried as a blocking call
+        if (signal?.aborted) throw streamErr;
         console.warn('[MCPLLMBackend] Streaming failed, falling back to blocking:', streamErr.message);
       }
 
       // Fallback: blocking call
-      const result = await this.mcpAdapter.callService('phi4', 'general.answer', payload, { timeout });
+      throwIfAborted(signal);
+      const result = await this.mcpAdapter.callService('phi4', 'general.answer', payload, { timeout, signal });
       const data = result.data || result;
       const answer = data.answer || data.text || '';
 
@@ -73,7 +79,7 @@ class MCPLLMBackend extends LLMBackend {
     }
 
     // Blocking mode
-    const result = await this.mcpAdapter.callService('phi4', 'general.answer', payload, { timeout });
+    const result = await this.mcpAdapter.callService('phi4', 'general.answer', payload, { timeout, signal });
     const data = result.data || result;
     return data.answer || data.text || 'I apologize, but I was unable to generate a response.';
   }
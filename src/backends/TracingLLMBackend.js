@@ -0,0 +1,59 @@
+/**
+ * TracingLLMBackend - Emits a CLIENT span for every generateAnswer() call
+ *
+ * Created by tracer.wrap(options). Backends return plain text, so the span
+ * records prompt/answer sizes and the number of streamed tokens; usage
+ * reported by the MCP service is on the `mcp` span underneath, if any.
+ */
+
+const LLMBackend = require('./LLMBackend');
+
+class TracingLLMBackend extends LLMBackend {
+  /**
+   * @param {Tracer} tracer - Tracer to record spans with
+   * @param {LLMBackend} backend - Backend to forward calls to
+   */
+  constructor(tracer, backend) {
+    super();
+    this.tracer = tracer;
+    this.backend = backend;
+  }
+
+  async generateAnswer(prompt, payload, options = {}, onToken = null) {
+    const info = this.backend.getInfo() || {};
+    const attributes = {
+      'llm.backend': info.name,
+      'llm.model': info.model,
+      'llm.provider': info.provider,
+      'llm.max_tokens': options.maxTokens,
+      'llm.prompt_chars': typeof prompt === 'string' ? prompt.length : undefined
+    };
+
+    return this.tracer.trace('llm generateAnswer', { kind: 'CLIENT', attributes }, async (span) => {
+      let tokens = 0;
+      const countingOnToken = typeof onToken === 'function'
+        ? (token) => {
+          tokens++;
+          onToken(token);
+        }
+        : null;
+      try {
+        const answer = await this.backend.generateAnswer(prompt, payload, options, countingOnToken);
+        span.setAttribute('llm.answer_chars', typeof answer === 'string' ? answer.length : undefined);
+        return answer;
+      } finally {
+        span.setAttribute('llm.streamed_tokens', countingOnToken ? tokens : undefined);
+      }
+    });
+  }
+
+  async isAvailable() {
+    return this.backend.isAvailable();
+  }
+
+  getInfo() {
+    return this.backend.getInfo();
+  }
+}
+
+module.exports = TracingLLMBackend;
@@ -13,6 +13,7 @@
  */
 
 const LLMBackend = require('./LLMBackend');
+const { abortError, throwIfAborted } = require('../core/abort');
 
 class VSCodeLLMBackend extends LLMBackend {
   /**
@@ -38,6 +39,9 @@ class VSCodeLLMBackend extends LLMBackend {
    * If onToken provided, forwards each chunk in real time.
    */
   async generateAnswer(prompt, payload, options = {}, onToken = null) {
+    const signal = options.signal;
+    throwIfAborted(signal);
+
     // Lazy require so this module works in environments without 'ws'
     let WebSocket;
     try {
@@ -54,8 +58,29 @@ class VSCodeLLMBackend extends LLMBackend {
 
     const ws = new WebSocket(url.toString());
 
+    // Cancelling drops the socket; the pending connect/response wait rejects below
+    let rejectPending = null;
+    const onAbort = () => {
+      if (rejectPending) rejectPending(abortError());
+      ws.terminate();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await this._exchange(ws, prompt, payload, options, onToken, (reject) => { rejectPending = reject; });
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Connect, send the request and collect the streamed answer
+   * @param {Function} setPending - Receives the reject of the wait in progress (used on abort)
+   */
+  async _exchange(ws, prompt, payload, options, onToken, setPending) {
     // Wait for connection
     await new Promise((resolve, reject) => {
+      setPending(reject);
       const t = setTimeout(() => {
         ws.terminate();
         reject(new Error('[VSCodeLLMBackend] Connection timeout'));
@@ -106,6 +131,7 @@ class VSCodeLLMBackend extends LLMBackend {
     let streamStarted = false;
 
     await new Promise((resolve, reject) => {
+      setPending(reject);
       const responseTimeout = setTimeout(() => {
         ws.terminate();
         reject(new Error('[VSCodeLLMBackend] Response timeout'));
@@ -0,0 +1,238 @@
+/**
+ * Cassette - Record and replay the MCP / LLM traffic of whole graph runs
+ *
+ * Record mode wraps the real adapter/backend and writes every request and
+ * response (streamed tokens and errors included) to a JSON cassette file.
+ * Replay mode answers the same calls from the file, so a run reproduces the
+ * same routing and final state offline — no node changes needed.
+ *
+ *   // Capture a bad run
+ *   const cassette = new Cassette({ path: 'bug-123.json', mode: 'record' });
+ *   const graph = StateGraphBuilder.full(cassette.wrap({ mcpAdapter, llmBackend }));
+ *   await graph.execute({ message });
+ *   cassette.close();
+ *
+ *   // Reproduce it later, offline
+ *   const replay = new Cassette({ path: 'bug-123.json', mode: 'replay' });
+ *   const graph = StateGraphBuilder.full(replay.wrap({}));
+ *
+ * Replay matches calls by channel, operation and request. Requests that
+ * changed (timestamps, ids) fall back to the next unused call with the same
+ * operation, so parallel branches may interleave freely.
+ *
+ * Recorded calls are buffered and written in one go: flushDelay ms after the
+ * last call, on flush()/close(), or when the process exits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CassetteMCPAdapter = require('../adapters/CassetteMCPAdapter');
+const CassetteLLMBackend = require('../backends/CassetteLLMBackend');
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * JSON with sorted object keys (functions and undefined dropped) — stable request keys
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (typeof val === 'function') return undefined;
+    if (val && typeof val === 'object' && !Array.isArray(val)) {
+      return Object.keys(val).sort().reduce((sorted, k) => {
+        sorted[k] = val[k];
+        return sorted;
+      }, {});
+    }
+    return val;
+  });
+}
+
+class Cassette {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Cassette file
+   * @param {string} [options.mode='replay'] - 'record' | 'replay'
+   * @param {Object} [options.logger] - Logger (default: console)
+   * @param {number} [options.flushDelay=250] - Record mode: ms to wait after a call before writing the file
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('[Cassette] options.path is required');
+    }
+    this.path = options.path;
+    this.mode = options.mode || 'replay';
+    this.logger = options.logger || console;
+    this.flushDelay = options.flushDelay ?? 250;
+    if (this.mode !== 'record' && this.mode !== 'replay') {
+      throw new Error(`[Cassette] Unknown mode: ${this.mode} (expected record or replay)`);
+    }
+
+    this.interactions = [];
+    this._used = new Set();
+    this._dirty = false;
+    this._flushTimer = null;
+    this._onExit = null;
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  _load() {
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    if (data.version !== CASSETTE_VERSION) {
+      throw new Error(`[Cassette] Unsupported cassette version: ${data.version}`);
+    }
+    this.interactions = data.interactions || [];
+  }
+
+  /**
+   * Write the cassette (atomic: tmp file + rename)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2), 'utf8');
+    fs.renameSync(tmp, this.path);
+  }
+
+  /**
+   * Write buffered recordings now (no-op when nothing changed)
+   */
+  flush() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    if (!this._dirty) return;
+    this._dirty = false;
+    this.save();
+  }
+
+  /**
+   * Flush and stop watching for process exit
+   */
+  close() {
+    this.flush();
+    if (this._onExit) {
+      process.removeListener('exit', this._onExit);
+      this._onExit = null;
+    }
+  }
+
+  _scheduleFlush() {
+    this._dirty = true;
+    if (!this._onExit) {
+      this._onExit = () => this.flush();
+      process.on('exit', this._onExit);
+    }
+    if (this._flushTimer) clearTimeout(this._flushTimer);
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      try {
+        this.flush();
+      } catch (error) {
+        this.logger.error(`[Cassette] Failed to write ${this.path}: ${error.message}`);
+      }
+    }, this.flushDelay);
+    this._flushTimer.unref?.();
+  }
+
+  /**
+   * Wrap graph builder options so their adapter/backend go through this cassette
+   * In replay mode no real adapter/backend is needed.
+   * @param {Object} options - Builder options ({ mcpAdapter, llmBackend, ... })
+   * @returns {Object} Options with mcpAdapter/llmBackend replaced
+   */
+  wrap(options = {}) {
+    const wrapped = { ...options };
+    const replaying = this.mode === 'replay';
+
+    if (options.mcpAdapter || replaying) {
+      wrapped.mcpAdapter = new CassetteMCPAdapter(this, options.mcpAdapter || null, { logger: options.logger });
+    }
+    if (options.llmBackend || (replaying && this.interactions.some(i => i.channel === 'llm'))) {
+      wrapped.llmBackend = new CassetteLLMBackend(this, options.llmBackend || null);
+    }
+    return wrapped;
+  }
+
+  /**
+   * Record (perform and store) or replay one call
+   * @param {string} channel - 'mcp' | 'llm'
+   * @param {string} operation - e.g. 'phi4.intent.parse'
+   * @param {Object} request - Serializable request (used for matching)
+   * @param {Function} perform - (onToken) => Promise<response>; the real call, record mode only
+   * @param {Function|null} onToken - Streaming callback
+   * @returns {Promise<*>} Response
+   */
+  async intercept(channel, operation, request, perform, onToken = null) {
+    return this.mode === 'record'
+      ? this._record(channel, operation, request, perform, onToken)
+      : this._replay(channel, operation, request, onToken);
+  }
+
+  async _record(channel, operation, request, perform, onToken) {
+    const tokens = [];
+    const tap = typeof onToken === 'function'
+      ? (token) => {
+        tokens.push(token);
+        onToken(token);
+      }
+      : null;
+    const interaction = { channel, operation, request: JSON.parse(stableStringify(request ?? null)) };
+
+    try {
+      const response = await perform(tap);
+      interaction.response = response === undefined ? null : JSON.parse(stableStringify(response));
+      return response;
+    } catch (error) {
+      interaction.error = { message: error.message, ...(error.code ? { code: error.code } : {}) };
+      throw error;
+    } finally {
+      if (tokens.length > 0) interaction.tokens = tokens;
+      this.interactions.push(interaction);
+      this._scheduleFlush();
+    }
+  }
+
+  async _replay(channel, operation, request, onToken) {
+    const key = stableStringify(request ?? null);
+    let index = this.interactions.findIndex((i, n) =>
+      !this._used.has(n) && i.channel === channel && i.operation === operation && stableStringify(i.request) === key);
+
+    if (index === -1) {
+      index = this.interactions.findIndex((i, n) => !this._used.has(n) && i.channel === channel && i.operation === operation);
+      if (index === -1) {
+        throw new Error(`[Cassette] No recorded ${channel} call for ${operation}`);
+      }
+      this.logger.debug(`[Cassette] Request for ${operation} differs from the recording — replaying next ${operation} call`);
+    }
+
+    this._used.add(index);
+    const interaction = this.interactions[index];
+
+    if (typeof onToken === 'function') {
+      (interaction.tokens || []).forEach(token => onToken(token));
+    }
+    if (interaction.error) {
+      throw Object.assign(new Error(interaction.error.message), interaction.error.code ? { code: interaction.error.code } : {});
+    }
+    return interaction.response === null ? undefined : JSON.parse(JSON.stringify(interaction.response));
+  }
+
+  /**
+   * Recorded calls not yet replayed (a run that diverged leaves some behind)
+   * @returns {Array<Object>} Unused interactions
+   */
+  remaining() {
+    return this.interactions.filter((_, n) => !this._used.has(n));
+  }
+}
+
+module.exports = Cassette;
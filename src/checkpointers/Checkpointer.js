@@ -0,0 +1,60 @@
+/**
+ * Checkpointer - Abstract interface for durable StateGraph checkpoints
+ * 
+ * StateGraph saves a checkpoint after every node so a run can be resumed
+ * with graph.resume(runId) after a crash or app restart.
+ * 
+ * Implementations:
+ * - MemoryCheckpointer: In-process Map (tests, single-session use)
+ * - FileCheckpointer: One JSON file per run on disk (survives restarts)
+ * 
+ * Checkpoint shape:
+ *   {
+ *     runId: string,
+ *     status: 'running' | 'completed' | 'failed' | 'cancelled' | 'interrupted',
+ *     nextNode: string,      // node to execute when resuming
+ *     iterations: number,    // loop counter at the time of the save
+ *     state: Object,         // serializable state (functions and adapters stripped)
+ *     updatedAt: string      // ISO timestamp
+ *   }
+ */
+
+class Checkpointer {
+  /**
+   * Persist a checkpoint for a run (overwrites any previous one)
+   * @param {string} runId - Run identifier
+   * @param {Object} checkpoint - Checkpoint object
+   * @returns {Promise<void>}
+   */
+  async save(runId, checkpoint) {
+    throw new Error(`${this.constructor.name}.save() must be implemented`);
+  }
+
+  /**
+   * Load the latest checkpoint for a run
+   * @param {string} runId - Run identifier
+   * @returns {Promise<Object|null>} Checkpoint or null if none exists
+   */
+  async load(runId) {
+    throw new Error(`${this.constructor.name}.load() must be implemented`);
+  }
+
+  /**
+   * Delete the checkpoint for a run
+   * @param {string} runId - Run identifier
+   * @returns {Promise<void>}
+   */
+  async delete(runId) {
+    throw new Error(`${this.constructor.name}.delete() must be implemented`);
+  }
+
+  /**
+   * List stored checkpoints (without state payloads)
+   * @returns {Promise<Array<{runId, status, nextNode, iterations, updatedAt}>>}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name}.list() must be implemented`);
+  }
+}
+
+module.exports = Checkpointer;
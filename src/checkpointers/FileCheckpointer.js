@@ -0,0 +1,74 @@
+/**
+ * FileCheckpointer - File-based checkpoint store
+ * 
+ * Writes one JSON file per run to a directory (default: ~/.thinkdrop/checkpoints).
+ * Writes are atomic (tmp file + rename) so a crash mid-write never leaves
+ * a truncated checkpoint behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Checkpointer = require('./Checkpointer');
+
+class FileCheckpointer extends Checkpointer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir=~/.thinkdrop/checkpoints] - Directory for checkpoint files
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir || path.join(os.homedir(), '.thinkdrop', 'checkpoints');
+  }
+
+  _filePath(runId) {
+    // runIds are generated by StateGraph but may come from callers — keep filenames
+    // safe and distinct (percent-encoding is reversible, so a/b and a_b never share a file)
+    const name = encodeURIComponent(String(runId)).replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async save(runId, checkpoint) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const filePath = this._filePath(runId);
+    const tmp = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(checkpoint, null, 2), 'utf8');
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  async load(runId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._filePath(runId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(runId) {
+    await fs.promises.rm(this._filePath(runId), { force: true });
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const checkpoints = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const { state, ...meta } = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+        checkpoints.push(meta);
+      } catch (_) {
+        // Skip unreadable/partial files
+      }
+    }
+    return checkpoints;
+  }
+}
+
+module.exports = FileCheckpointer;
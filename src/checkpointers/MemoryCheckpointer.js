@@ -0,0 +1,35 @@
+/**
+ * MemoryCheckpointer - In-memory checkpoint store
+ * 
+ * Keeps checkpoints in a Map for the lifetime of the process.
+ * Useful for tests and for resuming within a single app session.
+ * Checkpoints are deep-copied on save/load so callers cannot mutate them.
+ */
+
+const Checkpointer = require('./Checkpointer');
+
+class MemoryCheckpointer extends Checkpointer {
+  constructor() {
+    super();
+    this.checkpoints = new Map();
+  }
+
+  async save(runId, checkpoint) {
+    this.checkpoints.set(runId, JSON.parse(JSON.stringify(checkpoint)));
+  }
+
+  async load(runId) {
+    const checkpoint = this.checkpoints.get(runId);
+    return checkpoint ? JSON.parse(JSON.stringify(checkpoint)) : null;
+  }
+
+  async delete(runId) {
+    this.checkpoints.delete(runId);
+  }
+
+  async list() {
+    return [...this.checkpoints.values()].map(({ state, ...meta }) => meta);
+  }
+}
+
+module.exports = MemoryCheckpointer;
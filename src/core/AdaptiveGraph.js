@@ -0,0 +1,201 @@
+/**
+ * AdaptiveGraph - A graph rebuilt whenever the services it can use change
+ *
+ * StateGraphBuilder.auto() creates it with two functions:
+ *   probe()           → availability ({ services, llmAvailable })
+ *   build(available)  → { graph, selection } for that availability
+ * refresh() probes again and rebuilds only when the selection changed
+ * (selection.key). With refreshIntervalMs it refreshes on a timer until
+ * stop(). Runs already in flight finish on the graph they started with.
+ *
+ * execute(), stream(), rerunFrom(), stateAt(), toMermaid(), toDot(),
+ * compile() and the RunManager hooks delegate to the current graph; final
+ * states carry state.graphProfile = { profile, skippedNodes }. resume()
+ * continues an interrupted run on the graph it was interrupted on (so
+ * in-memory interrupts survive a rebuild); other runs resume on the current
+ * graph.
+ */
+
+class AdaptiveGraph {
+  /**
+   * @param {Object} options
+   * @param {Function} options.probe - async () => availability
+   * @param {Function} options.build - (availability) => { graph, selection }
+   * @param {number} [options.refreshIntervalMs=0] - Re-probe interval (0: only on refresh())
+   * @param {Function} [options.onChange] - (selection, previousSelection) after a rebuild
+   * @param {Object} [options.logger] - Logger (default: console)
+   */
+  constructor(options) {
+    this.probe = options.probe;
+    this.build = options.build;
+    this.refreshIntervalMs = options.refreshIntervalMs || 0;
+    this.onChange = options.onChange || null;
+    this.logger = options.logger || console;
+
+    this.graph = null;
+    this.selection = null;
+    this.probedAt = null;
+    this._refreshing = null;
+    this._timer = null;
+    this._suspended = new Map(); // interrupt token → { graph, selection } it was interrupted on
+  }
+
+  /** Chosen profile ('full' | 'partial' | 'minimal') */
+  get profile() {
+    return this.selection?.profile || null;
+  }
+
+  /** Nodes left out because a service they need is unavailable */
+  get skippedNodes() {
+    return this.selection ? [...this.selection.skippedNodes] : [];
+  }
+
+  /**
+   * Probe the services and rebuild the graph if the selection changed
+   * Concurrent calls share one probe.
+   * @returns {Promise<Object>} Current selection
+   */
+  refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  async _refresh() {
+    const availability = await this.probe();
+    this.probedAt = Date.now();
+    const { graph, selection } = this.build(availability);
+    if (this.selection && selection.key === this.selection.key) return this.selection;
+
+    const previous = this.selection;
+    this.graph = graph;
+    this.selection = selection;
+    if (previous) {
+      this.logger.info(`[StateGraphBuilder] auto: profile ${previous.profile} → ${selection.profile}` +
+        (selection.skippedNodes.length > 0 ? ` (skipped: ${selection.skippedNodes.join(', ')})` : ''));
+      if (this.onChange) {
+        try {
+          this.onChange(selection, previous);
+        } catch (error) {
+          this.logger.warn('[StateGraphBuilder] auto: onChange failed:', error.message);
+        }
+      }
+    }
+    return selection;
+  }
+
+  /**
+   * Re-probe every refreshIntervalMs (the timer does not keep the process alive)
+   * @param {number} [intervalMs] - Overrides options.refreshIntervalMs
+   * @returns {AdaptiveGraph} this
+   */
+  start(intervalMs = this.refreshIntervalMs) {
+    this.stop();
+    if (!intervalMs) return this;
+    this._timer = setInterval(() => {
+      this.refresh().catch(error => this.logger.warn('[StateGraphBuilder] auto: re-probe failed:', error.message));
+    }, intervalMs);
+    this._timer.unref?.();
+    return this;
+  }
+
+  /** Stop re-probing */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Execute on the current graph (see StateGraph.execute)
+   * @returns {Promise<Object>} Final state with graphProfile
+   */
+  async execute(initialState, onProgress = null, abortSignal = null) {
+    const current = this._current();
+    return this._finish(current, await current.graph.execute(initialState, onProgress, abortSignal));
+  }
+
+  /**
+   * Resume a run (see StateGraph.resume)
+   * @returns {Promise<Object>} Final state with graphProfile
+   */
+  async resume(token, userReply = undefined, options = {}) {
+    const target = this._suspended.get(token) || this._current();
+    this._suspended.delete(token);
+    return this._finish(target, await target.graph.resume(token, userReply, options));
+  }
+
+  /**
+   * Re-run from a trace step on the current graph (see StateGraph.rerunFrom)
+   * @returns {Promise<Object>} Final state with graphProfile
+   */
+  async rerunFrom(runState, step, options = {}) {
+    const current = this._current();
+    return this._finish(current, await current.graph.rerunFrom(runState, step, options));
+  }
+
+  /** See StateGraph.stateAt */
+  stateAt(runState, step) {
+    return this._current().graph.stateAt(runState, step);
+  }
+
+  /** Mermaid flowchart of the current graph (see StateGraph.toMermaid) */
+  toMermaid(options = {}) {
+    return this._current().graph.toMermaid(options);
+  }
+
+  /** Graphviz DOT of the current graph (see StateGraph.toDot) */
+  toDot(options = {}) {
+    return this._current().graph.toDot(options);
+  }
+
+  /**
+   * Validate the current graph (see StateGraph.compile)
+   * @returns {AdaptiveGraph} this (chainable)
+   */
+  compile() {
+    this._current().graph.compile();
+    return this;
+  }
+
+  /**
+   * Stream from the current graph (see StateGraph.stream)
+   * @returns {AsyncGenerator<Object>} Events; final_state carries graphProfile
+   */
+  async *stream(initialState, options = {}) {
+    const { graph, selection } = this._current();
+    for await (const event of graph.stream(initialState, options)) {
+      yield event.type === 'final_state'
+        ? { ...event, state: this._finish({ graph, selection }, event.state) }
+        : event;
+    }
+  }
+
+  /** Run ids come from the current graph (used by RunManager) */
+  _createRunId() {
+    return this._current().graph._createRunId();
+  }
+
+  /** Tag a final state with its profile; remember interrupted runs for resume() */
+  _finish(target, finalState) {
+    if (finalState.interrupted && finalState.interrupt) {
+      this._suspended.set(finalState.interrupt.token, target);
+    }
+    return { ...finalState, graphProfile: describe(target.selection) };
+  }
+
+  _current() {
+    if (!this.graph) {
+      throw new Error('[StateGraphBuilder] auto: graph not built yet — await refresh() first');
+    }
+    return { graph: this.graph, selection: this.selection };
+  }
+}
+
+function describe(selection) {
+  return { profile: selection.profile, skippedNodes: [...selection.skippedNodes] };
+}
+
+module.exports = AdaptiveGraph;
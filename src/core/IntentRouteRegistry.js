@@ -0,0 +1,177 @@
+/**
+ * IntentRouteRegistry - Where each intent type goes after enrichIntent
+ *
+ * Routes map intent types to a target, with an optional precondition and a
+ * priority. The router built by router() takes the first matching route:
+ *   - routes for state.intent.type and wildcard ('*') routes are candidates
+ *   - higher priority first; on a tie the later registration wins, so a
+ *     caller's route replaces a built-in one for the same intent
+ *   - when(state) — a function or a condition string (see graphDefinition) —
+ *     must hold; routes without one always match
+ *   - no match → the default route
+ *
+ *   const routes = new IntentRouteRegistry({ defaultRoute: 'answer' });
+ *   routes.register('calendar_query', { to: 'calendarLookup' });
+ *   routes.register('command_automate', { to: 'planSkills', when: 'matchedSkillName', priority: 10 });
+ *   edges.enrichIntent = routes.router();
+ *
+ * Targets are node names, StateGraph.parallel() edges or route() routers.
+ */
+
+const { route, isParallelEdge } = require('./validateGraph');
+const { compileCondition } = require('./graphDefinition');
+
+const WILDCARD = '*';
+
+class IntentRouteRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object|Function} [options.defaultRoute='end'] - Target when no route matches
+   * @param {string} [options.fallbackIntent='general_query'] - Intent type assumed when state.intent has none
+   * @param {Object} [options.logger] - Logger (default: console)
+   */
+  constructor(options = {}) {
+    this.fallbackIntent = options.fallbackIntent || 'general_query';
+    this.logger = options.logger || console;
+    this.routes = [];
+    this._seq = 0;
+    this.setDefault(options.defaultRoute || 'end');
+  }
+
+  /**
+   * Register a route for one or more intent types
+   * @param {string|Array<string>} intents - Intent types, or '*' for every intent
+   * @param {Object} routeSpec
+   * @param {string|Object|Function} routeSpec.to - Target node, parallel edge or route() router
+   * @param {Function|string} [routeSpec.when] - Precondition (state) => boolean, or condition string
+   * @param {number} [routeSpec.priority=0] - Higher is tried first
+   * @param {string} [routeSpec.name] - Label for logs and list()
+   * @returns {Function} Unregister
+   */
+  register(intents, routeSpec = {}) {
+    const types = [].concat(intents);
+    if (types.length === 0 || types.some(type => typeof type !== 'string' || !type)) {
+      throw new Error('[IntentRouteRegistry] register() needs intent type names');
+    }
+    checkTarget(routeSpec.to, `route for ${types.join(', ')}`);
+    if (routeSpec.when !== undefined && typeof routeSpec.when !== 'function' && typeof routeSpec.when !== 'string') {
+      throw new Error(`[IntentRouteRegistry] when of route for ${types.join(', ')} must be a function or condition string`);
+    }
+
+    const entry = {
+      intents: types,
+      to: routeSpec.to,
+      when: typeof routeSpec.when === 'string' ? compileCondition(routeSpec.when) : routeSpec.when || null,
+      condition: typeof routeSpec.when === 'string' ? routeSpec.when : routeSpec.when ? '(function)' : null,
+      priority: routeSpec.priority || 0,
+      name: routeSpec.name || `${types.join('|')} → ${describeTarget(routeSpec.to)}`,
+      seq: this._seq++
+    };
+    this.routes.push(entry);
+    return () => {
+      this.routes = this.routes.filter(existing => existing !== entry);
+    };
+  }
+
+  /**
+   * Remove every route registered for an intent type
+   * @param {string} intent - Intent type (or '*')
+   * @returns {number} Routes removed
+   */
+  unregister(intent) {
+    const before = this.routes.length;
+    this.routes = this.routes.filter(entry => !entry.intents.includes(intent));
+    return before - this.routes.length;
+  }
+
+  /**
+   * @param {string|Object|Function} to - Target when no route matches
+   */
+  setDefault(to) {
+    checkTarget(to, 'default route');
+    this.defaultRoute = to;
+  }
+
+  /**
+   * Routes in the order they are tried (for one intent, or all)
+   * @param {string} [intent] - Intent type
+   * @returns {Array<Object>} { name, intents, to, condition, priority }
+   */
+  list(intent) {
+    return this._candidates(intent)
+      .map(({ name, intents, to, condition, priority }) => ({ name, intents: [...intents], to, condition, priority }));
+  }
+
+  /**
+   * Every node a route may lead to (the router's declared targets)
+   * @returns {Array<string>}
+   */
+  targets() {
+    const names = [...this.routes.map(entry => entry.to), this.defaultRoute].flatMap(targetNames);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Pick the target for a state
+   * @param {Object} state - Run state
+   * @returns {{ to: string|Object, route: string, intent: string }}
+   */
+  match(state) {
+    const intent = state.intent?.type || this.fallbackIntent;
+    for (const entry of this._candidates(intent)) {
+      if (!entry.when || entry.when(state)) {
+        return { to: resolve(entry.to, state), route: entry.name, intent };
+      }
+    }
+    return { to: resolve(this.defaultRoute, state), route: 'default', intent };
+  }
+
+  /**
+   * Router function for an edge; reads the registry on every call, and its
+   * declared targets follow later registrations
+   * @param {string} [from='enrichIntent'] - Source node (for logs)
+   * @returns {Function} route() router
+   */
+  router(from = 'enrichIntent') {
+    const fn = route([], (state) => {
+      const { to, route: name, intent } = this.match(state);
+      this.logger.debug(`[StateGraph:Router] ${from} exit — intent: ${intent} → ${describeTarget(to)} (${name})`);
+      return to;
+    });
+    Object.defineProperty(fn, 'targets', { get: () => this.targets(), enumerable: true });
+    return fn;
+  }
+
+  _candidates(intent) {
+    return this.routes
+      .filter(entry => intent === undefined || entry.intents.includes(intent) || entry.intents.includes(WILDCARD))
+      .sort((a, b) => (b.priority - a.priority) || (b.seq - a.seq));
+  }
+}
+
+function checkTarget(to, label) {
+  const valid = (typeof to === 'string' && to)
+    || isParallelEdge(to)
+    || (typeof to === 'function' && Array.isArray(to.targets));
+  if (!valid) {
+    throw new Error(`[IntentRouteRegistry] ${label} needs a node name, parallel edge or route() router as its target`);
+  }
+}
+
+function resolve(to, state) {
+  return typeof to === 'function' ? to(state) : to;
+}
+
+function targetNames(to) {
+  if (typeof to === 'function') return to.targets;
+  if (isParallelEdge(to)) return [...(Array.isArray(to.nodes) ? to.nodes : to.nodes.targets || []), to.join];
+  return [to];
+}
+
+function describeTarget(to) {
+  if (typeof to === 'function') return `route(${to.targets.join(', ')})`;
+  if (isParallelEdge(to)) return `parallel(${targetNames(to).slice(0, -1).join(', ')}) → ${to.join}`;
+  return to;
+}
+
+module.exports = IntentRouteRegistry;
@@ -0,0 +1,198 @@
+/**
+ * PluginRegistry - Nodes, routes, pseudo-skills and planner prompts from other packages
+ *
+ * A plugin is a plain object:
+ *   {
+ *     name: 'calendar',                       // required, unique
+ *     version: '1.0.0',
+ *     nodes: { calendarLookup: fn | { node: fn, usesLLM: true } },
+ *     edges: { calendarLookup: 'answer' },    // where full() sends each plugin node
+ *     routes: [{ intent: 'calendar_query', to: 'calendarLookup', when, priority }],
+ *     skills: { 'calendar.create': handler | { handler, description } },
+ *     plannerPrompt: 'text' | ['text', ...] | (state) => 'text'
+ *   }
+ *
+ * Skill handlers run inside executeCommand as pseudo-skills (no command
+ * service call): handler(args, context) with context = { state, step,
+ * logger, mcpAdapter, llmBackend, signal, progress }. They return
+ * { ok = true, stdout, result, error, updates } — updates are merged into
+ * the state — or throw to fail the step (recoverSkill takes over).
+ *
+ * StateGraphBuilder.use(plugin) registers with the builder's shared registry;
+ * options.plugins gives one graph its own list.
+ */
+
+// Pseudo-skills executeCommand implements itself — reserved, plugins cannot reuse them
+const BUILT_IN_SKILLS = ['schedule', 'needs_skill', 'api_suggest', 'guide.step', 'smartFill', 'skill.install', 'list_skills', 'synthesize'];
+
+const PLUGIN_KEYS = new Set(['name', 'version', 'nodes', 'edges', 'routes', 'skills', 'plannerPrompt']);
+
+class PluginRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.plugins] - Plugins to register
+   * @param {Object} [options.logger] - Logger (default: console)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.plugins = new Map(); // name → normalized plugin
+    for (const plugin of options.plugins || []) this.use(plugin);
+  }
+
+  /**
+   * Register a plugin
+   * @param {Object} plugin - See the module comment
+   * @returns {PluginRegistry} this
+   * @throws {Error} If the plugin is malformed or its names clash with another plugin
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error('[PluginRegistry] A plugin needs a name');
+    }
+    const { name } = plugin;
+    if (this.plugins.has(name)) {
+      throw new Error(`[PluginRegistry] Plugin ${name} is already registered`);
+    }
+    const unknown = Object.keys(plugin).filter(key => !PLUGIN_KEYS.has(key));
+    if (unknown.length > 0) {
+      throw new Error(`[PluginRegistry] Plugin ${name} has unknown keys: ${unknown.join(', ')}`);
+    }
+
+    const nodes = {};
+    for (const [nodeName, spec] of Object.entries(plugin.nodes || {})) {
+      const node = typeof spec === 'function' ? spec : spec?.node;
+      if (typeof node !== 'function') {
+        throw new Error(`[PluginRegistry] Plugin ${name}: node ${nodeName} must be a function or { node, usesLLM }`);
+      }
+      nodes[nodeName] = { node, usesLLM: !!spec.usesLLM };
+    }
+    for (const nodeName of Object.keys(plugin.edges || {})) {
+      if (!nodes[nodeName]) {
+        throw new Error(`[PluginRegistry] Plugin ${name}: edge from ${nodeName}, which the plugin does not define`);
+      }
+    }
+
+    const skills = {};
+    for (const [skillName, spec] of Object.entries(plugin.skills || {})) {
+      const handler = typeof spec === 'function' ? spec : spec?.handler;
+      if (typeof handler !== 'function') {
+        throw new Error(`[PluginRegistry] Plugin ${name}: skill ${skillName} must be a function or { handler, description }`);
+      }
+      if (BUILT_IN_SKILLS.includes(skillName)) {
+        throw new Error(`[PluginRegistry] Plugin ${name}: ${skillName} is a built-in pseudo-skill`);
+      }
+      skills[skillName] = { handler, description: spec.description || null };
+    }
+
+    for (const other of this.plugins.values()) {
+      const clash = [
+        ...Object.keys(nodes).filter(nodeName => other.nodes[nodeName]).map(nodeName => `node ${nodeName}`),
+        ...Object.keys(skills).filter(skillName => other.skills[skillName]).map(skillName => `skill ${skillName}`)
+      ];
+      if (clash.length > 0) {
+        throw new Error(`[PluginRegistry] Plugin ${name} redefines ${clash.join(', ')} of plugin ${other.name}`);
+      }
+    }
+
+    const prompts = [].concat(plugin.plannerPrompt || []);
+    if (prompts.some(prompt => typeof prompt !== 'string' && typeof prompt !== 'function')) {
+      throw new Error(`[PluginRegistry] Plugin ${name}: plannerPrompt must be text or (state) => text`);
+    }
+
+    this.plugins.set(name, {
+      name,
+      version: plugin.version || null,
+      nodes,
+      edges: { ...(plugin.edges || {}) },
+      routes: (plugin.routes || []).map(route => ({ ...route, name: route.name || `${name}: ${[].concat(route.intent).join('|')}` })),
+      skills,
+      prompts
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} name - Plugin name
+   * @returns {boolean} False if no such plugin
+   */
+  remove(name) {
+    return this.plugins.delete(name);
+  }
+
+  /**
+   * @returns {Array<Object>} { name, version, nodes, routes, skills } per plugin
+   */
+  list() {
+    return [...this.plugins.values()].map(plugin => ({
+      name: plugin.name,
+      version: plugin.version,
+      nodes: Object.keys(plugin.nodes),
+      routes: plugin.routes.length,
+      skills: Object.keys(plugin.skills)
+    }));
+  }
+
+  /** @returns {Object} { nodeName: { node, usesLLM, plugin } } */
+  nodes() {
+    return this._collect(plugin => Object.entries(plugin.nodes).map(([nodeName, spec]) => [nodeName, { ...spec, plugin: plugin.name }]));
+  }
+
+  /** @returns {Object} { nodeName: edge } */
+  edges() {
+    return this._collect(plugin => Object.entries(plugin.edges));
+  }
+
+  /** @returns {Array<Object>} Intent routes ({ intent, to, when, priority, name }) */
+  routes() {
+    return [...this.plugins.values()].flatMap(plugin => plugin.routes);
+  }
+
+  /**
+   * @param {string} skillName - Step skill
+   * @returns {{ handler, description, plugin }|null}
+   */
+  skill(skillName) {
+    for (const plugin of this.plugins.values()) {
+      if (plugin.skills[skillName]) return { ...plugin.skills[skillName], plugin: plugin.name };
+    }
+    return null;
+  }
+
+  /** @returns {Array<{ name, description, plugin }>} Every plugin skill */
+  skills() {
+    return [...this.plugins.values()].flatMap(plugin => Object.entries(plugin.skills)
+      .map(([skillName, spec]) => ({ name: skillName, description: spec.description, plugin: plugin.name })));
+  }
+
+  /**
+   * Planner system prompt section: plugin skills and prompt fragments
+   * A fragment that throws is left out.
+   * @param {Object} state - Run state (for function fragments)
+   * @returns {string} Section text, or '' without plugins that contribute
+   */
+  plannerPrompt(state) {
+    const parts = [];
+    const described = this.skills().filter(skill => skill.description);
+    if (described.length > 0) {
+      parts.push(`Plugin skills (plan them like any other skill: { "skill": "<name>", "args": { ... } }):\n${described.map(skill => `  - ${skill.name} — ${skill.description}`).join('\n')}`);
+    }
+    for (const plugin of this.plugins.values()) {
+      for (const prompt of plugin.prompts) {
+        try {
+          const text = typeof prompt === 'function' ? prompt(state) : prompt;
+          if (text) parts.push(String(text).trim());
+        } catch (error) {
+          this.logger.warn(`[PluginRegistry] plannerPrompt of plugin ${plugin.name} failed:`, error.message);
+        }
+      }
+    }
+    return parts.length > 0 ? `## PLUGIN SKILLS\n\n${parts.join('\n\n')}` : '';
+  }
+
+  _collect(entries) {
+    return Object.fromEntries([...this.plugins.values()].flatMap(entries));
+  }
+}
+
+module.exports = PluginRegistry;
+module.exports.BUILT_IN_SKILLS = BUILT_IN_SKILLS;
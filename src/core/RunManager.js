@@ -0,0 +1,310 @@
+/**
+ * RunManager - Concurrent graph runs with per-session isolation
+ *
+ * One compiled StateGraph serves every conversation; the manager keeps the
+ * registry of runs the graph itself does not have:
+ *   - list() / status(runId) / cancel(runId) / cancelSession(sessionId)
+ *   - maxConcurrentPerSession (default 1): another message for a busy session
+ *     is queued (overflow: 'queue') or rejected (overflow: 'reject')
+ *   - run events (the graph.stream() events plus 'run_queued') go to the run's
+ *     onEvent and to that session's subscribers only
+ *   - sessionKeys (activeBrowserSessionId, activeBrowserUrl) carry over to the
+ *     session's next run, never to another session
+ *   - status(runId).runLog is the run's own capturing-logger output
+ *
+ *   const runs = new RunManager(graph, { overflow: 'queue' });
+ *   const run = runs.start({ message }, { sessionId: 'window-1', onEvent });
+ *   runs.list({ sessionId: 'window-1' });   // [{ runId, status: 'running', node, ... }]
+ *   runs.cancel(run.runId);
+ *   const finalState = await run.result;
+ */
+
+const DEFAULT_SESSION_KEYS = ['activeBrowserSessionId', 'activeBrowserUrl'];
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled', 'interrupted']);
+
+class RunManager {
+  /**
+   * @param {StateGraph} graph - Compiled graph shared by all sessions
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrentPerSession=1] - Runs per session at once
+   * @param {string} [options.overflow='queue'] - 'queue' | 'reject' when a session is busy
+   * @param {Array<string>} [options.sessionKeys] - State keys carried to the session's next run
+   * @param {number} [options.historySize=100] - Finished runs kept for status()
+   * @param {Object} [options.logger] - Logger (default: graph.logger)
+   */
+  constructor(graph, options = {}) {
+    if (!graph || typeof graph.stream !== 'function') {
+      throw new Error('[RunManager] A StateGraph is required');
+    }
+    if (options.overflow && !['queue', 'reject'].includes(options.overflow)) {
+      throw new Error(`[RunManager] Unknown overflow mode: ${options.overflow}`);
+    }
+    this.graph = graph;
+    this.maxConcurrentPerSession = options.maxConcurrentPerSession || 1;
+    this.overflow = options.overflow || 'queue';
+    this.sessionKeys = options.sessionKeys || DEFAULT_SESSION_KEYS;
+    this.historySize = options.historySize ?? 100;
+    this.logger = options.logger || graph.logger || console;
+
+    this.runs = new Map();     // runId → run record (live and recent)
+    this.sessions = new Map(); // sessionId → { running: Set<runId>, queue: [record], values, listeners: Set }
+  }
+
+  /**
+   * Start (or queue) a run
+   * @param {Object} initialState - Graph input (may include runId)
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Defaults to state.sessionId, state.context.sessionId, then 'default'
+   * @param {Function} [options.onEvent] - (event) => void for this run's events
+   * @returns {{ runId, sessionId, result: Promise<Object>, cancel: Function }}
+   */
+  start(initialState = {}, options = {}) {
+    const sessionId = options.sessionId || initialState.sessionId || initialState.context?.sessionId || 'default';
+    const runId = initialState.runId || this.graph._createRunId();
+    const existing = this.runs.get(runId);
+    if (existing && !FINISHED.has(existing.status)) {
+      throw new Error(`[RunManager] Run ${runId} is already ${existing.status}`);
+    }
+
+    const session = this._session(sessionId);
+    const busy = session.running.size >= this.maxConcurrentPerSession;
+    if (busy && this.overflow === 'reject') {
+      throw Object.assign(
+        new Error(`[RunManager] Session ${sessionId} already has ${session.running.size} run(s) in progress`),
+        { code: 'SESSION_BUSY', sessionId }
+      );
+    }
+
+    const record = {
+      runId,
+      sessionId,
+      status: 'queued',
+      node: null,
+      queuedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      runLog: [],
+      initialState,
+      onEvent: options.onEvent || null,
+      controller: new AbortController()
+    };
+    record.result = new Promise((resolve, reject) => {
+      record.resolve = resolve;
+      record.reject = reject;
+    });
+    record.result.catch(() => {}); // Callers that never await the result must not crash the process
+    this.runs.delete(runId);
+    this.runs.set(runId, record);
+
+    if (busy) {
+      session.queue.push(record);
+      this.logger.info(`[RunManager] Session ${sessionId} busy — queued run ${runId} (position ${session.queue.length})`);
+      this._emit(record, { type: 'run_queued', position: session.queue.length });
+    } else {
+      this._launch(record);
+    }
+
+    return { runId, sessionId, result: record.result, cancel: () => this.cancel(runId) };
+  }
+
+  /**
+   * Start a run and wait for its final state
+   * @param {Object} initialState - Graph input
+   * @param {Object} [options] - start() options
+   * @returns {Promise<Object>} Final state
+   */
+  execute(initialState = {}, options = {}) {
+    return this.start(initialState, options).result;
+  }
+
+  /**
+   * Runs in the registry (live first, then recent)
+   * @param {Object} [filter]
+   * @param {string} [filter.sessionId] - Only this session
+   * @param {string|Array<string>} [filter.status] - Only these statuses
+   * @returns {Array<Object>} Run descriptions (see status())
+   */
+  list(filter = {}) {
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    const order = { running: 0, queued: 1 };
+    return [...this.runs.values()]
+      .filter(record => !filter.sessionId || record.sessionId === filter.sessionId)
+      .filter(record => !statuses || statuses.includes(record.status))
+      .sort((a, b) => (order[a.status] ?? 2) - (order[b.status] ?? 2))
+      .map(record => this._describe(record));
+  }
+
+  /**
+   * @param {string} runId - Run identifier
+   * @returns {Object|null} { runId, sessionId, status, node, queuedAt, startedAt,
+   *   finishedAt, elapsedMs, error, position?, runLog }
+   */
+  status(runId) {
+    const record = this.runs.get(runId);
+    return record ? this._describe(record) : null;
+  }
+
+  /**
+   * Cancel a running or queued run
+   * A running run stops through its AbortSignal and resolves with state.cancelled.
+   * @param {string} runId - Run identifier
+   * @returns {boolean} False if the run is unknown or already finished
+   */
+  cancel(runId) {
+    const record = this.runs.get(runId);
+    if (!record || FINISHED.has(record.status)) return false;
+
+    if (record.status === 'queued') {
+      const session = this._session(record.sessionId);
+      session.queue = session.queue.filter(queued => queued !== record);
+      this.logger.info(`[RunManager] Cancelled queued run ${runId}`);
+      this._finish(record, { ...record.initialState, runId, cancelled: true, success: false, error: 'Cancelled by user' });
+      return true;
+    }
+
+    this.logger.info(`[RunManager] Cancelling run ${runId}`);
+    record.controller.abort();
+    return true;
+  }
+
+  /**
+   * Cancel every running and queued run of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {number} Runs cancelled
+   */
+  cancelSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return 0;
+    // Queued runs first, so a cancelled running run does not start the next one
+    const runIds = [...session.queue.map(record => record.runId), ...session.running];
+    return runIds.filter(runId => this.cancel(runId)).length;
+  }
+
+  /**
+   * Receive the events of every run of one session
+   * @param {string} sessionId - Session identifier
+   * @param {Function} listener - (event) => void; event carries runId and sessionId
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(sessionId, listener) {
+    const { listeners } = this._session(sessionId);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Values carried between the session's runs (a copy)
+   * @param {string} sessionId - Session identifier
+   * @returns {Object}
+   */
+  sessionState(sessionId) {
+    return { ...(this.sessions.get(sessionId)?.values || {}) };
+  }
+
+  _session(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { running: new Set(), queue: [], values: {}, listeners: new Set() });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  async _launch(record) {
+    const session = this._session(record.sessionId);
+    session.running.add(record.runId);
+    record.status = 'running';
+    record.startedAt = Date.now();
+
+    // Session values are read at launch, so a queued follow-up sees what the run before it left
+    const carried = {};
+    for (const key of this.sessionKeys) {
+      if (session.values[key] !== undefined && record.initialState[key] === undefined) carried[key] = session.values[key];
+    }
+    const state = { ...carried, ...record.initialState, runId: record.runId, runLog: record.runLog };
+
+    let finalState = null;
+    try {
+      for await (const event of this.graph.stream(state, { abortSignal: record.controller.signal })) {
+        if (event.type === 'node_started') record.node = event.node;
+        if (event.type === 'final_state') finalState = event.state;
+        this._emit(record, event);
+      }
+    } catch (error) {
+      this.logger.error(`[RunManager] Run ${record.runId} threw:`, error.message);
+      this._finish(record, null, error);
+      return;
+    }
+
+    for (const key of this.sessionKeys) {
+      if (key in finalState) session.values[key] = finalState[key];
+    }
+    this._finish(record, finalState);
+  }
+
+  _finish(record, finalState, error = null) {
+    const session = this._session(record.sessionId);
+    const wasRunning = session.running.delete(record.runId);
+
+    record.finishedAt = Date.now();
+    record.node = null;
+    if (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      record.reject(error);
+    } else {
+      record.status = finalState.interrupted ? 'interrupted'
+        : finalState.cancelled ? 'cancelled'
+          : finalState.error || finalState.success === false ? 'failed' : 'completed';
+      record.error = finalState.error || null;
+      record.resolve(finalState);
+    }
+    delete record.initialState;
+    this._prune();
+
+    if (wasRunning && session.queue.length > 0) {
+      this._launch(session.queue.shift());
+    }
+  }
+
+  _emit(record, event) {
+    const routed = { ...event, runId: record.runId, sessionId: record.sessionId };
+    const listeners = [record.onEvent, ...this._session(record.sessionId).listeners].filter(Boolean);
+    for (const listener of listeners) {
+      try {
+        listener(routed);
+      } catch (error) {
+        this.logger.warn(`[RunManager] Event listener failed for run ${record.runId}:`, error.message);
+      }
+    }
+  }
+
+  _describe(record) {
+    const description = {
+      runId: record.runId,
+      sessionId: record.sessionId,
+      status: record.status,
+      node: record.node,
+      queuedAt: record.queuedAt,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+      elapsedMs: record.startedAt ? (record.finishedAt || Date.now()) - record.startedAt : 0,
+      error: record.error,
+      runLog: [...record.runLog]
+    };
+    if (record.status === 'queued') {
+      description.position = this._session(record.sessionId).queue.indexOf(record) + 1;
+    }
+    return description;
+  }
+
+  /** Drop the oldest finished runs beyond historySize */
+  _prune() {
+    const finished = [...this.runs.values()].filter(record => FINISHED.has(record.status));
+    for (const record of finished.slice(0, Math.max(0, finished.length - this.historySize))) {
+      this.runs.delete(record.runId);
+    }
+  }
+}
+
+module.exports = RunManager;
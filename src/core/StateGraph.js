@@ -6,8 +6,46 @@
  * - Pluggable MCP adapter
  * - Graceful degradation when services unavailable
  * - Full state trace for debugging
+ * - Optional checkpointing with resume(runId)
+ * - State schema with per-key reducers (nodes may return partial updates)
+ * - Subgraphs: compiled graphs embedded as nodes
+ * - Human-in-the-loop interrupts with resume(token, userReply)
+ * - Per-node timeout, retry/backoff and fallback policies
+ * - Middleware hooks (beforeNode, afterNode, onError, onRouting, onComplete)
+ * - Opt-in voice-state journaling with cancel / pause / inject signals
+ * - stream(): async iterator of typed run events
+ * - Node result cache (per-node cache keys, TTL, LRU bound)
+ * - compile(): static validation of nodes, edges and declared routing targets
+ * - toMermaid() / toDot() topology export with optional trace overlay
+ * - Verbose trace (per-node state diffs), stateAt(step) and rerunFrom(step)
+ * - Optional tracing spans (run → node → MCP / LLM call) via options.tracer
+ * - Optional metrics (counters, latency histograms, gauges) via options.metrics
+ * - Loop guards: maxIterations, per-node maxVisits and repeated-state detection
+ * - AbortSignal honored inside nodes: adapter/backend calls, waits and retries
  */
 
+const crypto = require('crypto');
+const { resolveReducer } = require('./reducers');
+const { route, validateGraph } = require('./validateGraph');
+const graphExport = require('./graphExport');
+const { resolveSnapshotOptions, snapshotState, diffSnapshots, applyDiff } = require('./stateDiff');
+const { resolveLoopDetection, createLoopGuard } = require('./loopGuard');
+const { throwIfAborted, raceAbort, abortableDelay, withAbortSignal } = require('./abort');
+const { interrupt, isInterrupt } = require('./interrupt');
+const MemoryCheckpointer = require('../checkpointers/MemoryCheckpointer');
+
+// State keys injected at runtime — never written to checkpoints
+const RUNTIME_STATE_KEYS = new Set(['mcpAdapter', 'llmBackend', 'logger', 'abortSignal', 'plugins']);
+
+// Engine bookkeeping keys — not passed into or copied out of subgraphs by default
+const ENGINE_STATE_KEYS = new Set(['trace', 'traceBase', 'runLog', 'runId', 'startTime', 'resumedAt', 'elapsedMs', 'iterations', 'success', 'currentNode', 'failedNode', 'cancelled', 'iterationLimitReached', 'loopDetected', 'subgraphInterrupts', ...RUNTIME_STATE_KEYS]);
+
+// Result key a subgraph node uses to hand its nested trace to the engine
+const SUBGRAPH_TRACE = Symbol('subgraphTrace');
+
+// Marks node functions that stop on state.abortSignal themselves (subgraphs)
+const HONORS_ABORT = Symbol('honorsAbort');
+
 class StateGraph {
   constructor(nodes = {}, edges = {}, options = {}) {
     this.nodes = nodes;
@@ -18,28 +56,244 @@ class StateGraph {
     this.logger = options.logger || console;
     this.mcpAdapter = options.mcpAdapter || null;
     this.debug = options.debug || false;
+
+    // Lifecycle hooks registered with use()
+    this.middleware = [];
+
+    // Voice-state journal (opt-in): journal: true | { journalPath, pollIntervalMs, maxPauseMs }
+    if (options.journal) {
+      const { journalMiddleware } = require('../nodes/journalProgress');
+      this.use(journalMiddleware({ logger: this.logger, ...(options.journal === true ? {} : options.journal) }));
+    }
+
+    // Run metrics (opt-in): metrics: true | MetricsRegistry — read them from graph.metrics
+    this.metrics = null;
+    if (options.metrics) {
+      const MetricsRegistry = require('../metrics/MetricsRegistry');
+      const metricsMiddleware = require('../metrics/metricsMiddleware');
+      this.metrics = options.metrics === true ? new MetricsRegistry() : options.metrics;
+      this.use(metricsMiddleware(this.metrics));
+    }
+
+    // Per-node execution policies:
+    //   { timeoutMs, maxRetries, backoff: 'fixed'|'exponential'|(attempt) => ms,
+    //     backoffMs, retryOn: (error) => boolean, fallback: 'nodeName',
+    //     cacheKey: (state) => string, cacheTTL: ms, maxVisits: number }
+    this.nodePolicies = { ...(options.nodePolicies || {}) };
+
+    // Loop guards — see core/loopGuard.js
+    this.maxIterations = options.maxIterations || 50;
+    this.loopDetection = resolveLoopDetection(options.loopDetection);
+
+    // State schema: key → reducer used when merging node updates
+    // (parallelErrors and degradedNodes always accumulate)
+    this.stateSchema = {};
+    for (const [key, reducer] of Object.entries({ parallelErrors: 'append', degradedNodes: 'append', ...(options.stateSchema || {}) })) {
+      this.stateSchema[key] = resolveReducer(reducer);
+    }
+
+    // Durable checkpoints (optional) — enables resume(runId)
+    this.checkpointer = options.checkpointer || null;
+    this._interruptStore = null; // In-memory fallback for interrupts without a checkpointer
     
-    // Caching layer (disabled by default)
+    // Caching layer (disabled by default) — node updates memoized per policy.cacheKey,
+    // LRU-bounded to cacheMaxSize entries
     this.cache = new Map();
     this.cacheStats = { hits: 0, misses: 0 };
     this.cacheTTL = options.cacheTTL || 300000; // 5 minutes
+    this.cacheMaxSize = options.cacheMaxSize || 100;
     this.cacheEnabled = options.cacheEnabled || false;
+
+    // Verbose trace (disabled by default): per-node state diffs — see core/stateDiff.js
+    this.verboseTrace = options.verboseTrace ? resolveSnapshotOptions(options.verboseTrace) : null;
+
+    // Tracing spans (optional) — see tracing/Tracer.js
+    this.tracer = options.tracer || null;
   }
 
   /**
    * Execute the graph workflow
-   * @param {Object} initialState - Starting state
+   * @param {Object} initialState - Starting state (may include runId to name the run)
    * @param {Function} onProgress - Optional callback for progress updates (nodeName, state, duration)
    * @returns {Object} Final state with trace
    */
   async execute(initialState, onProgress = null, abortSignal = null) {
+    const state = this._prepareState({
+      ...initialState,
+      runId: initialState.runId || this._createRunId(),
+      trace: [],
+      startTime: Date.now()
+    });
+
+    return this._run(state, this._resolveStartNode(state), 0, onProgress, abortSignal);
+  }
+
+  /**
+   * Execute the graph as an async iterator of typed events
+   * 
+   * Unifies onProgress, state.progressCallback and state.streamCallback:
+   *   { type: 'node_started', runId, node }
+   *   { type: 'node_completed', runId, node, duration }
+   *   { type: 'token', runId, node, token }            — from state.streamCallback
+   *   { type: 'step_progress', runId, node, step }     — from state.progressCallback
+   *   { type: 'interrupt', runId, node, interrupt }    — run is suspended (see resume())
+   *   { type: 'final_state', runId, state }            — always the last event
+   * Callbacks already present in initialState still receive their calls.
+   * Leaving the loop early (break/return) aborts the run at the next node boundary.
+   * 
+   * @param {Object} initialState - Initial state
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.abortSignal - Optional abort signal
+   * @returns {AsyncGenerator<Object>} Event iterator
+   */
+  async *stream(initialState = {}, options = {}) {
+    const events = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+    let runId = null;
+    let node = null;
+
+    const push = (event) => {
+      events.push({ ...event, runId });
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+
+    // Internal controller so an early exit from the loop can stop the run
+    const controller = new AbortController();
+    const parentSignal = options.abortSignal;
+    const onParentAbort = () => controller.abort();
+    if (parentSignal) {
+      if (parentSignal.aborted) controller.abort();
+      else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    const { progressCallback, streamCallback } = initialState;
+    const runState = {
+      ...initialState,
+      progressCallback: (step) => {
+        push({ type: 'step_progress', node, step });
+        if (typeof progressCallback === 'function') progressCallback(step);
+      },
+      streamCallback: (token) => {
+        push({ type: 'token', node, token });
+        if (typeof streamCallback === 'function') streamCallback(token);
+      }
+    };
+
+    const onProgress = (nodeName, state, duration, status) => {
+      if (status === 'started') {
+        runId = runId || state.runId;
+        node = nodeName;
+        push({ type: 'node_started', node: nodeName });
+      } else if (status === 'completed') {
+        push({ type: 'node_completed', node: nodeName, duration });
+      } else if (status === 'interrupted') {
+        push({ type: 'interrupt', node: nodeName, interrupt: state.interrupt });
+      }
+    };
+
+    this.execute(runState, onProgress, controller.signal)
+      .then(
+        (state) => {
+          runId = state.runId;
+          push({ type: 'final_state', state });
+        },
+        (error) => { failure = error; }
+      )
+      .then(() => {
+        finished = true;
+        if (wake) wake();
+      });
+
+    try {
+      while (true) {
+        if (events.length > 0) {
+          yield events.shift();
+          continue;
+        }
+        if (finished) break;
+        await new Promise(resolve => { wake = resolve; });
+      }
+      if (failure) throw failure;
+    } finally {
+      if (!finished) controller.abort();
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  }
+
+  /**
+   * Resume a run from its last checkpoint
+   * Restarts at the node after the last completed one, with skillCursor,
+   * skillResults, recovery counters and trace restored from the checkpoint.
+   * For interrupted runs, the interrupted node runs again with state.userReply set.
+   * Runs stopped by maxIterations get a fresh iteration budget (they would
+   * otherwise trip the limit again before their first node).
+   * 
+   * @param {string} token - Run identifier (state.runId, or state.interrupt.token)
+   * @param {*} userReply - Reply to an interrupt (ignored for runs that were not interrupted)
+   * @param {Object} options - Resume options
+   * @param {Object} options.state - Runtime values to re-inject (callbacks, etc. are not checkpointed)
+   * @param {Function} options.onProgress - Optional progress callback
+   * @param {AbortSignal} options.abortSignal - Optional abort signal
+   * @returns {Object} Final state with trace
+   */
+  async resume(token, userReply = undefined, options = {}) {
+    const store = this.checkpointer || this._interruptStore;
+    if (!store) {
+      throw new Error('[StateGraph] resume() requires a checkpointer');
+    }
+
+    const checkpoint = await store.load(token);
+    if (!checkpoint) {
+      throw new Error(`[StateGraph] No checkpoint found for run: ${token}`);
+    }
+    if (checkpoint.status === 'completed') {
+      throw new Error(`[StateGraph] Run ${token} already completed`);
+    }
+
+    // In-memory interrupt records are single-use
+    if (store === this._interruptStore) {
+      await store.delete(token);
+    }
+
+    this.logger.info(`[StateGraph] Resuming run ${token} at node: ${checkpoint.nextNode} (${checkpoint.status})`);
+
+    // Clear the outcome of the interrupted attempt so the resumed run is judged on its own
+    const { error, failedNode, cancelled, success, interrupted, interrupt: previousInterrupt, iterationLimitReached, loopDetected, ...savedState } = checkpoint.state;
+    const state = this._prepareState({
+      ...savedState,
+      ...(options.state || {}),
+      ...(checkpoint.status === 'interrupted' ? { userReply } : {}),
+      runId: token,
+      resumedAt: Date.now()
+    });
+
+    let startIterations = checkpoint.iterations;
+    if (iterationLimitReached) {
+      this.logger.info(`[StateGraph] Run ${token} stopped at maxIterations (${checkpoint.iterations}) — resuming with a fresh budget of ${this.maxIterations}`);
+      startIterations = 0;
+    }
+
+    return this._run(state, checkpoint.nextNode, startIterations, options.onProgress || null, options.abortSignal || null);
+  }
+
+  /**
+   * Build the live run state: injects the adapter and a capturing logger
+   * @param {Object} baseState - Initial or restored state
+   * @returns {Object} Run state
+   */
+  _prepareState(baseState) {
     // ── Capturing logger proxy ───────────────────────────────────────────────
     // Wraps the real logger so every info/warn/error line is ALSO appended to
     // state.runLog[]. evaluateSkills reads runLog and sends it to the LLM judge
     // so it can diagnose failures from actual log output — not just skillResults.
     // Max 200 entries (ring buffer) to keep LLM context manageable.
     const RUN_LOG_MAX = 200;
-    const runLog = [];
+    const runLog = Array.isArray(baseState.runLog) ? baseState.runLog : [];
     const baseLogger = this.logger;
     const capturingLogger = {
       debug: (...args) => { baseLogger.debug(...args); },
@@ -49,20 +303,94 @@ class StateGraph {
       log:   (...args) => { baseLogger.log?.(...args); }
     };
 
-    const state = {
-      ...initialState,
-      trace: [],
-      startTime: Date.now(),
-      currentNode: this.startNode,
+    return {
+      ...baseState,
+      trace: Array.isArray(baseState.trace) ? baseState.trace : [],
       mcpAdapter: this.mcpAdapter, // Inject adapter into state for nodes
       logger: capturingLogger,     // Override with capturing proxy
       runLog                       // Shared reference — nodes append via logger, evaluateSkills reads
     };
+  }
 
-    let currentNode = this.startNode;
-    const visited = new Set();
-    const maxIterations = 50; // Prevent infinite loops
-    let iterations = 0;
+  /**
+   * Run the graph, inside a 'stategraph.run' span when a tracer is set
+   * Shared by execute(), resume() and rerunFrom().
+   * @param {Object} state - Prepared run state
+   * @param {string} startNode - Node to start from
+   * @param {number} startIterations - Iterations already spent (non-zero on resume)
+   * @param {Function} onProgress - Optional progress callback
+   * @param {AbortSignal} abortSignal - Optional abort signal
+   * @returns {Object} Final state with trace
+   */
+  async _run(state, startNode, startIterations, onProgress, abortSignal) {
+    if (!this.tracer) {
+      return this._runNodes(state, startNode, startIterations, onProgress, abortSignal);
+    }
+
+    const span = this.tracer.startSpan('stategraph.run', {
+      attributes: {
+        'stategraph.run_id': state.runId,
+        'stategraph.start_node': startNode,
+        'stategraph.resumed': state.resumedAt ? true : undefined
+      }
+    });
+    try {
+      const result = await this.tracer.withSpan(span, () =>
+        this._runNodes(state, startNode, startIterations, onProgress, abortSignal));
+      span.setAttributes({
+        'stategraph.success': result.success,
+        'stategraph.iterations': result.iterations,
+        'stategraph.intent.type': result.intent?.type,
+        'stategraph.interrupted': result.interrupted || undefined,
+        'stategraph.cancelled': result.cancelled || undefined
+      });
+      span.setStatus(result.error ? 'ERROR' : 'OK', result.error ? String(result.error) : undefined);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Main execution loop
+   * @param {Object} state - Prepared run state
+   * @param {string} startNode - Node to start from
+   * @param {number} startIterations - Iterations already spent (non-zero on resume)
+   * @param {Function} onProgress - Optional progress callback
+   * @param {AbortSignal} abortSignal - Optional abort signal
+   * @returns {Object} Final state with trace
+   */
+  async _runNodes(state, startNode, startIterations, onProgress, abortSignal) {
+    state.currentNode = startNode;
+    state.abortSignal = abortSignal; // Shared with nodes and subgraphs
+    if (abortSignal) {
+      // In-flight service calls reject as soon as the run is cancelled (see core/abort.js)
+      state.mcpAdapter = withAbortSignal(state.mcpAdapter, abortSignal);
+      state.llmBackend = withAbortSignal(state.llmBackend, abortSignal);
+    }
+    const middleware = this._middlewareFor(onProgress);
+
+    // Verbose trace: diffs are taken against the state after the previous sequential node
+    let lastSnapshot = null;
+    if (this.verboseTrace) {
+      lastSnapshot = snapshotState(state, this.verboseTrace, ENGINE_STATE_KEYS);
+      if (!state.traceBase) {
+        state.traceBase = { state: lastSnapshot.values, lossy: [...lastSnapshot.lossy] };
+      }
+    }
+
+    let currentNode = startNode;
+    const maxIterations = this.maxIterations;
+    const loopGuard = createLoopGuard({
+      nodePolicies: this.nodePolicies,
+      loopDetection: this.loopDetection,
+      excludedKeys: ENGINE_STATE_KEYS,
+      serialize: (values) => this._serializeState(values)
+    }, state);
+    let iterations = startIterations;
 
     while (currentNode && currentNode !== 'end' && iterations < maxIterations) {
       iterations++;
@@ -70,19 +398,17 @@ class StateGraph {
       // Check abort signal between nodes
       if (abortSignal && abortSignal.aborted) {
         this.logger.info('[StateGraph] Aborted by signal — stopping before node:', currentNode);
-        state.error = 'Cancelled by user';
-        state.cancelled = true;
+        await this._cancelRun(state, 'Cancelled by user', currentNode, iterations - 1);
         break;
       }
 
-      // Check for infinite loops
-      const visitKey = `${currentNode}_${iterations}`;
-      if (visited.has(visitKey) && iterations > 10) {
-        this.logger.warn(`[StateGraph] Possible infinite loop detected at node: ${currentNode}`);
-        state.error = `Infinite loop detected at node: ${currentNode}`;
+      // Check for loops: per-node visit limits and repeated identical states
+      const loop = loopGuard.check(currentNode);
+      if (loop) {
+        this._stopOnLoop(state, loop);
+        await this._saveCheckpoint(state, 'failed', currentNode, iterations - 1);
         break;
       }
-      visited.add(visitKey);
 
       // Execute node
       const nodeStartTime = Date.now();
@@ -90,99 +416,592 @@ class StateGraph {
         this.logger.debug(`[StateGraph] Executing node: ${currentNode}`);
       }
 
-      // Call progress callback before node execution
-      if (onProgress && typeof onProgress === 'function') {
-        try {
-          await onProgress(currentNode, state, 0, 'started');
-        } catch (err) {
-          this.logger.warn('[StateGraph] Progress callback error:', err.message);
-        }
+      // beforeNode hooks may stop the run (e.g. a voice cancel signal)
+      let cancelReason = null;
+      await this._runHooks(middleware, 'beforeNode', {
+        runId: state.runId, node: currentNode, state, parallel: false,
+        cancel: (reason = 'Cancelled') => { cancelReason = reason; },
+        update: (partial) => { this._applyUpdate(state, partial); }
+      });
+      if (cancelReason) {
+        this.logger.info(`[StateGraph] ${cancelReason} — stopping before node:`, currentNode);
+        await this._cancelRun(state, cancelReason, currentNode, iterations - 1);
+        break;
       }
 
       try {
-        const nodeFunction = this.nodes[currentNode];
-        if (!nodeFunction) {
-          throw new Error(`Node not found: ${currentNode}`);
-        }
-
         // Capture input state for trace
         const inputSnapshot = this._captureStateSnapshot(state);
 
-        // Execute node
-        const updatedState = await nodeFunction(state);
+        // Execute node (with its timeout/retry policy) — may return the full
+        // state or only the keys it changed
+        const { result: updatedState, attempts, cached } = await this._invokeNode(currentNode, state);
+
+        // Cancelled while the node ran — drop its update and re-run it on resume
+        if (abortSignal && abortSignal.aborted) {
+          await this._cancelDuringNode(state, currentNode, nodeStartTime, iterations - 1, updatedState?.[SUBGRAPH_TRACE]);
+          break;
+        }
+
+        // Node asked the user something — suspend here and hand back a resume token
+        if (isInterrupt(updatedState)) {
+          await this._suspend(state, currentNode, updatedState, nodeStartTime, iterations - 1, middleware);
+          break;
+        }
 
-        // Capture output state for trace
-        const outputSnapshot = this._captureStateSnapshot(updatedState);
+        // Merge update through the state schema reducers
+        this._applyUpdate(state, updatedState);
 
-        // Record trace
+        // Record trace (subgraph nodes nest their own trace under the entry)
         const duration = Date.now() - nodeStartTime;
-        updatedState.trace.push({
+        let diff = null;
+        if (lastSnapshot) {
+          const snapshot = snapshotState(state, this.verboseTrace, ENGINE_STATE_KEYS);
+          diff = diffSnapshots(lastSnapshot, snapshot);
+          lastSnapshot = snapshot;
+        }
+        const traceEntry = {
           node: currentNode,
           duration,
           timestamp: new Date().toISOString(),
           input: inputSnapshot,
-          output: outputSnapshot,
-          success: true
-        });
+          output: this._captureStateSnapshot(state),
+          success: true,
+          ...(attempts > 1 ? { attempts } : {}),
+          ...(cached ? { cached: true } : {}),
+          ...(diff ? { diff } : {}),
+          ...(updatedState?.[SUBGRAPH_TRACE] ? { subgraph: updatedState[SUBGRAPH_TRACE] } : {})
+        };
+        state.trace.push(traceEntry);
 
         if (this.debug) {
           this.logger.debug(`[StateGraph] Node ${currentNode} completed in ${duration}ms`);
         }
 
-        // Update state
-        Object.assign(state, updatedState);
+        // The reply was for this node only
+        delete state.userReply;
 
-        // Call progress callback after node completion
-        if (onProgress && typeof onProgress === 'function') {
-          try {
-            await onProgress(currentNode, state, duration, 'completed');
-          } catch (err) {
-            this.logger.warn('[StateGraph] Progress callback error:', err.message);
-          }
-        }
+        await this._runHooks(middleware, 'afterNode', {
+          runId: state.runId, node: currentNode, state, result: updatedState, duration, attempts, traceEntry, parallel: false
+        });
 
         // Determine next node
-        const nextNode = this._getNextNode(currentNode, state);
-        if (this.debug) {
-          this.logger.debug(`[StateGraph] Routing: ${currentNode} → ${nextNode}`);
+        let nextNode = this._getNextNode(currentNode, state);
+
+        // Fan-out edge: run the branches together, then continue at the join node
+        if (StateGraph.isParallelEdge(nextNode)) {
+          const branches = typeof nextNode.nodes === 'function' ? nextNode.nodes(state) : nextNode.nodes;
+          if (this.debug) {
+            this.logger.debug(`[StateGraph] Routing: ${currentNode} → [${branches.join(', ')}] → ${nextNode.join}`);
+          }
+          await this._runHooks(middleware, 'onRouting', { runId: state.runId, from: currentNode, to: nextNode.join, branches, state });
+          const mergedState = await this.executeParallel(branches, state, onProgress, nextNode.reducers);
+          if (abortSignal && abortSignal.aborted) {
+            // Branches were cut short — drop their results and re-run the fan-out on resume
+            this.logger.info('[StateGraph] Aborted by signal during fan-out from node:', currentNode);
+            await this._cancelRun(state, 'Cancelled by user', currentNode, iterations - 1);
+            break;
+          }
+          Object.assign(state, mergedState);
+          nextNode = nextNode.join;
+        } else {
+          if (this.debug) {
+            this.logger.debug(`[StateGraph] Routing: ${currentNode} → ${nextNode}`);
+          }
+          await this._runHooks(middleware, 'onRouting', { runId: state.runId, from: currentNode, to: nextNode, state });
         }
 
         currentNode = nextNode;
+        state.currentNode = nextNode;
+
+        // Snapshot after every completed node so the run can resume from here
+        await this._saveCheckpoint(state, 'running', nextNode, iterations);
 
       } catch (error) {
+        // Cancelled mid-node (the abort rejected a service call or wait)
+        if (abortSignal && abortSignal.aborted) {
+          await this._cancelDuringNode(state, currentNode, nodeStartTime, iterations - 1);
+          break;
+        }
+
         this.logger.error(`[StateGraph] Node ${currentNode} failed:`, error.message);
         if (this.debug) {
           this.logger.error(`[StateGraph] Error stack:`, error.stack);
         }
 
+        // Node exhausted its policy and declares a fallback — degrade instead of failing the run
+        const fallback = error.attempts !== undefined ? this.nodePolicies[currentNode]?.fallback : null;
+
         // Record error in trace
-        state.trace.push({
+        const traceEntry = {
           node: currentNode,
           duration: Date.now() - nodeStartTime,
           timestamp: new Date().toISOString(),
           error: error.message,
           stack: error.stack,
-          success: false
+          success: false,
+          ...(error.attempts > 1 ? { attempts: error.attempts } : {}),
+          ...(error.timedOut ? { timedOut: true } : {}),
+          ...(fallback ? { fallback } : {})
+        };
+        state.trace.push(traceEntry);
+
+        await this._runHooks(middleware, 'onError', {
+          runId: state.runId, node: currentNode, state, error, duration: traceEntry.duration, traceEntry, fallback, parallel: false
         });
 
+        if (fallback) {
+          this.logger.warn(`[StateGraph] Node ${currentNode} degraded — continuing at fallback: ${fallback}`);
+          this._applyUpdate(state, { degradedNodes: [{ node: currentNode, error: error.message, fallback }] });
+          await this._runHooks(middleware, 'onRouting', { runId: state.runId, from: currentNode, to: fallback, fallback: true, state });
+          currentNode = fallback;
+          state.currentNode = fallback;
+          await this._saveCheckpoint(state, 'running', fallback, iterations);
+          continue;
+        }
+
         state.error = error.message;
         state.failedNode = currentNode;
+        // Resume retries the failed node
+        await this._saveCheckpoint(state, 'failed', currentNode, iterations - 1);
         break;
       }
     }
 
+    // Iteration limit: the run stopped short of 'end' without an error of its own
+    if (iterations >= maxIterations && currentNode && currentNode !== 'end' && !state.error && !state.interrupted) {
+      state.iterationLimitReached = true;
+      this._stopOnLoop(state, {
+        reason: 'max_iterations', node: currentNode, limit: maxIterations, count: iterations,
+        message: `Loop detected: maxIterations (${maxIterations}) reached before node ${currentNode}`
+      });
+      await this._saveCheckpoint(state, 'failed', currentNode, iterations);
+    }
+
     // Finalize state
     state.elapsedMs = Date.now() - state.startTime;
     state.iterations = iterations;
     state.success = !state.error;
 
+    if (state.success && (!currentNode || currentNode === 'end')) {
+      await this._saveCheckpoint(state, 'completed', 'end', iterations);
+    }
+
     if (this.debug) {
       this.logger.debug(`[StateGraph] Workflow completed in ${state.elapsedMs}ms (${iterations} iterations)`);
     }
 
+    await this._runHooks(middleware, 'onComplete', { runId: state.runId, state });
+
     return state;
   }
 
+  /**
+   * Mark the run cancelled and save a checkpoint that resumes at node
+   * @param {Object} state - Current state
+   * @param {string} reason - Stored as state.error
+   * @param {string} node - Node to run on resume
+   * @param {number} iterations - Iterations completed
+   */
+  async _cancelRun(state, reason, node, iterations) {
+    state.error = reason;
+    state.cancelled = true;
+    await this._saveCheckpoint(state, 'cancelled', node, iterations);
+  }
+
+  /**
+   * Cancel the run while a node was executing
+   * The node's update is dropped, so the state stays as of the last completed
+   * node (e.g. the skillResults of finished steps); resume re-runs the node.
+   * @param {Object} state - Current state
+   * @param {string} nodeName - Node that was running
+   * @param {number} nodeStartTime - Node start timestamp
+   * @param {number} iterations - Iterations completed before this node
+   * @param {Object} [subgraphTrace] - Nested trace of a cancelled subgraph node
+   */
+  async _cancelDuringNode(state, nodeName, nodeStartTime, iterations, subgraphTrace) {
+    this.logger.info('[StateGraph] Aborted by signal — stopping during node:', nodeName);
+    state.trace.push({
+      node: nodeName,
+      duration: Date.now() - nodeStartTime,
+      timestamp: new Date().toISOString(),
+      cancelled: true,
+      success: false,
+      ...(subgraphTrace ? { subgraph: subgraphTrace } : {})
+    });
+    await this._cancelRun(state, 'Cancelled by user', nodeName, iterations);
+  }
+
+  /**
+   * End the run on a tripped loop guard
+   * @param {Object} state - Current state
+   * @param {Object} loop - { reason, node, limit, count, cycle?, message } (see core/loopGuard.js)
+   */
+  _stopOnLoop(state, loop) {
+    this.logger.warn(`[StateGraph] ${loop.message}`);
+    state.loopDetected = loop;
+    state.error = loop.message;
+  }
+
+  /**
+   * Middleware list for one run: registered middleware plus the run's onProgress
+   * callback adapted to the same hooks (legacy signature: nodeName, state, duration, status).
+   * @param {Function} onProgress - Optional progress callback
+   * @returns {Array<Object>} Middleware list
+   */
+  _middlewareFor(onProgress) {
+    if (typeof onProgress !== 'function') return this.middleware;
+
+    return [...this.middleware, {
+      beforeNode: ({ node, state }) => onProgress(node, state, 0, 'started'),
+      afterNode: ({ node, state, result, duration, parallel, interrupted }) =>
+        onProgress(node, parallel ? result : state, duration, interrupted ? 'interrupted' : 'completed')
+    }];
+  }
+
+  /**
+   * Call one hook on every middleware, in registration order
+   * Hook errors are logged and never abort the run.
+   * @param {Array<Object>} middleware - Middleware list
+   * @param {string} hook - beforeNode | afterNode | onError | onRouting | onComplete
+   * @param {Object} context - Hook context
+   */
+  async _runHooks(middleware, hook, context) {
+    for (const mw of middleware) {
+      if (typeof mw[hook] !== 'function') continue;
+      try {
+        await mw[hook](context);
+      } catch (err) {
+        this.logger.warn(`[StateGraph] Middleware ${hook} error:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Suspend the run on an interrupt: save state and expose the resume token
+   * Without a checkpointer the interrupt is kept in memory for this instance.
+   * @param {Object} state - Current state
+   * @param {string} nodeName - Interrupting node (re-run on resume)
+   * @param {Object} result - Interrupt marker returned by the node
+   * @param {number} nodeStartTime - Node start timestamp
+   * @param {number} iterations - Iterations completed before this node
+   * @param {Array<Object>} middleware - Run middleware
+   */
+  async _suspend(state, nodeName, result, nodeStartTime, iterations, middleware) {
+    this._applyUpdate(state, result.update);
+    delete state.userReply;
+
+    const duration = Date.now() - nodeStartTime;
+    const traceEntry = {
+      node: nodeName,
+      duration,
+      timestamp: new Date().toISOString(),
+      interrupted: true,
+      success: true
+    };
+    state.trace.push(traceEntry);
+
+    state.interrupted = true;
+    state.interrupt = { token: state.runId, node: nodeName, payload: result.payload };
+    this.logger.info(`[StateGraph] Run ${state.runId} interrupted at node: ${nodeName}`);
+
+    if (!this.checkpointer && !this._interruptStore) {
+      this._interruptStore = new MemoryCheckpointer();
+    }
+    await this._saveCheckpoint(state, 'interrupted', nodeName, iterations, this.checkpointer || this._interruptStore);
+
+    await this._runHooks(middleware, 'afterNode', {
+      runId: state.runId, node: nodeName, state, result, duration, attempts: 1, traceEntry, parallel: false, interrupted: true
+    });
+  }
+
+  /**
+   * Persist a checkpoint for the current run (no-op without a checkpointer)
+   * Checkpoint failures are logged but never abort the run.
+   * @param {Object} state - Current state
+   * @param {string} status - running | completed | failed | cancelled | interrupted
+   * @param {string} nextNode - Node to execute on resume
+   * @param {number} iterations - Iterations completed so far
+   * @param {Object} store - Checkpoint store (default: this.checkpointer)
+   */
+  async _saveCheckpoint(state, status, nextNode, iterations, store = this.checkpointer) {
+    if (!store) return;
+
+    try {
+      await store.save(state.runId, {
+        runId: state.runId,
+        status,
+        nextNode,
+        iterations,
+        state: this._serializeState(state),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn(`[StateGraph] Checkpoint save failed for run ${state.runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Strip runtime-only values (adapters, loggers, callbacks) from state
+   * @param {Object} state - Current state
+   * @returns {Object} JSON-safe copy of state
+   */
+  _serializeState(state) {
+    const ancestors = new Set();
+    const toJSONSafe = (value) => {
+      if (value === null || typeof value !== 'object') return value;
+      if (typeof value.toJSON === 'function') return value.toJSON();
+      if (ancestors.has(value)) return undefined; // drop circular references
+
+      ancestors.add(value);
+      let copy;
+      if (Array.isArray(value)) {
+        copy = value.map(item => {
+          const safe = typeof item === 'function' ? undefined : toJSONSafe(item);
+          return safe === undefined ? null : safe;
+        });
+      } else {
+        copy = {};
+        for (const [key, item] of Object.entries(value)) {
+          if (RUNTIME_STATE_KEYS.has(key) || typeof item === 'function') continue;
+          const safe = toJSONSafe(item);
+          if (safe !== undefined) copy[key] = safe;
+        }
+      }
+      ancestors.delete(value);
+      return copy;
+    };
+
+    return JSON.parse(JSON.stringify(toJSONSafe(state)));
+  }
+
+  /**
+   * Generate a unique run identifier
+   * @returns {string} Run ID
+   */
+  _createRunId() {
+    return `run_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Run a node function under its policy (timeout, retries with backoff)
+   * Errors thrown after the last attempt carry `attempts` and `timedOut`.
+   * @param {string} nodeName - Node to run
+   * @param {Object} state - Current state
+   * @returns {Promise<{result: Object, attempts: number}>}
+   */
+  async _invokeNode(nodeName, state) {
+    const nodeFunction = this.nodes[nodeName];
+    if (!nodeFunction) {
+      throw new Error(`Node not found: ${nodeName}`);
+    }
+
+    const policy = this.nodePolicies[nodeName] || {};
+    const maxAttempts = 1 + (policy.maxRetries || 0);
+
+    // Node span: MCP / LLM calls made by the node become its children
+    const span = this.tracer
+      ? this.tracer.startSpan(`node ${nodeName}`, { attributes: { 'stategraph.node': nodeName, 'stategraph.run_id': state.runId } })
+      : null;
+    const inSpan = (fn) => (span ? this.tracer.withSpan(span, fn) : fn());
+
+    const cacheKey = this._cacheKey(nodeName, policy, state);
+    if (cacheKey !== null) {
+      const cachedUpdate = this._cacheGet(cacheKey);
+      if (cachedUpdate) {
+        this._endNodeSpan(span, state, { result: cachedUpdate, attempts: 1, cached: true });
+        return { result: { ...cachedUpdate }, attempts: 1, cached: true };
+      }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        throwIfAborted(state.abortSignal);
+        // Like a timeout, a cancel stops waiting on a node that ignores state.abortSignal
+        const result = await raceAbort(
+          this._withTimeout(nodeName, inSpan(() => nodeFunction(state)), policy.timeoutMs),
+          nodeFunction[HONORS_ABORT] ? null : state.abortSignal
+        );
+        if (cacheKey !== null) {
+          this._cacheSet(cacheKey, result, state, policy.cacheTTL);
+        }
+        this._endNodeSpan(span, state, { result, attempts: attempt });
+        return { result, attempts: attempt };
+      } catch (error) {
+        const retryable = !state.abortSignal?.aborted && (typeof policy.retryOn === 'function' ? policy.retryOn(error) : true);
+        if (attempt >= maxAttempts || !retryable) {
+          error.attempts = attempt;
+          this._endNodeSpan(span, state, { error, attempts: attempt });
+          throw error;
+        }
+
+        const delay = this._backoffDelay(policy, attempt);
+        span?.addEvent('retry', { attempt, 'exception.message': error.message, 'retry.delay_ms': delay });
+        this.logger.warn(`[StateGraph] Node ${nodeName} attempt ${attempt}/${maxAttempts} failed: ${error.message} — retrying in ${delay}ms`);
+        // A cancel during the backoff ends the wait; the next attempt then stops at throwIfAborted
+        if (delay > 0) await abortableDelay(delay, state.abortSignal).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Finish a node span with the outcome of the node (no-op without a tracer)
+   * @param {Span|null} span - Node span
+   * @param {Object} state - Node input state
+   * @param {Object} outcome - { result, error, attempts, cached }
+   */
+  _endNodeSpan(span, state, { result, error, attempts, cached }) {
+    if (!span) return;
+
+    span.setAttributes({
+      'stategraph.attempts': attempts,
+      'stategraph.cached': cached || undefined,
+      'stategraph.interrupted': isInterrupt(result) || undefined,
+      'stategraph.intent.type': result?.intent?.type || state.intent?.type
+    });
+    if (error) {
+      span.setAttribute('stategraph.timed_out', error.timedOut || undefined);
+      span.recordException(error);
+    } else {
+      span.setStatus('OK');
+    }
+    span.end();
+  }
+
+  /**
+   * Cache key for a node run, or null when the node is not cached
+   * Nodes opt in with policy.cacheKey(state); returning null/undefined skips the cache.
+   * @param {string} nodeName - Node name
+   * @param {Object} policy - Node policy
+   * @param {Object} state - Node input state
+   * @returns {string|null} Cache key
+   */
+  _cacheKey(nodeName, policy, state) {
+    if (!this.cacheEnabled || typeof policy.cacheKey !== 'function') return null;
+
+    try {
+      const key = policy.cacheKey(state);
+      return key === null || key === undefined ? null : `${nodeName}:${key}`;
+    } catch (error) {
+      this.logger.warn(`[StateGraph] Cache key for ${nodeName} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Look up a cached node update (expired entries count as misses)
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cached update
+   */
+  _cacheGet(key) {
+    const entry = this.cache.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.cache.delete(key);
+      this.cacheStats.misses++;
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.cacheStats.hits++;
+    return entry.update;
+  }
+
+  /**
+   * Cache the keys a node changed (never the whole state it may have returned)
+   * Interrupts and results that set an error are not cached.
+   * @param {string} key - Cache key
+   * @param {Object} result - Node result
+   * @param {Object} state - Node input state
+   * @param {number} ttl - Optional per-node TTL in ms
+   */
+  _cacheSet(key, result, state, ttl) {
+    if (!result || typeof result !== 'object' || isInterrupt(result) || result.error) return;
+
+    const update = {};
+    for (const [field, value] of Object.entries(result)) {
+      if (ENGINE_STATE_KEYS.has(field) || value === state[field]) continue;
+      update[field] = value;
+    }
+
+    this.cache.delete(key);
+    this.cache.set(key, { update, expiresAt: Date.now() + (ttl || this.cacheTTL) });
+
+    // Evict least recently used entries (Map keeps insertion order)
+    while (this.cache.size > this.cacheMaxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Reject if a node does not settle within timeoutMs
+   * The node's own work is not cancelled — its result is simply ignored.
+   * @param {string} nodeName - Node name (for the error message)
+   * @param {Promise} promise - Node result
+   * @param {number} timeoutMs - Timeout (no timeout when falsy)
+   * @returns {Promise}
+   */
+  _withTimeout(nodeName, promise, timeoutMs) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Node ${nodeName} timed out after ${timeoutMs}ms`);
+        error.code = 'NODE_TIMEOUT';
+        error.timedOut = true;
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Delay before the next retry attempt
+   * @param {Object} policy - Node policy
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  _backoffDelay(policy, attempt) {
+    const baseMs = policy.backoffMs ?? 500;
+    if (typeof policy.backoff === 'function') return policy.backoff(attempt);
+    if (policy.backoff === 'exponential') return baseMs * Math.pow(2, attempt - 1);
+    return baseMs; // 'fixed'
+  }
+
+  /**
+   * Resolve the start node (edges.start may be a node name or a routing function)
+   * @param {Object} state - Initial state
+   * @returns {string} Start node name
+   */
+  _resolveStartNode(state) {
+    if (typeof this.startNode !== 'function') return this.startNode;
+    return this._checkDeclaredTarget('start', this.startNode, this.startNode(state));
+  }
+
+  /**
+   * Reject routing results a dynamic edge did not declare (see route())
+   * Routers without declared targets are not checked.
+   * @param {string} from - Source node
+   * @param {Function} edge - Router
+   * @param {string|Object} next - Node name or fan-out descriptor
+   * @returns {string|Object} next
+   */
+  _checkDeclaredTarget(from, edge, next) {
+    if (!Array.isArray(edge.targets) || !next) return next;
+
+    const names = StateGraph.isParallelEdge(next)
+      ? [...(Array.isArray(next.nodes) ? next.nodes : []), next.join]
+      : [next];
+    const undeclared = names.filter(name => !edge.targets.includes(name));
+    if (undeclared.length > 0) {
+      throw new Error(`Edge from ${from} returned undeclared target: ${undeclared.join(', ')}`);
+    }
+    return next;
+  }
+
   /**
    * Get the next node based on edges configuration
    * @param {string} currentNode - Current node name
@@ -202,9 +1021,14 @@ class StateGraph {
       return edge;
     }
 
-    // Dynamic edge (function)
+    // Fan-out edge (StateGraph.parallel descriptor)
+    if (StateGraph.isParallelEdge(edge)) {
+      return edge;
+    }
+
+    // Dynamic edge (function) — may return a node name or a fan-out descriptor
     if (typeof edge === 'function') {
-      return edge(state);
+      return this._checkDeclaredTarget(currentNode, edge, edge(state));
     }
 
     // Invalid edge
@@ -214,106 +1038,116 @@ class StateGraph {
 
   /**
    * Execute multiple nodes in parallel
+   * Only the keys a branch actually changed are merged back (nodes may return
+   * full state copies, so untouched keys would otherwise clobber each other).
+   * Branches merge in declaration order; keys with a reducer (edge reducers
+   * first, then the state schema) are combined instead of being overwritten.
+   * 
    * @param {Array<string>} nodeNames - Node names to execute
    * @param {Object} state - Current state
    * @param {Function} onProgress - Optional progress callback
+   * @param {Object} reducers - Optional per-key reducers { key: (current, incoming, base) => merged }
    * @returns {Object} Merged state from all nodes
    */
-  async executeParallel(nodeNames, state, onProgress = null) {
+  async executeParallel(nodeNames, state, onProgress = null, reducers = {}) {
     if (this.debug) {
       this.logger.debug(`[StateGraph:Parallel] Executing ${nodeNames.length} nodes: ${nodeNames.join(', ')}`);
     }
+    const middleware = this._middlewareFor(onProgress);
+    const baseSnapshot = this.verboseTrace ? snapshotState(state, this.verboseTrace, ENGINE_STATE_KEYS) : null;
     
     const promises = nodeNames.map(async (nodeName) => {
-      const nodeFunction = this.nodes[nodeName];
-      
-      if (!nodeFunction) {
+      if (!this.nodes[nodeName]) {
         throw new Error(`Node not found: ${nodeName}`);
       }
       
       const nodeStartTime = Date.now();
       
-      // Call progress callback before node execution
-      if (onProgress && typeof onProgress === 'function') {
-        try {
-          await onProgress(nodeName, state, 0, 'started');
-        } catch (err) {
-          this.logger.warn('[StateGraph] Progress callback error:', err.message);
-        }
-      }
+      await this._runHooks(middleware, 'beforeNode', { runId: state.runId, node: nodeName, state, parallel: true });
       
       try {
         const inputSnapshot = this._captureStateSnapshot(state);
-        const result = await nodeFunction(state);
+        const { result, attempts, cached } = await this._invokeNode(nodeName, state);
+        if (isInterrupt(result)) {
+          throw new Error('Interrupts are not supported inside parallel branches');
+        }
         const duration = Date.now() - nodeStartTime;
-        const outputSnapshot = this._captureStateSnapshot(result);
+        const outputSnapshot = this._captureStateSnapshot({ ...state, ...result });
         
         if (this.debug) {
           this.logger.debug(`[StateGraph:Parallel] Node ${nodeName} completed in ${duration}ms`);
         }
         
-        // Call progress callback after completion
-        if (onProgress && typeof onProgress === 'function') {
-          try {
-            await onProgress(nodeName, result, duration, 'completed');
-          } catch (err) {
-            this.logger.warn('[StateGraph] Progress callback error:', err.message);
-          }
-        }
+        // Branch diffs are relative to the state at the fan-out
+        const diff = baseSnapshot
+          ? diffSnapshots(baseSnapshot, snapshotState({ ...state, ...result }, this.verboseTrace, ENGINE_STATE_KEYS))
+          : null;
         
-        return { 
-          success: true, 
-          nodeName, 
-          result, 
+        const traceEntry = {
+          node: nodeName,
           duration,
-          trace: {
-            node: nodeName,
-            duration,
-            timestamp: new Date().toISOString(),
-            input: inputSnapshot,
-            output: outputSnapshot,
-            success: true
-          }
+          timestamp: new Date().toISOString(),
+          input: inputSnapshot,
+          output: outputSnapshot,
+          success: true,
+          parallel: true,
+          ...(attempts > 1 ? { attempts } : {}),
+          ...(cached ? { cached: true } : {}),
+          ...(diff ? { diff } : {}),
+          ...(result?.[SUBGRAPH_TRACE] ? { subgraph: result[SUBGRAPH_TRACE] } : {})
         };
         
+        await this._runHooks(middleware, 'afterNode', {
+          runId: state.runId, node: nodeName, state, result, duration, attempts, traceEntry, parallel: true
+        });
+        
+        return { success: true, nodeName, result, duration, trace: traceEntry };
+        
       } catch (error) {
         const duration = Date.now() - nodeStartTime;
         this.logger.error(`[StateGraph:Parallel] Node ${nodeName} failed:`, error.message);
         
-        return { 
-          success: false, 
-          nodeName, 
-          error: error.message,
+        const traceEntry = {
+          node: nodeName,
           duration,
-          trace: {
-            node: nodeName,
-            duration,
-            timestamp: new Date().toISOString(),
-            error: error.message,
-            success: false
-          }
+          timestamp: new Date().toISOString(),
+          error: error.message,
+          success: false,
+          parallel: true,
+          ...(error.attempts > 1 ? { attempts: error.attempts } : {}),
+          ...(error.timedOut ? { timedOut: true } : {})
         };
+        
+        await this._runHooks(middleware, 'onError', {
+          runId: state.runId, node: nodeName, state, error, duration, traceEntry, fallback: null, parallel: true
+        });
+        
+        return { success: false, nodeName, error: error.message, duration, trace: traceEntry };
       }
     });
     
     const results = await Promise.all(promises);
     
-    // Merge all results into state
+    // Merge all results into state (declaration order keeps merges deterministic)
     const mergedState = { ...state };
     const parallelTraces = [];
+    const parallelErrors = [];
     
     for (const { success, nodeName, result, error, trace } of results) {
       parallelTraces.push(trace);
       
       if (success) {
-        // Merge successful result into state
-        Object.assign(mergedState, result);
+        // Merge only the keys this branch changed; edge reducers win over the schema
+        this._applyUpdate(mergedState, result, state, reducers);
       } else {
         this.logger.warn(`[StateGraph:Parallel] Skipping failed parallel node: ${nodeName}`);
-        mergedState.parallelErrors = mergedState.parallelErrors || [];
-        mergedState.parallelErrors.push({ nodeName, error });
+        parallelErrors.push({ nodeName, error });
       }
     }
+
+    if (parallelErrors.length > 0) {
+      this._applyUpdate(mergedState, { parallelErrors });
+    }
     
     // Add all parallel traces to state
     mergedState.trace = mergedState.trace || [];
@@ -327,6 +1161,30 @@ class StateGraph {
     return mergedState;
   }
 
+  /**
+   * Merge a node update into state using the state schema
+   * Keys the node left untouched (same reference as base) are skipped, so
+   * nodes may return either a full state copy or only the keys they changed.
+   * The trace is owned by the engine and never taken from node updates.
+   * 
+   * @param {Object} target - State object to merge into (mutated)
+   * @param {Object} update - Node result
+   * @param {Object} base - State the node started from (default: target)
+   * @param {Object} reducers - Per-call reducers that take precedence over the schema
+   * @returns {Object} target
+   */
+  _applyUpdate(target, update, base = target, reducers = {}) {
+    if (!update || typeof update !== 'object') return target;
+
+    for (const [key, value] of Object.entries(update)) {
+      if (key === 'trace' || value === base[key]) continue;
+
+      const reducer = typeof reducers[key] === 'function' ? reducers[key] : this.stateSchema[key];
+      target[key] = reducer ? reducer(target[key], value, base[key]) : value;
+    }
+    return target;
+  }
+
   /**
    * Capture a snapshot of relevant state for tracing
    * @param {Object} state - Current state
@@ -347,22 +1205,320 @@ class StateGraph {
     };
   }
 
+  /**
+   * Suspend the run and ask the user something (see core/interrupt.js)
+   * @param {*} payload - Question/options for the caller
+   * @param {Object} [update={}] - State keys to save before suspending
+   * @returns {Object} Interrupt marker to return from a node
+   */
+  static interrupt(payload, update = {}) {
+    return interrupt(payload, update);
+  }
+
+  /**
+   * Create a fan-out edge: run several nodes concurrently, then join
+   * 
+   * Usable as a static edge or as the return value of a dynamic edge:
+   *   edges.enrichIntent = (state) => StateGraph.parallel(['webSearch', 'retrieveMemory'], { join: 'answer' })
+   * 
+   * @param {Array<string>|Function} nodes - Branch node names, or (state) => names
+   * @param {Object} options
+   * @param {string} options.join - Node to continue at once all branches finish
+   * @param {Object} [options.reducers] - Per-key merge functions (current, incoming, base) => merged
+   * @returns {Object} Fan-out edge descriptor
+   */
+  static parallel(nodes, options = {}) {
+    if (!options.join) {
+      throw new Error('[StateGraph] parallel() requires a join node');
+    }
+    return { type: 'parallel', nodes, join: options.join, reducers: options.reducers || {} };
+  }
+
+  /**
+   * Declare the possible targets of a dynamic edge (required by compile())
+   *   edges.parseSkill = StateGraph.route(['enrichIntent', 'parseIntent'], (state) => ...)
+   * @param {Array<string>} targets - Node names (and 'end') the router may return
+   * @param {Function} fn - Router
+   * @returns {Function} The router, with fn.targets set
+   */
+  static route(targets, fn) {
+    return route(targets, fn);
+  }
+
+  /**
+   * Check whether an edge (or routing result) is a fan-out descriptor
+   * @param {*} edge - Edge value
+   * @returns {boolean}
+   */
+  static isParallelEdge(edge) {
+    return !!edge && typeof edge === 'object' && edge.type === 'parallel';
+  }
+
+  /**
+   * Wrap a StateGraph so it can be registered as a node of another graph
+   * 
+   * The child runs with its own trace (nested under the parent's trace entry
+   * as `subgraph`) and shares the parent's abort signal. A child node that
+   * throws fails the parent node; a cancelled child cancels the parent.
+   * A child that interrupts suspends the parent; resuming the parent resumes
+   * the child where it stopped (its token is kept in state.subgraphInterrupts).
+   * 
+   * @param {StateGraph} graph - Child graph
+   * @param {Object} options
+   * @param {string} [options.name='subgraph'] - Name used in logs and the child runId
+   * @param {Array<string>|Object|Function} [options.input] - Keys passed to the child:
+   *   array of keys, { childKey: parentKey } map, or (parentState) => childState.
+   *   Default: all non-engine keys.
+   * @param {Array<string>|Object|Function} [options.output] - Keys copied back to the parent:
+   *   array of keys, { parentKey: childKey } map, or (childState, parentState) => update.
+   *   Default: all non-engine keys of the child's final state.
+   * @returns {Function} Node function
+   */
+  static subgraph(graph, options = {}) {
+    const name = options.name || 'subgraph';
+    const { input, output } = options;
+
+    const node = async (state) => {
+      let childState;
+      if (typeof input === 'function') {
+        childState = input(state);
+      } else if (Array.isArray(input)) {
+        childState = Object.fromEntries(input.filter(key => key in state).map(key => [key, state[key]]));
+      } else if (input && typeof input === 'object') {
+        childState = Object.fromEntries(Object.entries(input).map(([childKey, parentKey]) => [childKey, state[parentKey]]));
+      } else {
+        childState = Object.fromEntries(Object.entries(state).filter(([key]) => !ENGINE_STATE_KEYS.has(key)));
+      }
+      childState.runId = `${state.runId || 'run'}:${name}`;
+
+      const { [name]: childToken, ...otherInterrupts } = state.subgraphInterrupts || {};
+      let result;
+      if (childToken && 'userReply' in state) {
+        // Callbacks are not checkpointed — hand the child the current ones
+        const callbacks = Object.fromEntries(Object.entries(childState).filter(([, value]) => typeof value === 'function'));
+        result = await graph.resume(childToken, state.userReply, { state: callbacks, abortSignal: state.abortSignal || null });
+      } else {
+        result = await graph.execute(childState, null, state.abortSignal || null);
+      }
+
+      if (result.failedNode && !result.cancelled) {
+        throw new Error(`Subgraph ${name} failed at node ${result.failedNode}: ${result.error}`);
+      }
+
+      let update;
+      if (typeof output === 'function') {
+        update = output(result, state);
+      } else if (Array.isArray(output)) {
+        update = Object.fromEntries(output.map(key => [key, result[key]]));
+      } else if (output && typeof output === 'object') {
+        update = Object.fromEntries(Object.entries(output).map(([parentKey, childKey]) => [parentKey, result[childKey]]));
+      } else {
+        update = Object.fromEntries(Object.entries(result).filter(([key]) => !ENGINE_STATE_KEYS.has(key)));
+      }
+
+      if (result.cancelled) {
+        update = { ...update, cancelled: true, error: result.error };
+      }
+
+      // Child asked the user something — suspend the parent too and remember
+      // the child's token, so the reply resumes the child's interrupted node
+      if (result.interrupted) {
+        const { interrupted, interrupt: childInterrupt, ...rest } = update;
+        return interrupt(result.interrupt.payload, {
+          ...rest,
+          subgraphInterrupts: { ...otherInterrupts, [name]: result.interrupt.token }
+        });
+      }
+
+      if (childToken) update.subgraphInterrupts = otherInterrupts;
+      update[SUBGRAPH_TRACE] = { name, runId: result.runId, iterations: result.iterations, trace: result.trace };
+      return update;
+    };
+    node[HONORS_ABORT] = true; // The child stops on the shared signal and reports its partial trace
+    return node;
+  }
+
+  /**
+   * Register middleware (lifecycle hooks) for every run of this graph
+   * 
+   * All hooks are optional and may be async; they run in registration order
+   * for sequential nodes and parallel branches alike. Hook errors are logged,
+   * never fatal.
+   *   beforeNode({ runId, node, state, parallel, cancel(reason), update(partial) })
+   *     — cancel() and update() are sequential-only; update() merges like a node result
+   *   afterNode({ runId, node, state, result, duration, attempts, traceEntry, parallel, interrupted? })
+   *   onError({ runId, node, state, error, duration, traceEntry, fallback, parallel })
+   *   onRouting({ runId, from, to, state, branches?, fallback? })
+   *   onComplete({ runId, state })
+   * 
+   * @param {Object} middleware - Object with any of the hooks above
+   * @returns {StateGraph} this (chainable)
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
   /**
    * Add a node to the graph
    * @param {string} name - Node name
    * @param {Function} fn - Node function
+   * @param {Object} [policy] - Execution policy (see constructor options.nodePolicies)
    */
-  addNode(name, fn) {
+  addNode(name, fn, policy = null) {
     this.nodes[name] = fn;
+    if (policy) {
+      this.nodePolicies[name] = policy;
+    }
+  }
+
+  /**
+   * Add a compiled StateGraph as a node (see StateGraph.subgraph for options)
+   * @param {string} name - Node name
+   * @param {StateGraph} graph - Child graph
+   * @param {Object} options - Input/output key mapping
+   */
+  addSubgraph(name, graph, options = {}) {
+    this.nodes[name] = StateGraph.subgraph(graph, { name, ...options });
   }
 
   /**
    * Add an edge to the graph
    * @param {string} from - Source node
-   * @param {string|Function} to - Target node or routing function
+   * @param {string|Function|Object} to - Target node, routing function or StateGraph.parallel() descriptor
    */
   addEdge(from, to) {
     this.edges[from] = to;
+    if (from === 'start') {
+      this.startNode = to;
+    }
+  }
+
+  /**
+   * Statically validate nodes and edges without throwing (see core/validateGraph.js)
+   * @returns {{ valid: boolean, errors: Array<string>, warnings: Array<string> }}
+   */
+  validate() {
+    return validateGraph(this.nodes, this.edges, this.nodePolicies);
+  }
+
+  /**
+   * Validate the graph and fail fast on errors; warnings are logged
+   * @returns {StateGraph} this (chainable)
+   */
+  compile() {
+    const { errors, warnings } = this.validate();
+    warnings.forEach(warning => this.logger.warn(`[StateGraph] ${warning}`));
+    if (errors.length > 0) {
+      throw new Error(`[StateGraph] Invalid graph:\n  - ${errors.join('\n  - ')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Rebuild the state as it was after a trace step (requires verboseTrace)
+   * Parallel branch steps return the fan-out state plus that branch's changes.
+   * @param {Object} runState - Final state of a run (needs trace and traceBase)
+   * @param {number} step - Trace index; -1 for the initial state
+   * @returns {Object} Reconstructed state (engine and runtime keys excluded)
+   */
+  stateAt(runState, step) {
+    return this._restoreState(runState, step).state;
+  }
+
+  _restoreState(runState, step) {
+    const { trace = [], traceBase } = runState || {};
+    if (!traceBase) {
+      throw new Error('[StateGraph] stateAt() requires a run executed with verboseTrace');
+    }
+    if (!Number.isInteger(step) || step < -1 || step >= trace.length) {
+      throw new Error(`[StateGraph] Step ${step} is outside the trace (0..${trace.length - 1})`);
+    }
+
+    let values = applyDiff(traceBase.state, { set: {}, unset: [] });
+    let lossy = new Set(traceBase.lossy);
+    const track = (current, diff) => {
+      const next = new Set(current);
+      Object.keys(diff.set).forEach(key => (diff.lossy.includes(key) ? next.add(key) : next.delete(key)));
+      diff.unset.forEach(key => next.delete(key));
+      return next;
+    };
+
+    for (let i = 0; i <= step; i++) {
+      const { diff, parallel } = trace[i];
+      if (!diff) continue;
+      if (parallel) {
+        // Branches don't advance the sequential state — the join step's diff includes the merge
+        if (i === step) return { state: applyDiff(values, diff), lossy: track(lossy, diff) };
+        continue;
+      }
+      values = applyDiff(values, diff);
+      lossy = track(lossy, diff);
+    }
+    return { state: values, lossy };
+  }
+
+  /**
+   * Re-run the graph from a trace step, starting at that step's node with the
+   * state it originally saw (requires verboseTrace)
+   * The new run keeps the trace up to the step, so stateAt() works on its result.
+   * @param {Object} runState - Final state of the original run
+   * @param {number} step - Trace index of the node to start at
+   * @param {Object} options - Re-run options
+   * @param {Object} options.state - State overrides (e.g. a different recoveryAction) and callbacks
+   * @param {Function} options.onProgress - Optional progress callback
+   * @param {AbortSignal} options.abortSignal - Optional abort signal
+   * @returns {Object} Final state with trace
+   */
+  async rerunFrom(runState, step, options = {}) {
+    const entry = runState?.trace?.[step];
+    if (!entry) {
+      throw new Error(`[StateGraph] No trace step ${step} to re-run from`);
+    }
+    if (entry.parallel) {
+      throw new Error('[StateGraph] Cannot re-run from inside a fan-out — re-run from the step that fanned out');
+    }
+
+    const { state: restored, lossy } = this._restoreState(runState, step - 1);
+    const overrides = options.state || {};
+    const capped = [...lossy].filter(key => !(key in overrides));
+    if (capped.length > 0) {
+      this.logger.warn(`[StateGraph] Re-run uses capped/redacted trace values for: ${capped.join(', ')}`);
+    }
+
+    const state = this._prepareState({
+      ...restored,
+      ...overrides,
+      runId: this._createRunId(),
+      trace: runState.trace.slice(0, step),
+      traceBase: runState.traceBase,
+      startTime: Date.now()
+    });
+
+    this.logger.info(`[StateGraph] Re-running ${runState.runId} from step ${step} (${entry.node}) as ${state.runId}`);
+    return this._run(state, entry.node, 0, options.onProgress || null, options.abortSignal || null);
+  }
+
+  /**
+   * Render the graph as a Mermaid flowchart (see core/graphExport.js)
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.trace] - Run trace to highlight (result.trace)
+   * @param {string} [options.direction='TD'] - Flowchart direction
+   * @returns {string} Mermaid source
+   */
+  toMermaid(options = {}) {
+    return graphExport.toMermaid(this, options);
+  }
+
+  /**
+   * Render the graph as Graphviz DOT (see core/graphExport.js)
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.trace] - Run trace to highlight (result.trace)
+   * @param {string} [options.rankdir='TB'] - Layout direction
+   * @returns {string} DOT source
+   */
+  toDot(options = {}) {
+    return graphExport.toDot(this, options);
   }
 
   /**
@@ -375,6 +1531,7 @@ class StateGraph {
       hits: this.cacheStats.hits,
       misses: this.cacheStats.misses,
       size: this.cache.size,
+      maxSize: this.cacheMaxSize,
       hitRate: total > 0 ? (this.cacheStats.hits / total * 100).toFixed(2) + '%' : '0%'
     };
   }
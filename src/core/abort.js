@@ -0,0 +1,147 @@
+/**
+ * Abort helpers - Cooperative cancellation for nodes, adapters and backends
+ *
+ * The run's AbortSignal lives in state.abortSignal. Adapters and backends
+ * honor it through an options.signal argument:
+ *   mcpAdapter.callService(service, action, params, { timeoutMs, signal })
+ *   mcpAdapter.callServiceStream(service, action, params, onToken, onProgress, { signal })
+ *   llmBackend.generateAnswer(prompt, payload, { maxTokens, signal }, onToken)
+ *
+ * withAbortSignal(adapterOrBackend, signal) binds a signal to every call so
+ * nodes need no changes, and stops waiting on implementations that ignore it.
+ *
+ * Cancellation rejects with an AbortError (error.name === 'AbortError').
+ */
+
+const CANCELLED_MESSAGE = 'Cancelled by user';
+
+/**
+ * Error for a cancelled operation
+ * @returns {Error} AbortError
+ */
+function abortError() {
+  return Object.assign(new Error(CANCELLED_MESSAGE), { name: 'AbortError', code: 'ABORT_ERR' });
+}
+
+/**
+ * @param {Error} error - Any error
+ * @returns {boolean} True for cancellations (ours, fetch's or DOMException's)
+ */
+function isAbortError(error) {
+  return !!error && (error.name === 'AbortError' || error.code === 'ABORT_ERR');
+}
+
+/**
+ * Throw an AbortError if the signal already fired
+ * @param {AbortSignal|null} signal - Optional signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError();
+}
+
+/**
+ * Settle with promise, or reject with an AbortError as soon as signal fires
+ * @param {Promise} promise - Operation to wait for
+ * @param {AbortSignal|null} signal - Optional signal
+ * @returns {Promise}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    Promise.resolve(promise).catch(() => {}); // The abandoned call may still reject later
+    return Promise.reject(abortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(
+      (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
+/**
+ * setTimeout as a promise that rejects with an AbortError when signal fires
+ * @param {number} ms - Delay
+ * @param {AbortSignal|null} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  if (signal && signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Abort controller when signal fires (fetch with its own timeout controller)
+ * @param {AbortController} controller - Controller to abort
+ * @param {AbortSignal|null} signal - Optional signal
+ * @returns {Function} Unlink — call once the operation settled
+ */
+function linkAbortSignal(controller, signal) {
+  if (!signal) return () => {};
+  const onAbort = () => controller.abort();
+  if (signal.aborted) controller.abort();
+  else signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Bind a signal to an MCP adapter or LLM backend
+ * Every call gets options.signal and rejects as soon as the signal fires.
+ * Other methods (isServiceAvailable, getInfo, ...) pass through.
+ * @param {Object|null} target - MCPAdapter or LLMBackend
+ * @param {AbortSignal|null} signal - Run signal
+ * @returns {Object|null} Bound adapter/backend (target itself without a signal)
+ */
+function withAbortSignal(target, signal) {
+  if (!target || !signal) return target;
+
+  const bound = Object.create(target);
+  if (typeof target.callService === 'function') {
+    bound.callService = async (serviceName, action, params, options = {}) => {
+      throwIfAborted(signal);
+      return raceAbort(target.callService(serviceName, action, params, { ...options, signal }), signal);
+    };
+  }
+  if (typeof target.callServiceStream === 'function') {
+    bound.callServiceStream = async (serviceName, action, params, onToken, onProgress, options = {}) => {
+      throwIfAborted(signal);
+      return raceAbort(target.callServiceStream(serviceName, action, params, onToken, onProgress, { ...options, signal }), signal);
+    };
+  }
+  if (typeof target.call === 'function') {
+    bound.call = async (toolName, params) => {
+      throwIfAborted(signal);
+      return raceAbort(target.call(toolName, params), signal);
+    };
+  }
+  if (typeof target.generateAnswer === 'function') {
+    bound.generateAnswer = async (prompt, payload, options = {}, onToken = null) => {
+      throwIfAborted(signal);
+      return raceAbort(target.generateAnswer(prompt, payload, { ...options, signal }, onToken), signal);
+    };
+  }
+  return bound;
+}
+
+module.exports = {
+  abortError,
+  isAbortError,
+  throwIfAborted,
+  raceAbort,
+  abortableDelay,
+  linkAbortSignal,
+  withAbortSignal
+};
@@ -0,0 +1,380 @@
+/**
+ * Graph definitions - Graph shapes as JSON / YAML documents
+ *
+ * A definition names registered nodes, routes with rule tables and sets
+ * node policies, so alternative flows ship as configuration:
+ *
+ *   {
+ *     "name": "voice-only", "version": "1.0.0",
+ *     "nodes": ["parseIntent", "storeMemory", "retrieveMemory", "answer", "logConversation"],
+ *     "edges": {
+ *       "start": "parseIntent",
+ *       "parseIntent": [
+ *         "intent.type == 'memory_store' → storeMemory",
+ *         { "when": "intent.type in ['question', 'web_search']", "to": "retrieveMemory" },
+ *         "answer"
+ *       ],
+ *       "storeMemory": "logConversation",
+ *       "retrieveMemory": "answer",
+ *       "answer": "logConversation",
+ *       "logConversation": "end"
+ *     },
+ *     "policies": { "retrieveMemory": { "timeoutMs": 5000, "fallback": "answer" } },
+ *     "options": { "maxIterations": 20 }
+ *   }
+ *
+ * nodes: array of registered names, or { nodeName: registeredName } to alias.
+ * Edges: a node name, { parallel: [...], join }, or a rule table. Rules run in
+ * order; the first whose condition holds wins, and the table must end with a
+ * default (a rule without a condition). Rules are "<condition> → <target>"
+ * strings, { when, to } or { when, parallel, join } objects; "->" works too.
+ *
+ * Conditions read state paths (intent.type, skillPlan.length) and support
+ * == != > >= < <= in, && || ! (or and / or / not), parentheses, quoted
+ * strings, numbers, true / false / null and [lists]; a missing key == null.
+ * Nothing is eval'd.
+ *
+ * YAML needs the optional "yaml" (or "js-yaml") package, loaded on first use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { route } = require('./validateGraph');
+
+// Policy keys a document may set (functions such as retryOn stay in code)
+const POLICY_KEYS = new Set(['timeoutMs', 'maxRetries', 'backoff', 'backoffMs', 'fallback', 'cacheKey', 'cacheTTL', 'maxVisits']);
+
+// Engine options a document may set — runtime dependencies always come from code
+const OPTION_KEYS = new Set(['maxIterations', 'loopDetection', 'cacheEnabled', 'cacheTTL', 'cacheMaxSize', 'verboseTrace', 'stateSchema']);
+
+const BLOCKED_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor']);
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+function parseYaml(text) {
+  let yaml;
+  try {
+    yaml = require('yaml');
+    return yaml.parse(text);
+  } catch (error) {
+    if (yaml || error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+  try {
+    return require('js-yaml').load(text);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('[GraphDefinition] YAML definitions need the "yaml" package. Run: npm install yaml');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a definition
+ * @param {Object|string} source - Definition object, file path (.json/.yaml/.yml) or JSON/YAML text
+ * @returns {Object} Definition object
+ */
+function loadGraphDefinition(source) {
+  if (source && typeof source === 'object') return source;
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('[GraphDefinition] Expected a definition object, file path or JSON/YAML text');
+  }
+
+  let text = source;
+  let format = source.trim().startsWith('{') ? 'json' : 'yaml';
+  if (!source.includes('\n') && /\.(json|ya?ml)$/i.test(source)) {
+    text = fs.readFileSync(source, 'utf8');
+    format = path.extname(source).toLowerCase() === '.json' ? 'json' : 'yaml';
+  }
+
+  const definition = format === 'json' ? JSON.parse(text) : parseYaml(text);
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('[GraphDefinition] Definition must be an object');
+  }
+  return definition;
+}
+
+// ─── Conditions ──────────────────────────────────────────────────────────────
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(===|!==|==|!=|>=|<=|&&|\|\||[<>!()[\],])|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let index = 0;
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`[GraphDefinition] Unexpected input in condition "${expression}" at: ${expression.slice(index).trim()}`);
+    }
+    index = TOKEN_PATTERN.lastIndex;
+    if (match[1] !== undefined) tokens.push({ type: 'value', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'value', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (match[3] !== undefined) tokens.push({ type: 'op', value: match[3] });
+    else tokens.push({ type: 'word', value: match[4] });
+  }
+  return tokens;
+}
+
+function readPath(state, pathExpression) {
+  const segments = pathExpression.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let value = state;
+  for (const segment of segments) {
+    if (value === null || value === undefined || BLOCKED_SEGMENTS.has(segment)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+const has = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+const WORD_LITERALS = { true: true, false: false, null: null, undefined };
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+// Strict equality, except that a missing key equals null
+const equals = (a, b) => a === b || (a == null && b == null);
+
+const COMPARISONS = {
+  '==': equals,
+  '===': equals,
+  '!=': (a, b) => !equals(a, b),
+  '!==': (a, b) => !equals(a, b),
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  in: (a, b) => (Array.isArray(b) ? b.includes(a) : typeof b === 'string' && typeof a === 'string' && b.includes(a))
+};
+
+/**
+ * Compile a rule condition
+ * @param {string} expression - e.g. "intent.type == 'memory_store' && !matchedSkillName"
+ * @returns {Function} (state) => boolean
+ */
+function compileCondition(expression) {
+  const tokens = tokenize(expression).map(token => (
+    token.type === 'word' && has(WORD_OPERATORS, token.value) ? { type: 'op', value: WORD_OPERATORS[token.value] } : token
+  ));
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`[GraphDefinition] ${message} in condition "${expression}"`);
+  };
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    const token = tokens[position];
+    if (token && (token.type === 'op' || token.type === 'word') && token.value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+
+  function primary() {
+    const token = tokens[position++];
+    if (!token) fail('Unexpected end');
+    if (token.type === 'value') return () => token.value;
+    if (token.type === 'word') {
+      if (has(WORD_LITERALS, token.value)) return () => WORD_LITERALS[token.value];
+      return (state) => readPath(state, token.value);
+    }
+    if (token.value === '(') {
+      const inner = or();
+      if (!accept(')')) fail('Missing )');
+      return inner;
+    }
+    if (token.value === '[') {
+      const items = [];
+      if (!accept(']')) {
+        do { items.push(primary()); } while (accept(','));
+        if (!accept(']')) fail('Missing ]');
+      }
+      return (state) => items.map(item => item(state));
+    }
+    return fail(`Unexpected "${token.value}"`);
+  }
+
+  function comparison() {
+    const left = primary();
+    const token = peek();
+    if (token && has(COMPARISONS, token.value) && (token.type === 'op' || token.value === 'in')) {
+      position++;
+      const right = primary();
+      const compare = COMPARISONS[token.value];
+      return (state) => compare(left(state), right(state));
+    }
+    return left;
+  }
+
+  function not() {
+    if (accept('!')) {
+      const operand = not();
+      return (state) => !operand(state);
+    }
+    return comparison();
+  }
+
+  function and() {
+    let left = not();
+    while (accept('&&')) {
+      const a = left, b = not();
+      left = (state) => a(state) && b(state);
+    }
+    return left;
+  }
+
+  function or() {
+    let left = and();
+    while (accept('||')) {
+      const a = left, b = and();
+      left = (state) => a(state) || b(state);
+    }
+    return left;
+  }
+
+  if (tokens.length === 0) fail('Empty condition');
+  const evaluate = or();
+  if (position < tokens.length) fail(`Unexpected "${tokens[position].value}"`);
+  return (state) => !!evaluate(state);
+}
+
+// ─── Edges ───────────────────────────────────────────────────────────────────
+
+const ARROW = /\s*(?:→|->)\s*/;
+
+/** Normalize one rule to { condition, when, target } (target: name or parallel descriptor) */
+function parseRule(from, rule, index) {
+  const where = `rule ${index + 1} of ${from}`;
+  let when = null;
+  let target;
+
+  if (typeof rule === 'string') {
+    const parts = rule.split(ARROW);
+    if (parts.length > 2) throw new Error(`[GraphDefinition] ${where} has more than one arrow: "${rule}"`);
+    if (parts.length === 2) [when, target] = parts;
+    else target = rule.trim();
+  } else if (rule && typeof rule === 'object') {
+    when = rule.when ?? null;
+    target = rule.parallel ? { type: 'parallel', nodes: rule.parallel, join: rule.join, reducers: {} } : rule.to;
+  }
+
+  if (rule?.parallel && (!Array.isArray(rule.parallel) || typeof rule.join !== 'string')) {
+    throw new Error(`[GraphDefinition] ${where}: parallel needs a list of nodes and a join node`);
+  }
+  if (!target || (typeof target === 'string' && target.trim() === '')) {
+    throw new Error(`[GraphDefinition] ${where} has no target`);
+  }
+  return { when, condition: when === null ? null : compileCondition(when), target: typeof target === 'string' ? target.trim() : target };
+}
+
+function targetNames(target) {
+  return typeof target === 'string' ? [target] : [...target.nodes, target.join];
+}
+
+/**
+ * Build an edge from its document form
+ * @param {string} from - Source node ('start' for the start edge)
+ * @param {string|Object|Array} edge - Node name, { parallel, join } or rule table
+ * @param {Object} logger - Logger for routing decisions
+ * @returns {string|Object|Function} Engine edge
+ */
+function buildEdge(from, edge, logger) {
+  if (typeof edge === 'string') return edge;
+
+  if (edge && !Array.isArray(edge) && typeof edge === 'object') {
+    if (edge.when !== undefined) {
+      throw new Error(`[GraphDefinition] Edge from ${from} has a condition — conditional rules go in a rule table ([...])`);
+    }
+    return parseRule(from, edge, 0).target;
+  }
+
+  if (!Array.isArray(edge) || edge.length === 0) {
+    throw new Error(`[GraphDefinition] Edge from ${from} must be a node name, a parallel edge or a rule table`);
+  }
+
+  const rules = edge.map((rule, index) => parseRule(from, rule, index));
+  const defaultIndex = rules.findIndex(rule => rule.condition === null);
+  if (defaultIndex === -1) {
+    throw new Error(`[GraphDefinition] Rule table of ${from} needs a default rule (a target without a condition)`);
+  }
+  if (defaultIndex !== rules.length - 1) {
+    throw new Error(`[GraphDefinition] Rule table of ${from}: rules after the default (rule ${defaultIndex + 1}) can never match`);
+  }
+
+  const targets = [...new Set(rules.flatMap(rule => targetNames(rule.target)))];
+  return route(targets, (state) => {
+    const index = rules.findIndex(rule => rule.condition === null || rule.condition(state));
+    const { when, target } = rules[index];
+    logger.debug(`[StateGraph:Router] ${from} rule ${index + 1}${when ? ` (${when})` : ' (default)'} → ${targetNames(target).join(', ')}`);
+    return target;
+  });
+}
+
+// ─── Definition ──────────────────────────────────────────────────────────────
+
+function buildPolicy(nodeName, policy) {
+  const unknown = Object.keys(policy).filter(key => !POLICY_KEYS.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`[GraphDefinition] Unsupported policy keys for ${nodeName}: ${unknown.join(', ')}`);
+  }
+  if (typeof policy.cacheKey === 'string') {
+    // cacheKey names the state path whose value keys the cache
+    const keyPath = policy.cacheKey;
+    return { ...policy, cacheKey: (state) => { const value = readPath(state, keyPath); return value === undefined || value === null ? null : String(value); } };
+  }
+  return { ...policy };
+}
+
+/**
+ * Turn a definition into StateGraph constructor arguments
+ * @param {Object} definition - Loaded definition
+ * @param {Object} context
+ * @param {Function} context.resolveNode - (registeredName, nodeName) => node function (throws if unknown)
+ * @param {Object} context.logger - Logger for routing decisions
+ * @returns {{ nodes, edges, nodePolicies, options, meta: { name, version } }}
+ */
+function buildGraphDefinition(definition, context) {
+  const { resolveNode, logger } = context;
+  const label = definition.name ? `Definition ${definition.name}` : 'Definition';
+
+  const nodeEntries = Array.isArray(definition.nodes)
+    ? definition.nodes.map(name => [name, name])
+    : Object.entries(definition.nodes || {});
+  if (nodeEntries.length === 0) {
+    throw new Error(`[GraphDefinition] ${label} declares no nodes`);
+  }
+  const nodes = {};
+  for (const [nodeName, registeredName] of nodeEntries) {
+    nodes[nodeName] = resolveNode(registeredName, nodeName);
+  }
+
+  const edgeSpec = { ...(definition.edges || {}) };
+  if (definition.start !== undefined && edgeSpec.start === undefined) edgeSpec.start = definition.start;
+  const edges = {};
+  for (const [from, edge] of Object.entries(edgeSpec)) {
+    edges[from] = buildEdge(from, edge, logger);
+  }
+
+  const nodePolicies = {};
+  for (const [nodeName, policy] of Object.entries(definition.policies || {})) {
+    nodePolicies[nodeName] = buildPolicy(nodeName, policy);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(definition.options || {})) {
+    if (!OPTION_KEYS.has(key)) {
+      throw new Error(`[GraphDefinition] ${label}: option ${key} cannot be set from a definition`);
+    }
+    options[key] = value;
+  }
+
+  return { nodes, edges, nodePolicies, options, meta: { name: definition.name || null, version: definition.version || null } };
+}
+
+module.exports = {
+  loadGraphDefinition,
+  buildGraphDefinition,
+  compileCondition
+};
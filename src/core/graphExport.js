@@ -0,0 +1,204 @@
+/**
+ * Graph export - Render a StateGraph topology as Mermaid or Graphviz DOT
+ *
+ * Edge styles (Mermaid / DOT):
+ *   static       -->               solid
+ *   conditional  -.->              dashed (declared targets of a dynamic edge)
+ *   parallel     ==>               bold (fan-out branches and join)
+ *   fallback     -.->|fallback|    dotted, labelled (node policy fallback)
+ *
+ * Passing a run's trace highlights the nodes it visited (visit count and
+ * total duration in the label, failed nodes in red) and the edges it took.
+ */
+
+const { edgeTargets, isParallelEdge } = require('./validateGraph');
+
+const START = '__start__';
+const END = '__end__';
+
+/**
+ * Flatten a graph's edges into { from, to, kind } records
+ * Undeclared dynamic edges have no known targets and are skipped.
+ * @param {StateGraph} graph - Graph to read
+ * @returns {Array<{ from: string, to: string, kind: string }>}
+ */
+function collectEdges(graph) {
+  const edges = [];
+  const names = Object.keys(graph.nodes);
+  const id = (name) => (name === 'start' ? START : name === 'end' ? END : name);
+
+  const addEdge = (from, edge) => {
+    if (isParallelEdge(edge)) {
+      const { targets } = edgeTargets(from, edge);
+      const branches = targets.slice(0, -1);
+      for (const branch of branches) {
+        edges.push({ from: id(from), to: id(branch), kind: 'parallel' });
+        edges.push({ from: id(branch), to: id(edge.join), kind: 'parallel' });
+      }
+      return;
+    }
+    const kind = typeof edge === 'function' ? 'conditional' : 'static';
+    for (const target of edgeTargets(from, edge).targets) {
+      edges.push({ from: id(from), to: id(target), kind });
+    }
+  };
+
+  if (graph.edges.start !== undefined) addEdge('start', graph.edges.start);
+  for (const name of names) {
+    const edge = graph.edges[name];
+    if (edge === undefined || edge === null) {
+      edges.push({ from: name, to: END, kind: 'static' }); // No edge = end
+    } else {
+      addEdge(name, edge);
+    }
+
+    const fallback = graph.nodePolicies[name]?.fallback;
+    if (fallback) edges.push({ from: name, to: id(fallback), kind: 'fallback' });
+  }
+  return edges;
+}
+
+/**
+ * Summarize a trace per node and collect the transitions it made
+ * @param {Array<Object>} trace - state.trace from a run
+ * @returns {{ nodes: Map<string, Object>, transitions: Set<string> }}
+ */
+function summarizeTrace(trace = []) {
+  const nodes = new Map();
+  const transitions = new Set();
+  let previous = START;
+  // Consecutive parallel entries are one fan-out: each branch hangs off the
+  // node that spawned it and feeds the node that runs next (the join).
+  let branches = [];
+
+  for (const entry of trace) {
+    const stats = nodes.get(entry.node) || { visits: 0, duration: 0, failed: false };
+    stats.visits++;
+    stats.duration += entry.duration || 0;
+    stats.failed = stats.failed || (entry.success === false && !entry.fallback);
+    nodes.set(entry.node, stats);
+
+    if (entry.parallel) {
+      transitions.add(`${previous}->${entry.node}`);
+      branches.push(entry);
+      continue;
+    }
+    for (const branch of branches) {
+      if (branch.success !== false) transitions.add(`${branch.node}->${entry.node}`);
+    }
+    if (branches.length === 0) transitions.add(`${previous}->${entry.node}`);
+    branches = [];
+    previous = entry.node;
+  }
+
+  const last = trace[trace.length - 1];
+  if (branches.length > 0) {
+    for (const branch of branches) {
+      if (branch.success !== false) transitions.add(`${branch.node}->${END}`);
+    }
+  } else if (last && last.success !== false) {
+    transitions.add(`${previous}->${END}`);
+  }
+  return { nodes, transitions };
+}
+
+function nodeLabel(name, stats, lineBreak) {
+  if (!stats) return name;
+  const visits = stats.visits > 1 ? ` ×${stats.visits}` : '';
+  return `${name}${lineBreak}${stats.duration}ms${visits}`;
+}
+
+function mermaidId(name) {
+  return name.replace(/[^\w]/g, '_');
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * @param {StateGraph} graph - Graph to render
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.trace] - Trace to overlay
+ * @param {string} [options.direction='TD'] - Flowchart direction
+ * @returns {string} Mermaid source
+ */
+function toMermaid(graph, options = {}) {
+  const overlay = options.trace ? summarizeTrace(options.trace) : null;
+  const lines = [`flowchart ${options.direction || 'TD'}`];
+
+  lines.push(`  ${START}([start])`);
+  for (const name of Object.keys(graph.nodes)) {
+    lines.push(`  ${mermaidId(name)}["${nodeLabel(name, overlay?.nodes.get(name), '<br/>')}"]`);
+  }
+  lines.push(`  ${END}([end])`);
+
+  const arrows = { static: '-->', conditional: '-.->', parallel: '==>', fallback: '-.->|fallback|' };
+  const taken = [];
+  collectEdges(graph).forEach((edge, index) => {
+    lines.push(`  ${mermaidId(edge.from)} ${arrows[edge.kind]} ${mermaidId(edge.to)}`);
+    if (overlay?.transitions.has(`${edge.from}->${edge.to}`)) taken.push(index);
+  });
+
+  if (overlay) {
+    lines.push('  classDef visited fill:#c8e6c9,stroke:#2e7d32');
+    lines.push('  classDef failed fill:#ffcdd2,stroke:#c62828');
+    for (const [name, stats] of overlay.nodes) {
+      if (name in graph.nodes) lines.push(`  class ${mermaidId(name)} ${stats.failed ? 'failed' : 'visited'}`);
+    }
+    if (taken.length > 0) {
+      lines.push(`  linkStyle ${taken.join(',')} stroke:#2e7d32,stroke-width:3px`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as Graphviz DOT
+ * @param {StateGraph} graph - Graph to render
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.trace] - Trace to overlay
+ * @param {string} [options.rankdir='TB'] - Layout direction
+ * @returns {string} DOT source
+ */
+function toDot(graph, options = {}) {
+  const overlay = options.trace ? summarizeTrace(options.trace) : null;
+  const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+  const lines = [
+    'digraph StateGraph {',
+    `  rankdir=${options.rankdir || 'TB'};`,
+    '  node [shape=box, style=rounded];',
+    `  ${quote(START)} [label="start", shape=circle];`,
+    `  ${quote(END)} [label="end", shape=doublecircle];`
+  ];
+
+  for (const name of Object.keys(graph.nodes)) {
+    const stats = overlay?.nodes.get(name);
+    const attrs = [`label=${quote(nodeLabel(name, stats, '\\n'))}`];
+    if (stats) {
+      attrs.push('style="rounded,filled"', `fillcolor=${quote(stats.failed ? '#ffcdd2' : '#c8e6c9')}`);
+    }
+    lines.push(`  ${quote(name)} [${attrs.join(', ')}];`);
+  }
+
+  const styles = {
+    static: [],
+    conditional: ['style=dashed'],
+    parallel: ['style=bold'],
+    fallback: ['style=dotted', 'label="fallback"']
+  };
+  for (const edge of collectEdges(graph)) {
+    const attrs = [...styles[edge.kind]];
+    if (overlay?.transitions.has(`${edge.from}->${edge.to}`)) {
+      attrs.push('color="#2e7d32"', 'penwidth=2');
+    }
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+module.exports = {
+  collectEdges,
+  toMermaid,
+  toDot
+};
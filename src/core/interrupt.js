@@ -0,0 +1,39 @@
+/**
+ * Interrupts - Human-in-the-loop pauses for StateGraph nodes
+ *
+ * A node returns interrupt(payload) to suspend the run. StateGraph saves a
+ * checkpoint, returns the state with `interrupted: true` and
+ * `interrupt: { token, node, payload }`, and graph.resume(token, userReply)
+ * later re-runs the SAME node with state.userReply set to the reply.
+ *
+ *   if (state.userReply === undefined) {
+ *     return interrupt({ question: 'Which folder?', options: ['Desktop', 'Documents'] });
+ *   }
+ *   // ...continue with state.userReply
+ */
+
+const INTERRUPT = Symbol('interrupt');
+
+/**
+ * Create an interrupt result
+ * @param {*} payload - What the caller should show the user (question, options, ...)
+ * @param {Object} [update={}] - State keys to save before suspending
+ * @returns {Object} Interrupt marker understood by StateGraph
+ */
+function interrupt(payload, update = {}) {
+  return { [INTERRUPT]: true, payload, update };
+}
+
+/**
+ * Check whether a node result is an interrupt
+ * @param {*} result - Node result
+ * @returns {boolean}
+ */
+function isInterrupt(result) {
+  return !!result && typeof result === 'object' && result[INTERRUPT] === true;
+}
+
+module.exports = {
+  interrupt,
+  isInterrupt
+};
@@ -0,0 +1,109 @@
+/**
+ * Loop guard - Stops runs that cycle without making progress
+ *
+ * Checked before every sequential node (graph.maxIterations is enforced by the
+ * run loop itself):
+ *   - max_visits      a node ran more often than its policy.maxVisits
+ *                     (e.g. nodePolicies: { recoverSkill: { maxVisits: 8 } })
+ *   - repeated_state  the run reached the same node with an identical state
+ *                     loopDetection.maxRepeats times (default 3) — a cycle
+ *                     whose nodes change nothing will never end on its own.
+ *                     Opt-in (loopDetection: true | { ... }): it hashes the
+ *                     state before every node, so large states pay for it.
+ *                     loopDetection.keys limits the hash to the keys routing
+ *                     reads.
+ *
+ * A tripped guard returns a description that the engine stores as
+ * state.loopDetected:
+ *   { reason, node, limit, count, cycle?, message }
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Resolve the loopDetection option
+ * @param {boolean|Object|undefined} loopDetection - true or { maxRepeats, keys, ignoreKeys } enables fingerprinting
+ * @returns {Object|null} { maxRepeats, keys, ignoreKeys } or null
+ */
+function resolveLoopDetection(loopDetection) {
+  if (!loopDetection) return null;
+  return { maxRepeats: 3, keys: null, ignoreKeys: [], ...(loopDetection === true ? {} : loopDetection) };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.nodePolicies - Per-node policies (maxVisits)
+ * @param {Object|null} options.loopDetection - Resolved loopDetection options
+ * @param {Set<string>} options.excludedKeys - Engine keys left out of fingerprints
+ * @param {Function} options.serialize - (state) => JSON-safe copy
+ * @param {Object} state - Run state (visits already in state.trace count, so resumed runs keep their totals)
+ * @returns {{ check: Function }}
+ */
+function createLoopGuard(options, state) {
+  const { nodePolicies, loopDetection, excludedKeys, serialize } = options;
+  const visits = new Map();
+  const seen = new Map(); // fingerprint → { count, traceIndex of the latest visit }
+
+  for (const entry of state.trace || []) {
+    if (!entry.parallel) visits.set(entry.node, (visits.get(entry.node) || 0) + 1);
+  }
+
+  const ignored = new Set(loopDetection?.ignoreKeys || []);
+  const fingerprint = (node) => {
+    const values = {};
+    if (loopDetection.keys) {
+      for (const key of loopDetection.keys) values[key] = state[key];
+    } else {
+      for (const [key, value] of Object.entries(state)) {
+        if (!excludedKeys.has(key) && !ignored.has(key)) values[key] = value;
+      }
+    }
+    const json = JSON.stringify(serialize(values), (key, val) => (
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.keys(val).sort().reduce((sorted, k) => { sorted[k] = val[k]; return sorted; }, {})
+        : val
+    ));
+    return crypto.createHash('sha1').update(`${node}\0${json}`).digest('hex');
+  };
+
+  /**
+   * Record a visit to node and check the guards
+   * @param {string} node - Node about to run
+   * @returns {Object|null} Loop description, or null to continue
+   */
+  function check(node) {
+    const count = (visits.get(node) || 0) + 1;
+    visits.set(node, count);
+
+    const maxVisits = nodePolicies[node]?.maxVisits;
+    if (maxVisits && count > maxVisits) {
+      return {
+        reason: 'max_visits', node, limit: maxVisits, count,
+        message: `Loop detected: node ${node} exceeded maxVisits (${maxVisits})`
+      };
+    }
+
+    if (!loopDetection) return null;
+
+    const key = fingerprint(node);
+    const previous = seen.get(key);
+    const repeats = previous ? previous.count + 1 : 1;
+    seen.set(key, { count: repeats, traceIndex: state.trace.length });
+    if (previous && repeats >= loopDetection.maxRepeats) {
+      // The cycle is what ran between the last two identical visits
+      const cycle = [...state.trace.slice(previous.traceIndex).filter(entry => !entry.parallel).map(entry => entry.node), node];
+      return {
+        reason: 'repeated_state', node, limit: loopDetection.maxRepeats, count: repeats, cycle,
+        message: `Loop detected at node ${node}: identical state seen ${repeats} times (${cycle.join(' → ')})`
+      };
+    }
+    return null;
+  }
+
+  return { check };
+}
+
+module.exports = {
+  resolveLoopDetection,
+  createLoopGuard
+};
@@ -0,0 +1,136 @@
+/**
+ * Graph pruning - Drop disabled nodes and reroute edges around them
+ *
+ * An edge into a disabled node continues where that node would have sent the
+ * run: to its entry in `fallbacks` when there is one, otherwise along the
+ * node's own outgoing edge (a router is evaluated on the current state).
+ * With webSearch disabled, enrichIntent → webSearch becomes → retrieveMemory,
+ * or → answer when retrieveMemory is disabled too.
+ *
+ * Fan-outs lose their disabled branches; a fan-out left without branches
+ * goes straight to its (rerouted) join node. Rerouted dynamic edges declare
+ * their new targets, so the pruned graph still passes compile().
+ */
+
+const { route, isParallelEdge } = require('./validateGraph');
+
+/**
+ * @param {Object} graph
+ * @param {Object} graph.nodes - Node functions
+ * @param {Object} graph.edges - Edges (including start)
+ * @param {Object} graph.nodePolicies - Per-node policies
+ * @param {Array<string>} enabledNodes - Nodes to keep
+ * @param {Object} [options]
+ * @param {Object} [options.fallbacks] - { disabledNode: replacementNode } where following
+ *   the node's own edge would be wrong (e.g. executeCommand loops back to itself)
+ * @param {Object} [options.logger] - Logger (default: console)
+ * @returns {{ nodes, edges, nodePolicies, reroutes: Object<string, Array<string>> }}
+ *   reroutes: disabled node → nodes its incoming edges now lead to
+ */
+function pruneGraph(graph, enabledNodes, options = {}) {
+  const fallbacks = options.fallbacks || {};
+  const logger = options.logger || console;
+  const known = Object.keys(graph.nodes);
+
+  const unknown = enabledNodes.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`[StateGraph] enabledNodes lists unknown nodes: ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+  const enabled = new Set(enabledNodes);
+  const isLive = (name) => name === 'end' || enabled.has(name);
+
+  // Where a disabled node hands the run on to
+  const nextOf = (name) => fallbacks[name] ?? graph.edges[name] ?? 'end';
+
+  /** Every enabled node an edge may lead to after rerouting */
+  function staticTargets(target, seen = new Set()) {
+    if (isParallelEdge(target)) {
+      const branches = typeof target.nodes === 'function' ? (target.nodes.targets || []) : target.nodes;
+      return [...branches.filter(isLive), ...staticTargets(target.join, seen)];
+    }
+    if (isLive(target)) return [target];
+    if (seen.has(target)) return [];
+    seen.add(target);
+    const next = nextOf(target);
+    if (typeof next === 'function') return (next.targets || []).flatMap(t => staticTargets(t, seen));
+    return staticTargets(next, seen);
+  }
+
+  /** Reroute one routing result on the current state */
+  function resolveTarget(target, state, seen = new Set()) {
+    if (isParallelEdge(target)) {
+      const nodes = typeof target.nodes === 'function' ? target.nodes(state) : target.nodes;
+      const branches = nodes.filter(isLive);
+      const join = resolveTarget(target.join, state, seen);
+      return branches.length > 0 ? { ...target, nodes: branches, join } : join;
+    }
+    if (isLive(target)) return target;
+    if (seen.has(target)) {
+      throw new Error(`[StateGraph] Rerouting around disabled nodes loops at ${target}`);
+    }
+    seen.add(target);
+    const next = nextOf(target);
+    return resolveTarget(typeof next === 'function' ? next(state) : next, state, seen);
+  }
+
+  /** True if rerouting target never needs the run state */
+  function isStaticChain(target, seen = new Set()) {
+    if (isParallelEdge(target)) return Array.isArray(target.nodes) && isStaticChain(target.join, seen);
+    if (isLive(target)) return true;
+    if (seen.has(target)) return false;
+    seen.add(target);
+    const next = nextOf(target);
+    return typeof next !== 'function' && isStaticChain(next, seen);
+  }
+
+  const unique = (names) => [...new Set(names)];
+  const needsReroute = (edge) => {
+    if (typeof edge === 'function') return (edge.targets || []).some(target => !isLive(target));
+    if (!isParallelEdge(edge)) return !isLive(edge);
+    const branches = typeof edge.nodes === 'function' ? (edge.nodes.targets || []) : edge.nodes;
+    return [...branches, edge.join].some(target => !isLive(target));
+  };
+
+  const edges = {};
+  for (const [from, edge] of Object.entries(graph.edges)) {
+    if (from !== 'start' && !enabled.has(from)) continue;
+    if (!needsReroute(edge)) {
+      edges[from] = edge;
+    } else if (typeof edge !== 'function' && isStaticChain(edge)) {
+      edges[from] = resolveTarget(edge, {});
+    } else {
+      const router = typeof edge === 'function' ? edge : () => edge;
+      const targets = typeof edge === 'function' ? edge.targets.flatMap(target => staticTargets(target)) : staticTargets(edge);
+      edges[from] = route(unique(targets), (state) => resolveTarget(router(state), state));
+    }
+  }
+
+  const nodes = Object.fromEntries(Object.entries(graph.nodes).filter(([name]) => enabled.has(name)));
+
+  const nodePolicies = {};
+  for (const [name, policy] of Object.entries(graph.nodePolicies || {})) {
+    if (!enabled.has(name)) continue;
+    if (!policy.fallback || isLive(policy.fallback)) {
+      nodePolicies[name] = policy;
+      continue;
+    }
+    // A fallback is a node to run, so it must resolve without the run state
+    const { fallback, ...rest } = policy;
+    const replacement = isStaticChain(fallback) ? resolveTarget(fallback, {}) : null;
+    if (replacement && replacement !== 'end') {
+      nodePolicies[name] = { ...rest, fallback: replacement };
+    } else {
+      logger.warn(`[StateGraph] Dropping fallback ${fallback} of ${name}: the node is disabled`);
+      nodePolicies[name] = rest;
+    }
+  }
+
+  const reroutes = {};
+  for (const name of known.filter(name => !enabled.has(name))) {
+    reroutes[name] = unique(staticTargets(name));
+  }
+
+  return { nodes, edges, nodePolicies, reroutes };
+}
+
+module.exports = pruneGraph;
@@ -0,0 +1,70 @@
+/**
+ * State reducers - How node updates merge into StateGraph state
+ *
+ * A state schema maps keys to reducers:
+ *   new StateGraph(nodes, edges, { stateSchema: { skillResults: 'append', evaluationRetryCount: 'max' } })
+ *
+ * Every reducer is called as reducer(current, incoming, base):
+ *   - current:  value in the state being merged into
+ *   - incoming: value returned by the node
+ *   - base:     value the node saw when it started (differs from current
+ *               only when several parallel branches write the same key)
+ *
+ * Keys without a reducer are replaced (the historical Object.assign behaviour).
+ */
+
+/**
+ * Append array items. Nodes may return only the new items, or the full
+ * array they were given plus new items ([...state.list, item]) — in the
+ * latter case only the items past the base are appended, so copy-everything
+ * nodes never duplicate entries.
+ */
+function append(current, incoming, base = current) {
+  const existing = Array.isArray(current) ? current : (current === undefined || current === null ? [] : [current]);
+  const items = Array.isArray(incoming) ? incoming : [incoming];
+
+  const extendsBase = Array.isArray(base) &&
+    items.length >= base.length &&
+    base.every((item, i) => items[i] === item);
+
+  return existing.concat(extendsBase ? items.slice(base.length) : items);
+}
+
+/** Replace the value outright */
+function replace(current, incoming) {
+  return incoming;
+}
+
+/** Shallow-merge objects ({ ...current, ...incoming }) */
+function merge(current, incoming) {
+  if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) return incoming;
+  return { ...(current && typeof current === 'object' ? current : {}), ...incoming };
+}
+
+/** Keep the larger number (counters that must never go backwards) */
+function max(current, incoming) {
+  if (typeof current !== 'number') return incoming;
+  if (typeof incoming !== 'number') return current;
+  return Math.max(current, incoming);
+}
+
+const BUILT_IN_REDUCERS = { append, replace, merge, max };
+
+/**
+ * Resolve a schema entry to a reducer function
+ * @param {string|Function} reducer - Built-in name or custom function
+ * @returns {Function} Reducer function
+ */
+function resolveReducer(reducer) {
+  if (typeof reducer === 'function') return reducer;
+  if (BUILT_IN_REDUCERS[reducer]) return BUILT_IN_REDUCERS[reducer];
+  throw new Error(`[StateGraph] Unknown reducer: ${reducer} (expected ${Object.keys(BUILT_IN_REDUCERS).join(', ')} or a function)`);
+}
+
+module.exports = {
+  append,
+  replace,
+  merge,
+  max,
+  resolveReducer
+};
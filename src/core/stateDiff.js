@@ -0,0 +1,152 @@
+/**
+ * State diffs - Verbose trace support for time-travel debugging
+ *
+ * With `verboseTrace` enabled, StateGraph stores a JSON-safe snapshot of the
+ * initial state (state.traceBase) and, on every trace entry, the top-level
+ * keys the node set or removed:
+ *   entry.diff = { set: { skillCursor: 2, recoveryAction: 'replan' }, unset: ['failedStep'], lossy: [] }
+ *
+ * Snapshots are capped so traces stay small:
+ *   - strings longer than maxStringLength are cut ("…[+N chars]")
+ *   - arrays longer than maxArrayLength keep their first items ("…[+N items]")
+ *   - objects deeper than maxDepth become "[Object]"
+ *   - keys that look like secrets (or match options.redact) become "[REDACTED]"
+ * Keys affected by a cap or redaction are listed in diff.lossy — a state
+ * rebuilt from the trace holds the capped value for them.
+ */
+
+const SECRET_KEY_PATTERN = /(password|passwd|secret|token|api[-_]?key|authorization|credential|cookie)/i;
+
+const DEFAULT_OPTIONS = {
+  maxStringLength: 2000,
+  maxArrayLength: 50,
+  maxDepth: 6,
+  redact: []
+};
+
+/**
+ * Resolve the verboseTrace option
+ * @param {boolean|Object} verboseTrace - true, or { maxStringLength, maxArrayLength, maxDepth, redact }
+ * @returns {Object} Snapshot options
+ */
+function resolveSnapshotOptions(verboseTrace) {
+  return { ...DEFAULT_OPTIONS, ...(verboseTrace === true ? {} : verboseTrace) };
+}
+
+function isRedacted(key, value, options) {
+  if (SECRET_KEY_PATTERN.test(key)) return true;
+  if (typeof options.redact === 'function') return !!options.redact(key, value);
+  return Array.isArray(options.redact) && options.redact.includes(key);
+}
+
+/**
+ * Make a value JSON-safe within the size caps
+ * @param {*} value - Value to copy
+ * @param {Object} options - Snapshot options
+ * @param {number} depth - Current depth
+ * @param {Function} markLossy - Called when a cap or redaction applied
+ * @returns {*} Sanitized copy
+ */
+function sanitizeValue(value, options, depth, markLossy) {
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (value.length <= options.maxStringLength) return value;
+    markLossy();
+    return `${value.slice(0, options.maxStringLength)}…[+${value.length - options.maxStringLength} chars]`;
+  }
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return { message: value.message };
+
+  if (depth >= options.maxDepth) {
+    markLossy();
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, options.maxArrayLength).map(item => {
+      const copy = sanitizeValue(item, options, depth + 1, markLossy);
+      return copy === undefined ? null : copy;
+    });
+    if (value.length > options.maxArrayLength) {
+      markLossy();
+      items.push(`…[+${value.length - options.maxArrayLength} items]`);
+    }
+    return items;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isRedacted(key, item, options)) {
+      markLossy();
+      copy[key] = '[REDACTED]';
+      continue;
+    }
+    const sanitized = sanitizeValue(item, options, depth + 1, markLossy);
+    if (sanitized !== undefined) copy[key] = sanitized;
+  }
+  return copy;
+}
+
+/**
+ * Snapshot the top-level state keys
+ * @param {Object} state - Run state
+ * @param {Object} options - Snapshot options
+ * @param {Set<string>} excludedKeys - Engine/runtime keys to leave out
+ * @returns {{ values: Object, lossy: Set<string> }}
+ */
+function snapshotState(state, options, excludedKeys) {
+  const values = {};
+  const lossy = new Set();
+
+  for (const [key, value] of Object.entries(state)) {
+    if (excludedKeys.has(key)) continue;
+    const markLossy = () => lossy.add(key);
+    if (isRedacted(key, value, options)) {
+      markLossy();
+      values[key] = '[REDACTED]';
+      continue;
+    }
+    const sanitized = sanitizeValue(value, options, 0, markLossy);
+    if (sanitized !== undefined) values[key] = sanitized;
+  }
+  return { values, lossy };
+}
+
+/**
+ * Top-level diff between two snapshots
+ * @param {{ values: Object }} before - Earlier snapshot
+ * @param {{ values: Object, lossy: Set<string> }} after - Later snapshot
+ * @returns {{ set: Object, unset: Array<string>, lossy: Array<string> }}
+ */
+function diffSnapshots(before, after) {
+  const set = {};
+  for (const [key, value] of Object.entries(after.values)) {
+    if (!(key in before.values) || JSON.stringify(before.values[key]) !== JSON.stringify(value)) {
+      set[key] = value;
+    }
+  }
+  const unset = Object.keys(before.values).filter(key => !(key in after.values));
+  const lossy = Object.keys(set).filter(key => after.lossy.has(key));
+  return { set, unset, lossy };
+}
+
+/**
+ * Apply a diff to snapshot values
+ * @param {Object} values - Snapshot values
+ * @param {Object} diff - { set, unset }
+ * @returns {Object} New values
+ */
+function applyDiff(values, diff) {
+  const next = { ...values, ...JSON.parse(JSON.stringify(diff.set)) };
+  for (const key of diff.unset) delete next[key];
+  return next;
+}
+
+module.exports = {
+  resolveSnapshotOptions,
+  snapshotState,
+  diffSnapshots,
+  applyDiff
+};
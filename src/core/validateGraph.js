@@ -0,0 +1,223 @@
+/**
+ * Graph validation - Static checks run by StateGraph.compile()
+ *
+ * Dynamic edges are opaque functions, so they must declare every node they
+ * can return:
+ *   edges.parseSkill = route(['enrichIntent', 'parseIntent'], (state) => ...)
+ *
+ * Errors (compile() throws):
+ *   - missing start edge, edges from/to unknown nodes, unknown fallback nodes
+ *   - dynamic edges (or dynamic fan-out branch lists) without declared targets
+ *   - cycles with no edge leaving them (no exit guard)
+ *   - nodes with no path to 'end'
+ * Warnings:
+ *   - nodes unreachable from start
+ */
+
+/**
+ * Declare the possible targets of a dynamic edge
+ * Include every node a returned StateGraph.parallel() descriptor can name
+ * (branches and join), and 'end' if the router can finish the run.
+ * @param {Array<string>} targets - Node names the router may return
+ * @param {Function} fn - Router (state) => node name | parallel descriptor
+ * @returns {Function} The router, with fn.targets set
+ */
+function route(targets, fn) {
+  fn.targets = [...targets];
+  return fn;
+}
+
+function isParallelEdge(edge) {
+  return !!edge && typeof edge === 'object' && edge.type === 'parallel';
+}
+
+/**
+ * Names an edge can lead to, plus problems found while reading it
+ * @param {string} from - Source node ('start' for the start edge)
+ * @param {*} edge - Edge value
+ * @returns {{ targets: Array<string>, errors: Array<string> }}
+ */
+function edgeTargets(from, edge) {
+  if (typeof edge === 'string') {
+    return { targets: [edge], errors: [] };
+  }
+
+  if (isParallelEdge(edge)) {
+    if (Array.isArray(edge.nodes)) {
+      return { targets: [...edge.nodes, edge.join], errors: [] };
+    }
+    if (typeof edge.nodes === 'function' && Array.isArray(edge.nodes.targets)) {
+      return { targets: [...edge.nodes.targets, edge.join], errors: [] };
+    }
+    return { targets: [edge.join], errors: [`Fan-out from ${from} chooses its branches dynamically without declaring them (route([...], fn))`] };
+  }
+
+  if (typeof edge === 'function') {
+    if (Array.isArray(edge.targets)) {
+      return { targets: edge.targets, errors: [] };
+    }
+    return { targets: [], errors: [`Dynamic edge from ${from} must declare its targets (route([...], fn))`] };
+  }
+
+  return { targets: [], errors: [`Invalid edge from ${from}`] };
+}
+
+/**
+ * Strongly connected components (Tarjan)
+ * @param {Array<string>} names - Vertices
+ * @param {Map<string, Set<string>>} successors - Adjacency
+ * @returns {Array<Array<string>>} Components
+ */
+function stronglyConnected(names, successors) {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  function visit(name) {
+    indices.set(name, index);
+    lowLinks.set(name, index);
+    index++;
+    stack.push(name);
+    onStack.add(name);
+
+    for (const next of successors.get(name) || []) {
+      if (!successors.has(next)) continue;
+      if (!indices.has(next)) {
+        visit(next);
+        lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(name, Math.min(lowLinks.get(name), indices.get(next)));
+      }
+    }
+
+    if (lowLinks.get(name) === indices.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      components.push(component.reverse());
+    }
+  }
+
+  for (const name of names) {
+    if (!indices.has(name)) visit(name);
+  }
+  return components;
+}
+
+/**
+ * Validate a graph definition
+ * @param {Object} nodes - Node functions by name
+ * @param {Object} edges - Edges by source node (plus 'start')
+ * @param {Object} [nodePolicies={}] - Node policies (fallback targets count as edges)
+ * @returns {{ valid: boolean, errors: Array<string>, warnings: Array<string> }}
+ */
+function validateGraph(nodes, edges, nodePolicies = {}) {
+  const errors = [];
+  const warnings = [];
+  const names = Object.keys(nodes);
+  const known = new Set(names);
+
+  // Build successor sets ('end' is the only sink; a node with no edge ends the run)
+  const successors = new Map([['start', new Set()], ...names.map(name => [name, new Set()])]);
+
+  const addTargets = (from, edge) => {
+    const { targets, errors: edgeErrors } = edgeTargets(from, edge);
+    errors.push(...edgeErrors);
+    for (const target of targets) {
+      if (target !== 'end' && !known.has(target)) {
+        errors.push(`Edge ${from} → ${target} targets an unknown node`);
+        continue;
+      }
+      successors.get(from).add(target);
+    }
+  };
+
+  if (edges.start === undefined) {
+    errors.push('No start edge defined');
+  } else {
+    addTargets('start', edges.start);
+  }
+
+  for (const [from, edge] of Object.entries(edges)) {
+    if (from === 'start') continue;
+    if (!known.has(from)) {
+      errors.push(`Edge from unknown node: ${from}`);
+      continue;
+    }
+    addTargets(from, edge);
+  }
+
+  for (const name of names) {
+    if (edges[name] === undefined || edges[name] === null) successors.get(name).add('end');
+
+    const fallback = nodePolicies[name]?.fallback;
+    if (fallback) {
+      if (known.has(fallback)) {
+        successors.get(name).add(fallback);
+      } else {
+        errors.push(`Fallback ${name} → ${fallback} targets an unknown node`);
+      }
+    }
+  }
+
+  // Reachability from start
+  const reachable = new Set(['start']);
+  const queue = ['start'];
+  while (queue.length > 0) {
+    for (const next of successors.get(queue.shift()) || []) {
+      if (!reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  for (const name of names) {
+    if (!reachable.has(name)) warnings.push(`Node ${name} is unreachable from start`);
+  }
+
+  // Nodes that can finish the run (reverse reachability from 'end')
+  const canFinish = new Set(['end']);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [name, next] of successors) {
+      if (!canFinish.has(name) && [...next].some(n => canFinish.has(n))) {
+        canFinish.add(name);
+        changed = true;
+      }
+    }
+  }
+
+  // Cycles nothing can leave, then any remaining dead ends
+  const trapped = new Set();
+  for (const component of stronglyConnected(names, successors)) {
+    const members = new Set(component);
+    const isCycle = component.length > 1 || successors.get(component[0]).has(component[0]);
+    const hasExit = component.some(name => [...successors.get(name)].some(next => !members.has(next)));
+    if (isCycle && !hasExit) {
+      errors.push(`Cycle with no exit: ${[...component, component[0]].join(' → ')}`);
+      component.forEach(name => trapped.add(name));
+    }
+  }
+  for (const name of names) {
+    if (!canFinish.has(name) && !trapped.has(name)) {
+      errors.push(`Node ${name} has no path to end`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  route,
+  edgeTargets,
+  isParallelEdge,
+  validateGraph
+};
@@ -5,18 +5,47 @@
  */
 
 const StateGraph = require('./core/StateGraph');
+const RunManager = require('./core/RunManager');
+const IntentRouteRegistry = require('./core/IntentRouteRegistry');
+const AdaptiveGraph = require('./core/AdaptiveGraph');
+const PluginRegistry = require('./core/PluginRegistry');
 const StateGraphBuilder = require('./StateGraphBuilder');
+const { interrupt, isInterrupt } = require('./core/interrupt');
+const { withAbortSignal, isAbortError } = require('./core/abort');
 
 // Adapters
 const MCPAdapter = require('./adapters/MCPAdapter');
 const MockMCPAdapter = require('./adapters/MockMCPAdapter');
 const RealMCPAdapter = require('./adapters/RealMCPAdapter');
+const HttpMCPAdapter = require('./adapters/HttpMCPAdapter');
+const CassetteMCPAdapter = require('./adapters/CassetteMCPAdapter');
+const TracingMCPAdapter = require('./adapters/TracingMCPAdapter');
+
+// Checkpointers (durable runs / resume)
+const Checkpointer = require('./checkpointers/Checkpointer');
+const MemoryCheckpointer = require('./checkpointers/MemoryCheckpointer');
+const FileCheckpointer = require('./checkpointers/FileCheckpointer');
+
+// Cassettes (record/replay of MCP + LLM traffic)
+const Cassette = require('./cassettes/Cassette');
+
+// Tracing (OpenTelemetry-style spans)
+const Tracer = require('./tracing/Tracer');
+const SpanExporter = require('./tracing/SpanExporter');
+const InMemorySpanExporter = require('./tracing/InMemorySpanExporter');
+const JsonlSpanExporter = require('./tracing/JsonlSpanExporter');
+
+// Metrics (counters, histograms, gauges)
+const MetricsRegistry = require('./metrics/MetricsRegistry');
+const metricsMiddleware = require('./metrics/metricsMiddleware');
 
 // LLM Backends (pluggable answer generation)
 const LLMBackend = require('./backends/LLMBackend');
 const MCPLLMBackend = require('./backends/MCPLLMBackend');
 const VSCodeLLMBackend = require('./backends/VSCodeLLMBackend');
 const ExternalLLMBackend = require('./backends/ExternalLLMBackend');
+const CassetteLLMBackend = require('./backends/CassetteLLMBackend');
+const TracingLLMBackend = require('./backends/TracingLLMBackend');
 
 // Nodes (for custom graphs)
 const parseIntentNode = require('./nodes/parseIntent');
@@ -34,24 +63,57 @@ module.exports = {
   // Core
   StateGraph,
   StateGraphBuilder,
+  RunManager,
+  IntentRouteRegistry,
+  AdaptiveGraph,
+  PluginRegistry,
+  interrupt,
+  isInterrupt,
+  withAbortSignal,
+  isAbortError,
   
   // Adapters
   MCPAdapter,
   MockMCPAdapter,
   RealMCPAdapter,
+  HttpMCPAdapter,
+  CassetteMCPAdapter,
+  TracingMCPAdapter,
+
+  // Checkpointers
+  Checkpointer,
+  MemoryCheckpointer,
+  FileCheckpointer,
+
+  // Cassettes
+  Cassette,
+
+  // Tracing
+  Tracer,
+  SpanExporter,
+  InMemorySpanExporter,
+  JsonlSpanExporter,
+
+  // Metrics
+  MetricsRegistry,
+  metricsMiddleware,
 
   // LLM Backends (swap the answer generation backend)
   backends: {
     LLMBackend,
     MCPLLMBackend,
     VSCodeLLMBackend,
-    ExternalLLMBackend
+    ExternalLLMBackend,
+    CassetteLLMBackend,
+    TracingLLMBackend
   },
   // Also export flat for convenience
   LLMBackend,
   MCPLLMBackend,
   VSCodeLLMBackend,
   ExternalLLMBackend,
+  CassetteLLMBackend,
+  TracingLLMBackend,
   
   // Nodes (for custom implementations)
   nodes: {
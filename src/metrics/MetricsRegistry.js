@@ -0,0 +1,270 @@
+/**
+ * MetricsRegistry - In-process counters, histograms and gauges
+ *
+ * Aggregate health across runs, readable from tests or exposed to a scraper:
+ *   registry.toPrometheus()  → Prometheus text exposition format (0.0.4)
+ *   registry.snapshot()      → JSON: { [name]: { type, help, series: [{ labels, ... }] } }
+ *
+ * Metrics are created on first use and returned on later calls:
+ *   const runs = registry.counter('stategraph_runs_total', 'Finished runs');
+ *   runs.inc({ status: 'completed' });
+ *
+ * Histograms keep Prometheus buckets plus a bounded window of recent samples
+ * (maxSamples, default 1000) from which the snapshot reports p50/p95/p99.
+ */
+
+// Latency buckets in ms — nodes range from cached lookups to multi-minute automations
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000];
+
+/** Stable series key for a label set */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = Object.entries({ ...labels, ...extra }).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Quantile of sorted samples (nearest rank)
+ * @param {Array<number>} sorted - Ascending samples
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number|null}
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+class Metric {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help || name;
+    this.series = new Map(); // labelKey → { labels, ...data }
+  }
+
+  _series(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels: { ...labels }, ...create() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() { return 'counter'; }
+
+  /**
+   * @param {Object} [labels] - Label set
+   * @param {number} [value=1] - Amount (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`[Metrics] Counter ${this.name} cannot decrease`);
+    }
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.series.get(labelKey(labels))?.value || 0;
+  }
+
+  toPrometheus() {
+    const lines = this._header();
+    for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    return lines;
+  }
+
+  toJSON() {
+    return { type: this.type, help: this.help, series: [...this.series.values()].map(({ labels, value }) => ({ labels, value })) };
+  }
+}
+
+class Gauge extends Metric {
+  get type() { return 'gauge'; }
+
+  set(labels = {}, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.series.get(labelKey(labels))?.value || 0;
+  }
+
+  toPrometheus() {
+    const lines = this._header();
+    for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    return lines;
+  }
+
+  toJSON() {
+    return { type: this.type, help: this.help, series: [...this.series.values()].map(({ labels, value }) => ({ labels, value })) };
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Object} [options]
+   * @param {Array<number>} [options.buckets] - Upper bounds (ascending)
+   * @param {number} [options.maxSamples=1000] - Recent samples kept for quantiles
+   */
+  constructor(name, help, options = {}) {
+    super(name, help);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    this.maxSamples = options.maxSamples || 1000;
+  }
+
+  get type() { return 'histogram'; }
+
+  observe(labels = {}, value) {
+    const series = this._series(labels, () => ({ count: 0, sum: 0, bucketCounts: this.buckets.map(() => 0), samples: [] }));
+    series.count++;
+    series.sum += value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.bucketCounts[i]++;
+    });
+    series.samples.push(value);
+    if (series.samples.length > this.maxSamples) series.samples.shift();
+  }
+
+  /**
+   * Summary of one series
+   * @param {Object} [labels] - Label set
+   * @returns {{ count, sum, avg, min, max, p50, p95, p99 }|null}
+   */
+  get(labels = {}) {
+    const series = this.series.get(labelKey(labels));
+    return series ? this._summary(series) : null;
+  }
+
+  _summary(series) {
+    const sorted = [...series.samples].sort((a, b) => a - b);
+    return {
+      count: series.count,
+      sum: series.sum,
+      avg: series.count > 0 ? series.sum / series.count : null,
+      min: sorted.length > 0 ? sorted[0] : null,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      p50: quantile(sorted, 0.5),
+      p95: quantile(sorted, 0.95),
+      p99: quantile(sorted, 0.99)
+    };
+  }
+
+  toPrometheus() {
+    const lines = this._header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.bucketCounts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      help: this.help,
+      series: [...this.series.values()].map(series => ({ labels: series.labels, ...this._summary(series) }))
+    };
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _getOrCreate(MetricClass, name, help, options) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`[Metrics] ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(name, help, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /** @returns {Counter} */
+  counter(name, help) {
+    return this._getOrCreate(Counter, name, help);
+  }
+
+  /** @returns {Gauge} */
+  gauge(name, help) {
+    return this._getOrCreate(Gauge, name, help);
+  }
+
+  /** @returns {Histogram} */
+  histogram(name, help, options = {}) {
+    return this._getOrCreate(Histogram, name, help, options);
+  }
+
+  /**
+   * Look up a registered metric
+   * @param {string} name - Metric name
+   * @returns {Counter|Gauge|Histogram|undefined}
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Prometheus text exposition format
+   * @returns {string}
+   */
+  toPrometheus() {
+    const lines = [];
+    for (const metric of this.metrics.values()) lines.push(...metric.toPrometheus());
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * JSON snapshot of every metric
+   * @returns {Object} { [name]: { type, help, series } }
+   */
+  snapshot() {
+    const snapshot = {};
+    for (const [name, metric] of this.metrics) snapshot[name] = metric.toJSON();
+    return snapshot;
+  }
+
+  /** Clear all recorded values (metrics stay registered) */
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+MetricsRegistry.Counter = Counter;
+MetricsRegistry.Gauge = Gauge;
+MetricsRegistry.Histogram = Histogram;
+
+module.exports = MetricsRegistry;
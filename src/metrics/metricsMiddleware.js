@@ -0,0 +1,74 @@
+/**
+ * metricsMiddleware - Records StateGraph run health into a MetricsRegistry
+ *
+ * Registered by StateGraph when constructed with `metrics: true | registry`,
+ * or by hand with graph.use(metricsMiddleware(registry)).
+ *
+ * Metrics (default prefix `stategraph_`):
+ *   runs_total{status}                   completed | failed | cancelled | interrupted
+ *   run_duration_ms                      histogram of whole runs
+ *   runs_in_progress                     gauge
+ *   iteration_limit_total                runs stopped by the maxIterations limit
+ *   node_duration_ms{node}               histogram of successful node executions
+ *   node_executions_total{node,status}   success | cached | interrupted | error | degraded
+ *   node_retries_total{node}             extra attempts spent by retry policies
+ *   skill_recoveries_total{skill}        recoverSkill runs, by the skill that failed
+ *   evaluation_verdicts_total{verdict}   evaluateSkills verdicts (PASS, FIX, ASK_USER)
+ */
+
+/**
+ * @param {MetricsRegistry} registry - Registry to record into
+ * @param {Object} [options]
+ * @param {string} [options.prefix='stategraph_'] - Metric name prefix
+ * @returns {Object} Middleware for graph.use()
+ */
+function metricsMiddleware(registry, options = {}) {
+  const prefix = options.prefix ?? 'stategraph_';
+  const runs = registry.counter(`${prefix}runs_total`, 'Finished graph runs by outcome');
+  const runDuration = registry.histogram(`${prefix}run_duration_ms`, 'Graph run duration in milliseconds');
+  const inProgress = registry.gauge(`${prefix}runs_in_progress`, 'Graph runs currently executing');
+  const iterationLimit = registry.counter(`${prefix}iteration_limit_total`, 'Runs stopped by the maxIterations limit');
+  const nodeDuration = registry.histogram(`${prefix}node_duration_ms`, 'Successful node execution time in milliseconds');
+  const nodeExecutions = registry.counter(`${prefix}node_executions_total`, 'Node executions by outcome');
+  const nodeRetries = registry.counter(`${prefix}node_retries_total`, 'Extra attempts spent by node retry policies');
+  const recoveries = registry.counter(`${prefix}skill_recoveries_total`, 'recoverSkill runs by failed skill');
+  const verdicts = registry.counter(`${prefix}evaluation_verdicts_total`, 'evaluateSkills verdicts');
+  const activeRuns = new Set();
+
+  return {
+    beforeNode: ({ runId, node, state }) => {
+      if (!activeRuns.has(runId)) {
+        activeRuns.add(runId);
+        inProgress.inc();
+      }
+      if (node === 'recoverSkill' && state.failedStep) {
+        recoveries.inc({ skill: state.failedStep.skill || 'unknown' });
+      }
+    },
+
+    afterNode: ({ node, result, duration, attempts, traceEntry, interrupted }) => {
+      const status = interrupted ? 'interrupted' : traceEntry?.cached ? 'cached' : 'success';
+      nodeExecutions.inc({ node, status });
+      if (status === 'success') nodeDuration.observe({ node }, duration);
+      if (attempts > 1) nodeRetries.inc({ node }, attempts - 1);
+      if (node === 'evaluateSkills' && result?.evaluationVerdict) {
+        verdicts.inc({ verdict: result.evaluationVerdict });
+      }
+    },
+
+    onError: ({ node, error, fallback }) => {
+      nodeExecutions.inc({ node, status: fallback ? 'degraded' : 'error' });
+      if (error.attempts > 1) nodeRetries.inc({ node }, error.attempts - 1);
+    },
+
+    onComplete: ({ runId, state }) => {
+      if (activeRuns.delete(runId)) inProgress.dec();
+      const status = state.interrupted ? 'interrupted' : state.cancelled ? 'cancelled' : state.error ? 'failed' : 'completed';
+      runs.inc({ status });
+      runDuration.observe({}, state.elapsedMs || 0);
+      if (state.iterationLimitReached) iterationLimit.inc();
+    }
+  };
+}
+
+module.exports = metricsMiddleware;
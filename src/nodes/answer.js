@@ -235,6 +235,14 @@ module.exports = async function answer(state) {
     finalQuery = `${queryMessage}\n\n${state.visualContext}`;
   }
 
+  // Voice messages injected while the run was in progress (journal 'inject' signals)
+  const injectedMessages = (state.injectedMessages || [])
+    .map(m => (typeof m === 'string' ? m : m?.text || m?.message || ''))
+    .filter(Boolean);
+  if (injectedMessages.length > 0) {
+    finalQuery = `${finalQuery}\n\nThe user added while this was running:\n${injectedMessages.map(m => `- ${m}`).join('\n')}`;
+  }
+
   // ─── Build phi4-compatible payload ──────────────────────────────────────────
   const isCommandWithOutput = needsInterpretation && commandOutput;
 
@@ -31,8 +31,11 @@
  *   state.mcpAdapter                       — to call memory.search / memory.store / memory.update
  *   state.context                          — userId, sessionId
  *   state.conversationHistory              — to detect prior enrichment questions
+ *   state.useInterrupts                    — ask via interrupt() instead of state.answer (see below)
  */
 
+const { interrupt } = require('../core/interrupt');
+
 // ── Correction patterns ────────────────────────────────────────────────────
 const CORRECTION_PATTERNS = [
   /^(no[,.]?\s+|nope[,.]?\s+|wrong[,.]?\s+|not right[,.]?\s+|that'?s? (wrong|incorrect|not right)[,.]?\s*)/i,
@@ -193,7 +196,49 @@ function _detectEnrichLang(text) {
 
 const _ENRICH_LANG_NAMES = { zh: 'Chinese (Mandarin)', ja: 'Japanese', ko: 'Korean', ar: 'Arabic', ru: 'Russian', es: 'Spanish', fr: 'French', de: 'German', pt: 'Portuguese', hi: 'Hindi', it: 'Italian' };
 
+// ── Interrupt mode (state.useInterrupts) ───────────────────────────────────
+// Instead of surfacing a marker question as state.answer and recovering the
+// reply from conversationHistory on the next message (MODE B / MODE D), the
+// run is suspended with interrupt(). graph.resume(token, reply) re-enters here
+// with state.userReply and the question saved in state.enrichmentQuestion.
 module.exports = async function enrichIntent(state) {
+  if (!state.useInterrupts) return enrichIntentTurn(state);
+  const logger = state.logger || console;
+
+  if (state.userReply !== undefined && state.enrichmentQuestion) {
+    const userId = state.context?.userId || 'local_user';
+    const question = { role: 'assistant', content: state.enrichmentQuestion };
+    // The handlers look up the original command just before the question
+    const conversationHistory = [
+      ...(state.conversationHistory || []),
+      { role: 'user', content: state.enrichmentPendingMessage || state.resolvedMessage || state.message || '' },
+      question
+    ];
+    const replyState = { ...state, message: String(state.userReply), conversationHistory };
+    const isDisambiguation = question.content.includes(`[${DISAMBIGUATION_MARKER}`);
+    logger.info(`[Node:EnrichIntent] Resumed with reply to ${isDisambiguation ? 'disambiguation' : 'enrichment'} question`);
+    const result = isDisambiguation
+      ? await handleDisambiguationAnswer(replyState, question, userId, logger)
+      : await handleEnrichmentAnswer(replyState, question, userId, logger);
+    return { ...result, conversationHistory: state.conversationHistory, enrichmentQuestion: null };
+  }
+
+  const result = await enrichIntentTurn(state);
+  const question = result?.answer;
+  const isQuestion = typeof question === 'string' && result.enrichmentPendingMessage &&
+    [ENRICHMENT_MARKER, ENTITY_QUESTION_MARKER, DISAMBIGUATION_MARKER].some(marker => question.includes(`[${marker}`));
+  if (!isQuestion) return result;
+
+  logger.info('[Node:EnrichIntent] Interrupting for enrichment question');
+  const { answer, ...update } = result;
+  return interrupt({
+    type: 'enrichment_question',
+    question: question.replace(/^\[[^\]]*\]\n/, ''),
+    fields: (result.enrichmentNeeded || []).map(gap => gap.field)
+  }, { ...update, enrichmentQuestion: question });
+};
+
+async function enrichIntentTurn(state) {
   const { mcpAdapter, message, resolvedMessage, intent, context, conversationHistory = [] } = state;
   const logger = state.logger || console;
 
@@ -478,7 +523,7 @@ module.exports = async function enrichIntent(state) {
     profileContext,
     enrichmentNeeded: [],
   };
-};
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MODE C — Correction handler
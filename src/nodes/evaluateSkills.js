@@ -44,6 +44,12 @@ module.exports = async function evaluateSkills(state) {
     return { ...state, evaluationVerdict: 'ASK_USER' };
   }
 
+  // api_suggest interrupt: user picked the API/guided path — plan stopped on purpose, nothing to judge
+  if (state.followUpMessage) {
+    logger.info(`[Node:EvaluateSkills] Plan stopped for follow-up "${state.followUpMessage}" — skipping evaluation`);
+    return { ...state, evaluationVerdict: 'PASS' };
+  }
+
   // Failure path: called from recoverSkill REPLAN — skip PASS shortcut, always judge the failure
   if (!evaluationFromFailure) {
     if (!skillPlan || skillPlan.length === 0) return state;
@@ -17,6 +17,7 @@
  *   state.skillResults — accumulated results from previous steps
  *   state.mcpAdapter   — MCP adapter for calling command-service
  *   state.intent       — must include type 'command_automate'
+ *   state.plugins      — PluginRegistry whose skills run here as pseudo-skills
  *
  * State outputs (success):
  *   state.skillCursor    — advanced by 1
@@ -33,6 +34,8 @@
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const { interrupt } = require('../core/interrupt');
+const { abortError, isAbortError, raceAbort, abortableDelay } = require('../core/abort');
 
 // Read sessionLanguage from voice journal (single source of truth).
 // Returns e.g. 'zh', 'es', or 'en'. Never throws.
@@ -72,6 +75,70 @@ function loadSmartFillPrompt() {
 
 const SMART_FILL_SYSTEM_PROMPT = loadSmartFillPrompt() || 'You are a DOM field mapper. Output only valid JSON mapping role names to CSS selectors. No explanation.';
 
+/**
+ * Run a plugin pseudo-skill step
+ * Success advances the cursor like list_skills; a failure (ok: false or a
+ * throw) hands off to recoverSkill unless the step is optional.
+ */
+async function runPluginSkill(state, pluginSkill, { skill, args, description, optional }) {
+  const { skillPlan, skillCursor = 0, skillResults = [] } = state;
+  const logger = state.logger || console;
+  const progressCallback = state.progressCallback || null;
+
+  logger.debug(`[Node:ExecuteCommand] ${skill} step — plugin ${pluginSkill.plugin}`);
+  if (progressCallback) progressCallback({ type: 'step_start', stepIndex: skillCursor, totalSteps: skillPlan.length, skill, description: description || skill });
+
+  let outcome;
+  try {
+    outcome = await pluginSkill.handler(args, {
+      state,
+      step: skillPlan[skillCursor],
+      logger,
+      mcpAdapter: state.mcpAdapter,
+      llmBackend: state.llmBackend || null,
+      signal: state.abortSignal || null,
+      progress: (event) => progressCallback && progressCallback({ ...event, stepIndex: skillCursor, totalSteps: skillPlan.length, skill })
+    }) || {};
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    outcome = { ok: false, error: err.message };
+  }
+
+  const { updates = {}, ...raw } = outcome;
+  const stepResult = {
+    step: skillCursor + 1,
+    skill,
+    args,
+    description: description || null,
+    ok: raw.ok ?? !raw.error,
+    stdout: raw.stdout ?? null,
+    result: raw.result ?? null,
+    error: raw.error || null
+  };
+
+  if (!stepResult.ok && !optional) {
+    logger.warn(`[Node:ExecuteCommand] Step ${skillCursor + 1} failed: ${stepResult.error}`);
+    if (progressCallback) progressCallback({ type: 'step_failed', stepIndex: skillCursor, skill, description: description || skill, error: stepResult.error });
+    return {
+      ...state,
+      ...updates,
+      skillResults: [...skillResults, stepResult],
+      skillCursor,
+      failedStep: stepResult,
+      commandExecuted: false
+    };
+  }
+
+  if (progressCallback) progressCallback({ type: 'step_done', stepIndex: skillCursor, totalSteps: skillPlan.length, skill, description: description || skill, stdout: stepResult.stdout });
+  return {
+    ...state,
+    ...updates,
+    skillResults: [...skillResults, stepResult],
+    skillCursor: skillCursor + 1,
+    failedStep: null
+  };
+}
+
 module.exports = async function executeCommand(state) {
   const {
     mcpAdapter,
@@ -260,6 +327,14 @@ module.exports = async function executeCommand(state) {
     };
   }
 
+  // ── plugin pseudo-skills ─────────────────────────────────────────────────
+  // Skills contributed by plugins (StateGraphBuilder.use) run in-process
+  // instead of through the command service. See core/PluginRegistry.js.
+  const pluginSkill = state.plugins?.skill(skill);
+  if (pluginSkill) {
+    return runPluginSkill(state, pluginSkill, { skill, args, description, optional });
+  }
+
   // ── schedule pseudo-skill ────────────────────────────────────────────────
   // Defers the remaining plan steps until a specific clock time or after a
   // delay. Shows a live countdown in the UI via 'schedule_tick' progress events.
@@ -341,15 +416,23 @@ module.exports = async function executeCommand(state) {
       label
     });
 
-    // Live countdown — tick every second
-    await new Promise((resolve) => {
+    // Live countdown — tick every second; a cancelled run stops waiting at once
+    const abortSignal = state.abortSignal || null;
+    const countdown = new Promise((resolve, reject) => {
       let remaining = waitMs;
       const TICK = 1000;
+      let finalTimer = null;
+      const finish = (error) => {
+        clearInterval(interval);
+        clearTimeout(finalTimer);
+        abortSignal?.removeEventListener('abort', onAbort);
+        if (error) reject(error); else resolve(undefined);
+      };
+      const onAbort = () => finish(abortError());
       const interval = setInterval(() => {
         remaining -= TICK;
         if (remaining <= 0) {
-          clearInterval(interval);
-          resolve(undefined);
+          finish();
           return;
         }
         const secsLeft = Math.ceil(remaining / 1000);
@@ -370,8 +453,18 @@ module.exports = async function executeCommand(state) {
         });
       }, TICK);
       // Also schedule the final resolve at exactly waitMs
-      setTimeout(() => { clearInterval(interval); resolve(undefined); }, waitMs);
+      finalTimer = setTimeout(() => finish(), waitMs);
+      if (abortSignal?.aborted) onAbort();
+      else abortSignal?.addEventListener('abort', onAbort, { once: true });
     });
+    try {
+      await countdown;
+    } catch (err) {
+      // Cancelled — the user does not want the rest of the plan relaunched later either
+      logger.info(`[Node:ExecuteCommand] schedule: wait cancelled`);
+      try { getScheduler().clearPendingSchedule(scheduleId); } catch (_) {}
+      throw err;
+    }
 
     logger.info(`[Node:ExecuteCommand] schedule: wait complete — continuing plan`);
     // App stayed open — clear the launchd plist so macOS doesn't relaunch later
@@ -413,6 +506,12 @@ module.exports = async function executeCommand(state) {
   //   apiDocsUrl  {string}  Link to API docs / token setup page
   //   apiSetupPrompt {string} Follow-up prompt to send if user picks "Set up API"
   //   guidePrompt {string}  Follow-up prompt to send if user picks "Show me how"
+  //
+  // With state.useInterrupts the run is suspended via interrupt() instead, and
+  // graph.resume(token, choice) continues right here with state.userReply:
+  //   the API or guided option (or "1" / "2") → stop the plan, state.followUpMessage = that option
+  //   "stop" / "cancel" / "abort"             → stop the plan
+  //   anything else ("continue", "yes", …)    → continue the plan
   if (skill === 'api_suggest') {
     const { app: suggestApp, reason: suggestReason, apiDocsUrl, apiSetupPrompt, guidePrompt } = args;
 
@@ -423,6 +522,30 @@ module.exports = async function executeCommand(state) {
       `Try keyboard shortcuts anyway`
     ];
 
+    if (state.useInterrupts) {
+      if (state.userReply === undefined) {
+        logger.info(`[Node:ExecuteCommand] api_suggest: interrupting for API offer (${suggestApp})`);
+        return interrupt({ type: 'api_suggest', question, options, apiDocsUrl: apiDocsUrl || null });
+      }
+
+      const choice = String(state.userReply);
+      const normalized = choice.trim().toLowerCase();
+      const followUp = [options[0], options[1]].find((option, i) => normalized === option.toLowerCase() || normalized === String(i + 1)) || null;
+      const continuePlan = !followUp && !/^(stop|cancel|abort)\b/.test(normalized);
+      logger.info(`[Node:ExecuteCommand] api_suggest: user chose "${choice}" — ${continuePlan ? 'continuing plan' : 'stopping plan'}`);
+      if (progressCallback) progressCallback({ type: 'step_done', stepIndex: skillCursor, totalSteps: skillPlan.length, skill: 'api_suggest', description: description || `API recommendation for ${suggestApp}`, stdout: `User chose: ${choice}` });
+
+      return {
+        ...state,
+        skillResults: [...skillResults, { step: skillCursor + 1, skill: 'api_suggest', args, description, ok: true, stdout: `User chose: ${choice}` }],
+        skillCursor: continuePlan ? skillCursor + 1 : skillPlan.length,
+        commandExecuted: continuePlan ? state.commandExecuted : false,
+        followUpMessage: followUp,
+        pendingQuestion: null,
+        failedStep: null
+      };
+    }
+
     logger.info(`[Node:ExecuteCommand] api_suggest: surfacing API offer for ${suggestApp}`);
     if (progressCallback) progressCallback({ type: 'step_done', stepIndex: skillCursor, totalSteps: skillPlan.length, skill: 'api_suggest', description: description || `API recommendation for ${suggestApp}`, stdout: question });
 
@@ -449,6 +572,9 @@ module.exports = async function executeCommand(state) {
   // MODE 2 — IPC fallback (when no sessionId):
   //   Shows "✓ Done — Continue" button in ResultsWindow. User clicks it,
   //   guide:continue IPC fires, confirmGuideCallback Promise resolves.
+  //   With state.useInterrupts the run is suspended via interrupt() instead and
+  //   graph.resume(token, reply) continues here: "Stop…" ends the guide, any
+  //   other reply continues the plan.
   //
   // Args:
   //   instruction {string}  What the user needs to do (shown in card + browser bubble)
@@ -474,8 +600,12 @@ module.exports = async function executeCommand(state) {
       };
     }
 
-    logger.info(`[Node:ExecuteCommand] guide.step: showing instruction — mode=${guideSessionId ? 'page-event' : 'ipc-fallback'}`);
-    if (progressCallback) progressCallback({
+    const interruptMode = state.useInterrupts && !(guideSessionId && mcpAdapter);
+    const guideReply = interruptMode && state.userReply !== undefined ? String(state.userReply) : null;
+
+    logger.info(`[Node:ExecuteCommand] guide.step: showing instruction — mode=${guideSessionId ? 'page-event' : interruptMode ? 'interrupt' : 'ipc-fallback'}`);
+    // A resumed interrupt already showed the card
+    if (progressCallback && guideReply === null) progressCallback({
       type: 'guide_step',
       stepIndex: skillCursor,
       totalSteps: skillPlan.length,
@@ -503,6 +633,7 @@ module.exports = async function executeCommand(state) {
         }, { timeoutMs: guideTimeout + 5000 });
         triggered = true;
       } catch (err) {
+        if (isAbortError(err)) throw err;
         triggered = true;
         logger.info(`[Node:ExecuteCommand] guide.step: waitForTrigger ended (${err.message?.slice(0, 60)}) — auto-continuing`);
       }
@@ -533,9 +664,10 @@ module.exports = async function executeCommand(state) {
           skill: 'browser.act',
           args: { action: 'waitForNavigation', sessionId: guideSessionId, waitUntil: 'domcontentloaded', timeoutMs: 8000 }
         }, { timeoutMs: 12000 });
-      } catch (_) {
+      } catch (navErr) {
+        if (isAbortError(navErr)) throw navErr;
         // No navigation happened or already settled — brief pause for JS to render
-        await new Promise(r => setTimeout(r, 800));
+        await abortableDelay(800, state.abortSignal);
       }
 
       // ── Post-navigation rescan ──────────────────────────────────────────────
@@ -618,13 +750,37 @@ module.exports = async function executeCommand(state) {
         }
       }
 
+    } else if (interruptMode) {
+      // ── MODE 2 with interrupts: suspend until graph.resume(token, reply) ──
+      if (guideReply === null) {
+        return interrupt({
+          type: 'guide_step',
+          question: instruction,
+          options: ['Done — continue', 'Stop guide'],
+          url: guideUrl || null,
+          description: description || 'Follow the steps below'
+        });
+      }
+      if (/^\s*(stop|cancel)\b/i.test(guideReply)) {
+        logger.info('[Node:ExecuteCommand] guide.step: guide stopped by user reply');
+        if (progressCallback) progressCallback({ type: 'all_done', totalCount: skillResults.length, skillResults });
+        return {
+          ...state,
+          skillResults: [...skillResults, { step: skillCursor + 1, skill: 'guide.step', args, description, ok: true, stdout: 'Guide cancelled by user' }],
+          skillCursor: skillPlan.length,
+          commandExecuted: true,
+          failedStep: null
+        };
+      }
+      continued = true;
     } else {
       // ── MODE 2: IPC fallback — wait for guide:continue from ResultsWindow ──
       const confirmGuideCallback = state.confirmGuideCallback || null;
       if (typeof confirmGuideCallback === 'function') {
         try {
-          continued = await confirmGuideCallback();
+          continued = await raceAbort(confirmGuideCallback(), state.abortSignal);
         } catch (err) {
+          if (isAbortError(err)) throw err;
           logger.warn(`[Node:ExecuteCommand] guide.step: IPC timed out — auto-continuing: ${err.message}`);
           continued = true;
         }
@@ -933,6 +1089,7 @@ module.exports = async function executeCommand(state) {
       { name: 'schedule',          desc: 'Schedule a task to run at a future time or after a delay' },
       { name: 'synthesize',        desc: 'Run an inline LLM call to summarize, compare, or analyze results from prior steps' },
       { name: 'guide.step',        desc: 'Interactive step-by-step browser guide with visual highlights and user prompts' },
+      ...(state.plugins?.skills() || []).map(s => ({ name: s.name, desc: s.description || `Provided by plugin ${s.plugin}` })),
     ];
 
     // Fetch installed user skills from MCP
@@ -1349,7 +1506,7 @@ module.exports = async function executeCommand(state) {
   // Handle _waitBeforeMs injected by recoverSkill AUTO_PATCH for mid-navigation retries
   if (resolvedArgs._waitBeforeMs) {
     logger.debug(`[Node:ExecuteCommand] Waiting ${resolvedArgs._waitBeforeMs}ms before retry (page navigation settle)`);
-    await new Promise(r => setTimeout(r, resolvedArgs._waitBeforeMs));
+    await abortableDelay(resolvedArgs._waitBeforeMs, state.abortSignal);
     // Strip the internal flag before sending to MCP
     const { _waitBeforeMs, ...cleanArgs } = resolvedArgs;
     resolvedArgs = cleanArgs;
@@ -29,10 +29,18 @@
  *     resolvedAnswers: Record<string, string>
  *   }
  *   state.gatherContextSkipped — true if node was a no-op
+ *
+ * With state.useInterrupts, questions suspend the run via interrupt() instead
+ * of awaiting gatherAnswerCallback (payload { type: 'gather_question', id,
+ * question, hint, inputType, options, links }). Progress is saved in
+ * state.gatherProgress, and graph.resume(token, answer) continues with the
+ * next question of the round, then the next round. Credential capture and
+ * keychain confirmations still go through their callbacks.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { interrupt } = require('../core/interrupt');
 
 const MAX_ROUNDS = 8;
 const GATHER_TIMEOUT_MS = 10 * 60 * 1000; // 10 min per answer
@@ -86,6 +94,9 @@ module.exports = async function gatherContext(state) {
 
   const userMessage = resolvedMessage || message || '';
 
+  // Resumed after a question interrupt — the task was already classified as BUILD
+  const resumed = state.useInterrupts ? state.gatherProgress || null : null;
+
   // ── CLASSIFIER: single LLM call — no regex, full natural language understanding ─
   // Decides EXECUTE (run now) vs BUILD (needs a persistent background skill).
   // Strong bias toward EXECUTE — BUILD is only for explicitly recurring/scheduled/
@@ -150,23 +161,25 @@ Respond with ONLY valid JSON, no explanation, no markdown:
     return hasSchedule && hasCredential;
   }
 
-  let taskType = 'EXECUTE'; // strong default — only flip to BUILD if validated
-  try {
-    const classifyRaw = await llmBackend.generateAnswer(CLASSIFIER_SYS, `Task: "${userMessage}"`, { temperature: 0 });
-    const classifyJson = parseJson(classifyRaw);
-    if (classifyJson?.type === 'BUILD') {
-      // Validate: only accept BUILD if the message has explicit schedule + credential signals
-      if (isBuildCandidate(userMessage)) {
-        taskType = 'BUILD';
-        logger.info(`[Node:GatherContext] Task classifier → BUILD (validated) for: "${userMessage.slice(0, 80)}"`);
+  let taskType = resumed ? 'BUILD' : 'EXECUTE'; // strong default — only flip to BUILD if validated
+  if (!resumed) {
+    try {
+      const classifyRaw = await llmBackend.generateAnswer(CLASSIFIER_SYS, `Task: "${userMessage}"`, { temperature: 0 });
+      const classifyJson = parseJson(classifyRaw);
+      if (classifyJson?.type === 'BUILD') {
+        // Validate: only accept BUILD if the message has explicit schedule + credential signals
+        if (isBuildCandidate(userMessage)) {
+          taskType = 'BUILD';
+          logger.info(`[Node:GatherContext] Task classifier → BUILD (validated) for: "${userMessage.slice(0, 80)}"`);
+        } else {
+          logger.info(`[Node:GatherContext] Task classifier said BUILD but no schedule+credential signals found — overriding to EXECUTE for: "${userMessage.slice(0, 80)}"`);
+        }
       } else {
-        logger.info(`[Node:GatherContext] Task classifier said BUILD but no schedule+credential signals found — overriding to EXECUTE for: "${userMessage.slice(0, 80)}"`);
+        logger.info(`[Node:GatherContext] Task classifier → EXECUTE for: "${userMessage.slice(0, 80)}"`);
       }
-    } else {
-      logger.info(`[Node:GatherContext] Task classifier → EXECUTE for: "${userMessage.slice(0, 80)}"`);
+    } catch (e) {
+      logger.warn(`[Node:GatherContext] Classifier failed (${e.message}) — defaulting to EXECUTE`);
     }
-  } catch (e) {
-    logger.warn(`[Node:GatherContext] Classifier failed (${e.message}) — defaulting to EXECUTE`);
   }
 
   if (taskType === 'EXECUTE') {
@@ -181,7 +194,7 @@ Respond with ONLY valid JSON, no explanation, no markdown:
   // EXECUTE so planSkills can use the existing skill instead of rebuilding it.
   try {
     const mcpAdapter = state.mcpAdapter;
-    if (mcpAdapter) {
+    if (mcpAdapter && !resumed) {
       const result = await mcpAdapter.callService('user-memory', 'skill.listNames', {}, { timeoutMs: 3000 });
       const data = result?.data || result;
       const installedSkills = data?.results || [];
@@ -233,13 +246,53 @@ Respond with ONLY the skill name (e.g. "gmail.daily.summary") or the word null.`
   // ── Conversation state ───────────────────────────────────────────────────────
   // resolvedFacts: facts extracted by LLM from user message + system context
   // resolvedAnswers: facts confirmed/provided by user during Q&A
-  const resolvedFacts  = { system_tz: systemTz, schedule_tz: systemTz };
-  const resolvedAnswers = {};
-  const knownSecrets   = [];
-  let links = [];
-  let round = 0;
+  const resolvedFacts  = { system_tz: systemTz, schedule_tz: systemTz, ...resumed?.resolvedFacts };
+  const resolvedAnswers = { ...resumed?.resolvedAnswers };
+  const knownSecrets   = [...(resumed?.knownSecrets || [])];
+  let links = [...(resumed?.links || [])];
+  let round = resumed?.round || 0;
+
+  // Suspend on a question; pending questions of the same round follow on resume
+  function askByInterrupt(question, pending) {
+    emit('gather_question', question);
+    logger.info(`[Node:GatherContext] Interrupting for "${question.id}"`);
+    return interrupt({ type: 'gather_question', ...question }, {
+      gatherProgress: { round, resolvedFacts, resolvedAnswers, knownSecrets, links, question, pending }
+    });
+  }
+
+  if (resumed) {
+    const { question } = resumed;
+    let pending = resumed.pending || [];
+    const answer = state.userReply === undefined || state.userReply === null ? null : String(state.userReply);
+    if (answer) {
+      const factId = question.otherOf || question.id;
+      resolvedAnswers[factId] = answer;
+      resolvedFacts[factId]   = answer;
+      if (question.otherOf) resolvedAnswers[question.id] = answer;
+      emit('gather_answer_received', { id: question.id, answer });
+      logger.info(`[Node:GatherContext] Answer received for "${question.id}": "${answer.slice(0, 60)}"`);
+
+      if (!question.otherOf && question.inputType === 'choice' && /^other$/i.test(answer.trim())) {
+        pending = [{
+          id: `${question.id}_other_specify`,
+          question: `You selected "Other" — which specific service or tool do you use?`,
+          hint: 'Type the name of the service or tool.',
+          inputType: 'text',
+          options: null,
+          links: [],
+          otherOf: question.id,
+        }, ...pending];
+      }
+    } else {
+      logger.warn(`[Node:GatherContext] Resumed without an answer to "${question.id}"`);
+    }
 
-  emit('gather_start', { message: 'Gathering requirements before building…' });
+    pending = pending.filter(next => !resolvedAnswers[next.id]);
+    if (pending.length > 0) return askByInterrupt(pending[0], pending.slice(1));
+  } else {
+    emit('gather_start', { message: 'Gathering requirements before building…' });
+  }
 
   while (round < MAX_ROUNDS) {
     round++;
@@ -449,6 +502,18 @@ Respond with ONLY the skill name (e.g. "gmail.daily.summary") or the word null.`
       break;
     }
 
+    if (state.useInterrupts && unresolvedUnknowns.length > 0) {
+      const questions = unresolvedUnknowns.map(unknown => ({
+        id: unknown.id,
+        question: unknown.question,
+        hint: unknown.hint || null,
+        inputType: unknown.type,
+        options: unknown.options || null,
+        links: links.filter(l => l),
+      }));
+      return askByInterrupt(questions[0], questions.slice(1));
+    }
+
     for (const unknown of unresolvedUnknowns) {
       emit('gather_question', {
         id: unknown.id,
@@ -538,5 +603,5 @@ Respond with ONLY the skill name (e.g. "gmail.daily.summary") or the word null.`
     resolvedAnswers: Object.keys(resolvedAnswers).length,
   });
 
-  return { ...state, gatheredContext };
+  return { ...state, gatheredContext, gatherProgress: null };
 };
@@ -5,13 +5,15 @@
  * so the Voice Service can peek at what's happening without blocking the graph.
  *
  * This node is inserted as a lightweight middleware wrapper around the
- * StateGraphBuilder — it does NOT appear in the main node graph itself.
- * Instead, the StateGraphBuilder wraps each node execution with journal writes.
+ * StateGraph — it does NOT appear in the main node graph itself.
+ * Instead, journalMiddleware() is registered on the graph (options.journal)
+ * and wraps each node execution with journal writes.
  *
- * Exported helpers are called directly by StateGraphBuilder:
+ * Exported helpers (default journal path; createJournal(path) for another file):
  *   - journalStart(state)        — called before graph execution begins
  *   - journalNodeDone(nodeName, durationMs, nodeIndex, totalNodes) — after each node
  *   - journalDone(state)         — called when graph completes
+ *   - journalInterrupted(state)  — called when the run waits for a reply (interrupt())
  *   - journalError(state, error) — called on graph error
  *   - checkSignals()             — returns pending voice signals (cancel/pause/inject)
  *   - acknowledgeSignal(id)      — marks a signal as done
@@ -50,198 +52,361 @@ const DEFAULT_STATE = {
   },
 };
 
-function _ensureDir() {
-  try {
-    if (!fs.existsSync(JOURNAL_DIR)) {
-      fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+/**
+ * Create journal helpers bound to one journal file
+ * @param {string} [journalPath] - Defaults to ~/.thinkdrop/voice-state.json
+ * @returns {Object} journalStart, journalNodeDone, journalPaused, journalDone,
+ *   journalInterrupted, journalError, checkSignals, acknowledgeSignal, journalReset, journalPath
+ */
+function createJournal(journalPath = JOURNAL_PATH) {
+  const journalDir = path.dirname(journalPath);
+
+  function _ensureDir() {
+    try {
+      if (!fs.existsSync(journalDir)) {
+        fs.mkdirSync(journalDir, { recursive: true });
+      }
+    } catch (_) {}
+  }
+
+  function _readJournal() {
+    try {
+      _ensureDir();
+      if (!fs.existsSync(journalPath)) return JSON.parse(JSON.stringify(DEFAULT_STATE));
+      return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    } catch (_) {
+      return JSON.parse(JSON.stringify(DEFAULT_STATE));
     }
-  } catch (_) {}
-}
+  }
 
-function _readJournal() {
-  try {
-    _ensureDir();
-    if (!fs.existsSync(JOURNAL_PATH)) return JSON.parse(JSON.stringify(DEFAULT_STATE));
-    return JSON.parse(fs.readFileSync(JOURNAL_PATH, 'utf8'));
-  } catch (_) {
-    return JSON.parse(JSON.stringify(DEFAULT_STATE));
+  function _writeJournal(state) {
+    try {
+      _ensureDir();
+      const tmp = journalPath + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+      fs.renameSync(tmp, journalPath);
+    } catch (_) {}
   }
-}
 
-function _writeJournal(state) {
-  try {
-    _ensureDir();
-    const tmp = JOURNAL_PATH + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
-    fs.renameSync(tmp, JOURNAL_PATH);
-  } catch (_) {}
-}
+  function _patch(updates) {
+    const state = _readJournal();
+    const next = { ...state };
+    for (const [key, val] of Object.entries(updates)) {
+      if (val && typeof val === 'object' && !Array.isArray(val)) {
+        next[key] = { ...(state[key] || {}), ...val };
+      } else {
+        next[key] = val;
+      }
+    }
+    _writeJournal(next);
+  }
 
-function _patch(updates) {
-  const state = _readJournal();
-  const next = { ...state };
-  for (const [key, val] of Object.entries(updates)) {
-    if (val && typeof val === 'object' && !Array.isArray(val)) {
-      next[key] = { ...(state[key] || {}), ...val };
-    } else {
-      next[key] = val;
+  /**
+   * Called when a StateGraph run starts.
+   * @param {Object} graphState - The initial StateGraph state object
+   */
+  function journalStart(graphState) {
+    const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
+    const sessionId = graphState?.context?.sessionId || graphState?.sessionId || null;
+
+    _patch({
+      stategraph: {
+        status: 'running',
+        intent,
+        sessionId,
+        currentNode: null,
+        nodeIndex: 0,
+        totalNodes: 0,
+        startedAt: new Date().toISOString(),
+        lastUpdate: new Date().toISOString(),
+        summary: `Starting ${intent}...`,
+        traceSteps: [],
+      },
+    });
+  }
+
+  /**
+   * Called after each StateGraph node completes.
+   * @param {string} nodeName
+   * @param {number} durationMs
+   * @param {number} nodeIndex   - 1-based index
+   * @param {number} totalNodes  - total expected nodes (0 if unknown)
+   * @param {string} [nodeStatus] - 'done' | 'error' | 'skipped'
+   */
+  function journalNodeDone(nodeName, durationMs, nodeIndex, totalNodes, nodeStatus = 'done') {
+    const state = _readJournal();
+    const traceSteps = [...(state.stategraph?.traceSteps || [])];
+    traceSteps.push({ node: nodeName, status: nodeStatus, ms: durationMs });
+
+    _patch({
+      stategraph: {
+        ...(state.stategraph || {}),
+        status: 'running',
+        currentNode: nodeName,
+        nodeIndex,
+        totalNodes: totalNodes || state.stategraph?.totalNodes || 0,
+        lastUpdate: new Date().toISOString(),
+        summary: `Running ${nodeName} (step ${nodeIndex}${totalNodes ? ` of ${totalNodes}` : ''})`,
+        traceSteps: traceSteps.slice(-30),
+      },
+    });
+  }
+
+  /**
+   * Called while the run is held by a voice `pause` signal.
+   * @param {string} nodeName - Node the run will continue at
+   */
+  function journalPaused(nodeName) {
+    _patch({
+      stategraph: {
+        status: 'paused',
+        currentNode: nodeName,
+        lastUpdate: new Date().toISOString(),
+        summary: `Paused before ${nodeName}`,
+      },
+    });
+  }
+
+  /**
+   * Called when the StateGraph run completes successfully.
+   * @param {Object} graphState - Final StateGraph state
+   */
+  function journalDone(graphState) {
+    const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
+    const answer = graphState?.answer || '';
+    const traceLen = graphState?.trace?.length || 0;
+
+    _patch({
+      stategraph: {
+        status: 'done',
+        intent,
+        currentNode: null,
+        lastUpdate: new Date().toISOString(),
+        summary: answer
+          ? `${intent} completed — ${answer.substring(0, 120)}${answer.length > 120 ? '...' : ''}`
+          : `${intent} completed (${traceLen} steps)`,
+      },
+    });
+  }
+
+  /**
+   * Called when the run is suspended by interrupt() and waits for the user.
+   * @param {Object} graphState - State returned with interrupted: true
+   */
+  function journalInterrupted(graphState) {
+    const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
+    const question = graphState?.interrupt?.payload?.question || '';
+
+    _patch({
+      stategraph: {
+        status: 'interrupted',
+        intent,
+        currentNode: graphState?.interrupt?.node || null,
+        lastUpdate: new Date().toISOString(),
+        summary: question
+          ? `Waiting for a reply — ${String(question).substring(0, 120)}`
+          : 'Waiting for a reply',
+      },
+    });
+  }
+
+  /**
+   * Called when the StateGraph run fails.
+   * @param {Object} graphState
+   * @param {Error|string} error
+   */
+  function journalError(graphState, error) {
+    const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
+    const errMsg = error?.message || String(error);
+
+    _patch({
+      stategraph: {
+        status: 'error',
+        intent,
+        currentNode: null,
+        lastUpdate: new Date().toISOString(),
+        summary: `Error in ${intent}: ${errMsg.substring(0, 200)}`,
+      },
+    });
+  }
+
+  /**
+   * Check for pending voice signals. Called by StateGraph's execution loop.
+   * @returns {Array<{id, type, payload, ts, status}>}
+   */
+  function checkSignals() {
+    try {
+      const state = _readJournal();
+      return (state.signals || []).filter(s => s.status === 'pending');
+    } catch (_) {
+      return [];
     }
   }
-  _writeJournal(next);
-}
 
-// ─── Public API ───────────────────────────────────────────────────────────────
+  /**
+   * Acknowledge a signal after acting on it.
+   * @param {string} signalId
+   * @param {string} [status] - 'done' | 'error'
+   */
+  function acknowledgeSignal(signalId, status = 'done') {
+    try {
+      const state = _readJournal();
+      const now = Date.now();
+      const signals = (state.signals || [])
+        .map(s => s.id === signalId ? { ...s, status } : s)
+        .filter(s => s.status === 'pending' || (now - new Date(s.ts).getTime()) < 60000);
+      _patch({ signals });
+    } catch (_) {}
+  }
 
-/**
- * Called when a StateGraph run starts.
- * @param {Object} graphState - The initial StateGraph state object
- */
-function journalStart(graphState) {
-  const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
-  const sessionId = graphState?.context?.sessionId || graphState?.sessionId || null;
-
-  _patch({
-    stategraph: {
-      status: 'running',
-      intent,
-      sessionId,
-      currentNode: null,
-      nodeIndex: 0,
-      totalNodes: 0,
-      startedAt: new Date().toISOString(),
-      lastUpdate: new Date().toISOString(),
-      summary: `Starting ${intent}...`,
-      traceSteps: [],
-    },
-  });
-}
+  /**
+   * Reset journal to idle (called on app startup).
+   */
+  function journalReset() {
+    _patch({
+      stategraph: {
+        status: 'idle',
+        intent: null,
+        currentNode: null,
+        nodeIndex: 0,
+        totalNodes: 0,
+        startedAt: null,
+        lastUpdate: new Date().toISOString(),
+        summary: '',
+        traceSteps: [],
+        sessionId: null,
+      },
+      signals: [],
+    });
+  }
 
-/**
- * Called after each StateGraph node completes.
- * @param {string} nodeName
- * @param {number} durationMs
- * @param {number} nodeIndex   - 1-based index
- * @param {number} totalNodes  - total expected nodes (0 if unknown)
- * @param {string} [nodeStatus] - 'done' | 'error' | 'skipped'
- */
-function journalNodeDone(nodeName, durationMs, nodeIndex, totalNodes, nodeStatus = 'done') {
-  const state = _readJournal();
-  const traceSteps = [...(state.stategraph?.traceSteps || [])];
-  traceSteps.push({ node: nodeName, status: nodeStatus, ms: durationMs });
-
-  _patch({
-    stategraph: {
-      ...(state.stategraph || {}),
-      status: 'running',
-      currentNode: nodeName,
-      nodeIndex,
-      totalNodes: totalNodes || state.stategraph?.totalNodes || 0,
-      lastUpdate: new Date().toISOString(),
-      summary: `Running ${nodeName} (step ${nodeIndex}${totalNodes ? ` of ${totalNodes}` : ''})`,
-      traceSteps: traceSteps.slice(-30),
-    },
-  });
+  return {
+    journalStart,
+    journalNodeDone,
+    journalPaused,
+    journalDone,
+    journalInterrupted,
+    journalError,
+    checkSignals,
+    acknowledgeSignal,
+    journalReset,
+    journalPath,
+  };
 }
 
-/**
- * Called when the StateGraph run completes successfully.
- * @param {Object} graphState - Final StateGraph state
- */
-function journalDone(graphState) {
-  const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
-  const answer = graphState?.answer || '';
-  const traceLen = graphState?.trace?.length || 0;
-
-  _patch({
-    stategraph: {
-      status: 'done',
-      intent,
-      currentNode: null,
-      lastUpdate: new Date().toISOString(),
-      summary: answer
-        ? `${intent} completed — ${answer.substring(0, 120)}${answer.length > 120 ? '...' : ''}`
-        : `${intent} completed (${traceLen} steps)`,
-    },
-  });
-}
+// ─── StateGraph middleware ────────────────────────────────────────────────────
 
 /**
- * Called when the StateGraph run fails.
- * @param {Object} graphState
- * @param {Error|string} error
+ * StateGraph middleware that journals progress and acts on voice signals.
+ * Registered by StateGraph when constructed with `journal: true | { ... }`.
+ *
+ * Pending signals are checked before every sequential node:
+ *   - cancel — the run stops (state.cancelled, 'cancelled' checkpoint)
+ *   - pause  — the run waits for a `resume` (or `cancel`) signal
+ *   - inject — signal.payload is appended to state.injectedMessages (a state
+ *              update through the graph's reducers; the answer node adds
+ *              injected messages to its query)
+ * Each signal is acknowledged once acted on; unknown types stay pending.
+ * Runs suspended by interrupt() are journaled as 'interrupted', not 'done'.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.journalPath] - Journal file (default ~/.thinkdrop/voice-state.json)
+ * @param {number} [options.pollIntervalMs] - Signal poll interval while paused (default 500)
+ * @param {number} [options.maxPauseMs] - Cancel the run if paused longer than this (default 10 min)
+ * @param {Object} [options.logger]
+ * @returns {Object} Middleware for graph.use()
  */
-function journalError(graphState, error) {
-  const intent = graphState?.intent?.type || graphState?.intent || 'unknown';
-  const errMsg = error?.message || String(error);
-
-  _patch({
-    stategraph: {
-      status: 'error',
-      intent,
-      currentNode: null,
-      lastUpdate: new Date().toISOString(),
-      summary: `Error in ${intent}: ${errMsg.substring(0, 200)}`,
-    },
-  });
-}
+function journalMiddleware(options = {}) {
+  const journal = createJournal(options.journalPath || JOURNAL_PATH);
+  const pollIntervalMs = options.pollIntervalMs ?? 500;
+  const maxPauseMs = options.maxPauseMs ?? 600000;
+  const logger = options.logger || console;
+  const stepCounts = new Map(); // runId → nodes journaled so far
 
-/**
- * Check for pending voice signals. Called by StateGraph's execution loop.
- * @returns {Array<{id, type, payload, ts, status}>}
- */
-function checkSignals() {
-  try {
-    const state = _readJournal();
-    return (state.signals || []).filter(s => s.status === 'pending');
-  } catch (_) {
-    return [];
+  async function waitForResume(state, nodeName) {
+    journal.journalPaused(nodeName);
+    logger.info(`[StateGraph:Journal] Paused by voice signal before node: ${nodeName}`);
+    const deadline = Date.now() + maxPauseMs;
+
+    while (Date.now() < deadline) {
+      if (state.abortSignal?.aborted) return 'cancel';
+      const signal = journal.checkSignals().find(s => s.type === 'resume' || s.type === 'cancel');
+      if (signal) {
+        journal.acknowledgeSignal(signal.id);
+        return signal.type;
+      }
+      await new Promise(r => setTimeout(r, pollIntervalMs));
+    }
+    logger.warn(`[StateGraph:Journal] Pause exceeded ${maxPauseMs}ms — cancelling`);
+    return 'cancel';
   }
-}
 
-/**
- * Acknowledge a signal after acting on it.
- * @param {string} signalId
- * @param {string} [status] - 'done' | 'error'
- */
-function acknowledgeSignal(signalId, status = 'done') {
-  try {
-    const state = _readJournal();
-    const now = Date.now();
-    const signals = (state.signals || [])
-      .map(s => s.id === signalId ? { ...s, status } : s)
-      .filter(s => s.status === 'pending' || (now - new Date(s.ts).getTime()) < 60000);
-    _patch({ signals });
-  } catch (_) {}
-}
+  function journalStep(runId, nodeName, duration, status) {
+    const index = (stepCounts.get(runId) || 0) + 1;
+    stepCounts.set(runId, index);
+    journal.journalNodeDone(nodeName, duration, index, 0, status);
+  }
 
-/**
- * Reset journal to idle (called on app startup).
- */
-function journalReset() {
-  _patch({
-    stategraph: {
-      status: 'idle',
-      intent: null,
-      currentNode: null,
-      nodeIndex: 0,
-      totalNodes: 0,
-      startedAt: null,
-      lastUpdate: new Date().toISOString(),
-      summary: '',
-      traceSteps: [],
-      sessionId: null,
+  return {
+    beforeNode: async ({ runId, node, state, parallel, cancel, update }) => {
+      if (!stepCounts.has(runId)) {
+        stepCounts.set(runId, 0);
+        journal.journalStart(state);
+      }
+      if (parallel) return; // Signals are honoured between sequential nodes only
+
+      for (const signal of journal.checkSignals()) {
+        if (signal.type === 'cancel') {
+          journal.acknowledgeSignal(signal.id);
+          cancel('Cancelled by voice signal');
+          return;
+        }
+        if (signal.type === 'inject') {
+          update({ injectedMessages: [...(state.injectedMessages || []), signal.payload] });
+          journal.acknowledgeSignal(signal.id);
+          logger.info(`[StateGraph:Journal] Injected voice message before node: ${node}`);
+        } else if (signal.type === 'pause') {
+          journal.acknowledgeSignal(signal.id);
+          if (await waitForResume(state, node) === 'cancel') {
+            cancel('Cancelled by voice signal');
+            return;
+          }
+        }
+      }
     },
-    signals: [],
-  });
+
+    afterNode: ({ runId, node, duration }) => journalStep(runId, node, duration, 'done'),
+
+    onError: ({ runId, node, duration }) => journalStep(runId, node, duration, 'error'),
+
+    onComplete: ({ runId, state }) => {
+      stepCounts.delete(runId);
+      if (state.interrupted) {
+        journal.journalInterrupted(state);
+      } else if (state.error) {
+        journal.journalError(state, state.error);
+      } else {
+        journal.journalDone(state);
+      }
+    }
+  };
 }
 
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+const defaultJournal = createJournal(JOURNAL_PATH);
+
 module.exports = {
-  journalStart,
-  journalNodeDone,
-  journalDone,
-  journalError,
-  checkSignals,
-  acknowledgeSignal,
-  journalReset,
+  journalStart: defaultJournal.journalStart,
+  journalNodeDone: defaultJournal.journalNodeDone,
+  journalPaused: defaultJournal.journalPaused,
+  journalDone: defaultJournal.journalDone,
+  journalInterrupted: defaultJournal.journalInterrupted,
+  journalError: defaultJournal.journalError,
+  checkSignals: defaultJournal.checkSignals,
+  acknowledgeSignal: defaultJournal.acknowledgeSignal,
+  journalReset: defaultJournal.journalReset,
+  createJournal,
+  journalMiddleware,
   JOURNAL_PATH,
 };
@@ -13,6 +13,7 @@
  *   state.skillPlan                        — if already set (re-plan after recovery), preserved
  *   state.skillCursor                      — current step index (reset to 0 on fresh plan)
  *   state.recoveryContext                  — set by recoverSkill node to guide re-planning
+ *   state.plugins                          — PluginRegistry; its skills and prompt fragments join the system prompt
  *
  * State outputs:
  *   state.skillPlan     — Array<{ skill, args, optional?, description? }>
@@ -531,9 +532,12 @@ Task: "${userMessage}"`;
     ragSnippetsBlock = `## RETRIEVED SKILL PATTERNS — follow these exactly for this task\n\n${snippetLines}\n\n---\n\n`;
   }
 
-  const effectiveSystemPrompt = ragSnippetsBlock
+  // Plugin skills and prompt fragments (StateGraphBuilder.use) follow the built-in skill docs
+  const pluginPromptBlock = state.plugins ? state.plugins.plannerPrompt(state) : '';
+
+  const effectiveSystemPrompt = (ragSnippetsBlock
     ? ragSnippetsBlock + SKILL_SYSTEM_PROMPT
-    : SKILL_SYSTEM_PROMPT;
+    : SKILL_SYSTEM_PROMPT) + (pluginPromptBlock ? `\n\n${pluginPromptBlock}` : '');
 
   const planningQuery = `TASK: Convert the following user request into a JSON skill plan.
 OS: ${os}
@@ -37,9 +37,17 @@
  *     state.pendingQuestion = { question, options?, context }
  *     state.commandExecuted = false
  *     state.answer          = the question surfaced to the user
+ *
+ *   With state.useInterrupts, ASK_USER suspends the run via interrupt()
+ *   (payload { type: 'ask_user', question, options, context }) and
+ *   graph.resume(token, reply) continues here with state.userReply:
+ *     "Skip…"            → skip the failed step (recoveryAction 'auto_patch')
+ *     "Abort…"/"Cancel…" → stop the plan (recoveryAction 'aborted')
+ *     anything else      → REPLAN with the reply as the suggestion
  */
 
 const fs = require('fs');
+const { interrupt } = require('../core/interrupt');
 
 function loadRecoveryPrompt() {
   const path = require('path');
@@ -69,6 +77,20 @@ ASK_USER: { "action": "ASK_USER", "question": "clear question", "options": ["opt
 Output ONLY valid JSON. No explanation, no markdown fences.`;
 
 module.exports = async function recoverSkill(state) {
+  if (!state.useInterrupts || !state.failedStep) return recover(state);
+
+  if (state.userReply !== undefined) {
+    return applyUserReply(state, String(state.userReply), state.logger || console);
+  }
+  const result = await recover(state);
+  if (result?.recoveryAction !== 'ask_user') return result;
+
+  const { answer, ...update } = result;
+  const { question, options = [], context } = result.pendingQuestion || {};
+  return interrupt({ type: 'ask_user', question: question || answer, options, context: context || null }, update);
+};
+
+async function recover(state) {
   const {
     mcpAdapter,
     llmBackend,
@@ -427,7 +449,7 @@ Decide the recovery strategy.`;
       answer: `I ran into a problem at step ${failedStep.step} (${failedStep.skill}):\n\n> ${failedStep.error}\n\nWhat would you like me to do?`
     };
   }
-};
+}
 
 // ---------------------------------------------------------------------------
 // Fast-path recovery: handle well-known failure patterns without an LLM call
@@ -1087,6 +1109,48 @@ function applyRecovery(decision, state, skillPlan, cursor, stepRetryCount, repla
   }
 }
 
+// ---------------------------------------------------------------------------
+// Reply to an ASK_USER interrupt (state.useInterrupts)
+// ---------------------------------------------------------------------------
+
+function applyUserReply(state, reply, logger) {
+  const { failedStep, skillPlan = [], skillCursor = 0, stepRetryCount = 0, replanCount = 0 } = state;
+  logger.info(`[Node:RecoverSkill] User replied to ASK_USER: "${reply.slice(0, 80)}"`);
+
+  if (/^\s*skip\b/i.test(reply)) {
+    return {
+      ...state,
+      recoveryAction: 'auto_patch',
+      skillCursor: skillCursor + 1,
+      failedStep: null,
+      pendingQuestion: null,
+      stepRetryCount: 0,
+      recoveryNote: `Skipped step ${failedStep.step} (${failedStep.skill}) at the user's request`
+    };
+  }
+
+  if (/^\s*(abort|cancel|stop)\b/i.test(reply)) {
+    return {
+      ...state,
+      recoveryAction: 'aborted',
+      skillCursor: skillPlan.length,
+      failedStep: null,
+      pendingQuestion: null,
+      commandExecuted: false,
+      answer: 'Okay — I stopped the task.'
+    };
+  }
+
+  return {
+    ...applyRecovery({
+      action: 'REPLAN',
+      suggestion: `The user answered "${reply}" when asked how to recover from: ${failedStep.error || 'the failed step'}`,
+      constraint: null
+    }, state, skillPlan, skillCursor, stepRetryCount, replanCount, logger),
+    pendingQuestion: null
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Parse LLM JSON decision
 // ---------------------------------------------------------------------------
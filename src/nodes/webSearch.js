@@ -5,6 +5,8 @@
  * Works with or without MCP adapter:
  * - With MCP: Uses web-search service
  * - Without MCP: Returns empty results
+ * 
+ * Returns only the keys it changes (StateGraph merges partial updates).
  */
 
 module.exports = async function webSearch(state) {
@@ -17,7 +19,6 @@ module.exports = async function webSearch(state) {
   if (!mcpAdapter) {
     logger.warn('[Node:WebSearch] No MCP adapter - skipping web search');
     return {
-      ...state,
       searchResults: [],
       contextDocs: []
     };
@@ -42,7 +43,6 @@ module.exports = async function webSearch(state) {
     logger.debug(`[Node:WebSearch] Found ${searchResults.length} results`);
 
     return {
-      ...state,
       searchResults,
       contextDocs: searchResults.map(r => ({
         id: r.url || r.link,
@@ -54,7 +54,6 @@ module.exports = async function webSearch(state) {
   } catch (error) {
     logger.error('[Node:WebSearch] Error:', error.message);
     return {
-      ...state,
       searchResults: [],
       contextDocs: [],
       error: error.message
@@ -0,0 +1,33 @@
+/**
+ * InMemorySpanExporter - Keeps finished spans in memory
+ *
+ * Useful for tests and for in-app timing views. Spans accumulate until
+ * reset() is called.
+ */
+
+const SpanExporter = require('./SpanExporter');
+
+class InMemorySpanExporter extends SpanExporter {
+  constructor() {
+    super();
+    this.spans = [];
+  }
+
+  async export(spans) {
+    this.spans.push(...spans);
+  }
+
+  /**
+   * Spans exported so far, in the order they ended
+   * @returns {Array<Object>}
+   */
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+module.exports = InMemorySpanExporter;
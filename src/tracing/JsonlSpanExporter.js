@@ -0,0 +1,45 @@
+/**
+ * JsonlSpanExporter - Appends finished spans to a JSON-lines file
+ *
+ * One span per line, in the order spans ended. The file can be tailed during
+ * a run or loaded later with:
+ *   fs.readFileSync(path, 'utf8').trim().split('\n').map(JSON.parse)
+ *
+ * Writes are queued so lines from concurrent spans never interleave.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SpanExporter = require('./SpanExporter');
+
+class JsonlSpanExporter extends SpanExporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Output file (created with its directory if missing)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.path) {
+      throw new Error('[JsonlSpanExporter] options.path is required');
+    }
+    this.path = options.path;
+    this._queue = Promise.resolve();
+  }
+
+  async export(spans) {
+    const lines = spans.map(span => JSON.stringify(span)).join('\n') + '\n';
+    this._queue = this._queue
+      .catch(() => {}) // A failed write must not block later ones
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.promises.appendFile(this.path, lines, 'utf8');
+      });
+    return this._queue;
+  }
+
+  async shutdown() {
+    await this._queue.catch(() => {});
+  }
+}
+
+module.exports = JsonlSpanExporter;
@@ -0,0 +1,47 @@
+/**
+ * SpanExporter - Abstract interface for shipping finished tracing spans
+ *
+ * Tracer hands every span to its exporters as soon as the span ends.
+ *
+ * Implementations:
+ * - InMemorySpanExporter: Keeps spans in an array (tests, dev tools)
+ * - JsonlSpanExporter: Appends one JSON line per span to a file
+ *
+ * To forward spans to an OpenTelemetry SDK or collector, implement export()
+ * and map the span fields below — no collector is needed otherwise.
+ *
+ * Span shape (OpenTelemetry field names):
+ *   {
+ *     traceId: string,            // 32 hex chars, shared by the whole run
+ *     spanId: string,             // 16 hex chars
+ *     parentSpanId: string|null,
+ *     name: string,               // 'stategraph.run', 'node parseIntent', 'mcp phi4.intent.parse', 'llm generateAnswer'
+ *     kind: 'INTERNAL' | 'CLIENT',
+ *     startTimeUnixNano: string,
+ *     endTimeUnixNano: string,
+ *     durationMs: number,
+ *     attributes: Object,         // e.g. { 'stategraph.node': 'parseIntent', 'stategraph.intent.type': 'command_automate' }
+ *     events: Array<{ name, timeUnixNano, attributes }>,
+ *     status: { code: 'UNSET' | 'OK' | 'ERROR', message?: string },
+ *     resource: { 'service.name': string }
+ *   }
+ */
+
+class SpanExporter {
+  /**
+   * Export finished spans
+   * @param {Array<Object>} spans - Spans (see shape above)
+   * @returns {Promise<void>}
+   */
+  async export(spans) {
+    throw new Error(`${this.constructor.name}.export() must be implemented`);
+  }
+
+  /**
+   * Flush and release resources (optional)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {}
+}
+
+module.exports = SpanExporter;
@@ -0,0 +1,230 @@
+/**
+ * Tracer - OpenTelemetry-style spans for graph runs, nodes and service calls
+ *
+ * Span tree of one run:
+ *   stategraph.run
+ *     └─ node parseIntent
+ *          └─ mcp phi4.intent.parse        (CLIENT)
+ *     └─ node planSkills
+ *          └─ llm generateAnswer           (CLIENT)
+ *
+ * The active span is carried with AsyncLocalStorage, so MCP / LLM calls made
+ * anywhere inside a node (parallel branches and subgraphs included) attach to
+ * the right parent without nodes passing anything around.
+ *
+ *   const tracer = new Tracer({ exporter: new JsonlSpanExporter({ path: 'spans.jsonl' }) });
+ *   const graph = StateGraphBuilder.full(tracer.wrap({ mcpAdapter, llmBackend }));
+ *   await graph.execute({ message });
+ *   await tracer.flush();
+ *
+ * Exporter failures are logged and never affect the run.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const TracingMCPAdapter = require('../adapters/TracingMCPAdapter');
+const TracingLLMBackend = require('../backends/TracingLLMBackend');
+
+/** Wall-clock time in ms with sub-millisecond precision */
+function nowMs() {
+  return performance.timeOrigin + performance.now();
+}
+
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+class Span {
+  /**
+   * @param {Tracer} tracer - Owning tracer
+   * @param {string} name - Span name
+   * @param {Object} options - { traceId, parentSpanId, kind, attributes }
+   */
+  constructor(tracer, name, options) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = options.traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = options.parentSpanId || null;
+    this.kind = options.kind || 'INTERNAL';
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'UNSET' };
+    this.startTime = nowMs();
+    this.endTime = null;
+    this.setAttributes(options.attributes);
+  }
+
+  /** Set one attribute (null/undefined values are skipped) */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, timeUnixNano: toUnixNano(nowMs()), attributes });
+    return this;
+  }
+
+  /**
+   * @param {string} code - 'OK' | 'ERROR'
+   * @param {string} [message] - Error description
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', { 'exception.type': error.name, 'exception.message': error.message });
+    return this.setStatus('ERROR', error.message);
+  }
+
+  /** End the span and hand it to the exporters (later calls are ignored) */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowMs();
+    this.tracer._export(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(this.endTime ?? nowMs()),
+      durationMs: Math.round(((this.endTime ?? nowMs()) - this.startTime) * 1000) / 1000,
+      attributes: { ...this.attributes },
+      events: this.events,
+      status: this.status,
+      resource: { 'service.name': this.tracer.serviceName }
+    };
+  }
+}
+
+class Tracer {
+  /**
+   * @param {Object} options
+   * @param {SpanExporter} [options.exporter] - Where finished spans go
+   * @param {Array<SpanExporter>} [options.exporters] - Several exporters
+   * @param {string} [options.serviceName='stategraph'] - resource service.name
+   * @param {Object} [options.logger] - Logger (default: console)
+   */
+  constructor(options = {}) {
+    this.exporters = [...(options.exporters || []), ...(options.exporter ? [options.exporter] : [])];
+    this.serviceName = options.serviceName || 'stategraph';
+    this.logger = options.logger || console;
+    this._storage = new AsyncLocalStorage();
+    this._pending = new Set();
+  }
+
+  /**
+   * Span active in the current async context, if any
+   * @returns {Span|null}
+   */
+  activeSpan() {
+    return this._storage.getStore() || null;
+  }
+
+  /**
+   * Start a span (child of the active span unless options.parent is given)
+   * @param {string} name - Span name
+   * @param {Object} [options]
+   * @param {string} [options.kind='INTERNAL'] - 'INTERNAL' | 'CLIENT'
+   * @param {Object} [options.attributes] - Initial attributes
+   * @param {Span|null} [options.parent] - Explicit parent (null = new trace)
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : this.activeSpan();
+    return new Span(this, name, {
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parent ? parent.spanId : null,
+      kind: options.kind,
+      attributes: options.attributes
+    });
+  }
+
+  /**
+   * Run fn with span as the active span
+   * @param {Span} span - Span to activate
+   * @param {Function} fn - Function to run
+   * @returns {*} fn's return value
+   */
+  withSpan(span, fn) {
+    return this._storage.run(span, fn);
+  }
+
+  /**
+   * Run fn inside a new span; errors mark the span and are rethrown
+   * @param {string} name - Span name
+   * @param {Object} options - startSpan options
+   * @param {Function} fn - async (span) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await this.withSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Wrap graph builder options so MCP and LLM calls get their own spans
+   * Mirrors Cassette.wrap(); the tracer itself is passed on as options.tracer.
+   * @param {Object} options - Builder options ({ mcpAdapter, llmBackend, ... })
+   * @returns {Object} Options with traced mcpAdapter/llmBackend and tracer set
+   */
+  wrap(options = {}) {
+    const wrapped = { ...options, tracer: this };
+    if (options.mcpAdapter) wrapped.mcpAdapter = new TracingMCPAdapter(this, options.mcpAdapter);
+    if (options.llmBackend) wrapped.llmBackend = new TracingLLMBackend(this, options.llmBackend);
+    return wrapped;
+  }
+
+  _export(span) {
+    const data = span.toJSON();
+    for (const exporter of this.exporters) {
+      const pending = Promise.resolve()
+        .then(() => exporter.export([data]))
+        .catch(error => this.logger.warn(`[Tracer] ${exporter.constructor.name} export failed:`, error.message))
+        .finally(() => this._pending.delete(pending));
+      this._pending.add(pending);
+    }
+  }
+
+  /**
+   * Wait for spans handed to exporters so far
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this._pending]);
+  }
+
+  /**
+   * Flush, then shut down every exporter
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.flush();
+    await Promise.all(this.exporters.map(exporter => (typeof exporter.shutdown === 'function' ? exporter.shutdown() : null)));
+  }
+}
+
+Tracer.Span = Span;
+
+module.exports = Tracer;
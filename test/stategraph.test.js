@@ -0,0 +1,2588 @@
+/**
+ * StateGraph Engine Test Suite
+ *
+ * Tests the execution engine (routing, checkpoints, resume) with inline
+ * node functions — no MCP services or network calls.
+ * Run with: node test/stategraph.test.js
+ *
+ * Covers:
+ *   1. Checkpointing and resume (MemoryCheckpointer, FileCheckpointer)
+ *   2. Parallel fan-out / fan-in edges
+ *   3. State schema reducers and partial node updates
+ *   4. Subgraphs
+ *   5. Human-in-the-loop interrupts
+ *   6. Node timeout / retry / fallback policies
+ *   7. Middleware hooks
+ *   8. Voice-state journaling and signals
+ *   9. stream() event iterator
+ *  10. Node result cache
+ *  11. compile() validation
+ *  12. Mermaid / DOT export
+ *  13. Cassette record / replay
+ *  14. Verbose trace, stateAt() and rerunFrom()
+ *  15. Tracing spans and exporters
+ *  16. Metrics registry and graph metrics
+ *  17. Iteration limits and loop detection
+ *  18. AbortSignal propagation
+ *  19. RunManager: concurrent runs and sessions
+ *  20. JSON / YAML graph definitions
+ *  21. full() enabledNodes pruning and overrides
+ *  22. Intent route registry
+ *  23. StateGraphBuilder.auto() service-availability profiles
+ *  24. Plugins: nodes, routes, pseudo-skills and planner prompts
+ *  25. HttpMCPAdapter against a local stub server
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  StateGraph,
+  StateGraphBuilder,
+  RunManager,
+  IntentRouteRegistry,
+  PluginRegistry,
+  MockMCPAdapter,
+  HttpMCPAdapter,
+  MemoryCheckpointer,
+  FileCheckpointer,
+  Cassette,
+  Tracer,
+  InMemorySpanExporter,
+  JsonlSpanExporter,
+  MetricsRegistry,
+  LLMBackend,
+  interrupt,
+  withAbortSignal,
+  isAbortError,
+  nodes: builtInNodes
+} = require('../src/index');
+const reducers = require('../src/core/reducers');
+const { compileCondition } = require('../src/core/graphDefinition');
+
+// ─── Minimal async test harness (no dependencies) ────────────────────────────
+let _passed = 0, _failed = 0;
+const _failures = [];
+const _queue = [];
+
+function describe(label, fn) {
+  _queue.push({ label });
+  fn();
+}
+
+function it(label, fn) {
+  _queue.push({ label, fn });
+}
+
+async function _runQueue() {
+  for (const entry of _queue) {
+    if (!entry.fn) {
+      console.log(`\n${'─'.repeat(70)}`);
+      console.log(`  ${entry.label}`);
+      console.log('─'.repeat(70));
+      continue;
+    }
+    try {
+      await entry.fn();
+      _passed++;
+      console.log(`  ✅ ${entry.label}`);
+    } catch (e) {
+      _failed++;
+      _failures.push({ label: entry.label, error: e.message });
+      console.log(`  ❌ ${entry.label}`);
+      console.log(`     ${e.message}`);
+    }
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected)
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    },
+    toEqual(expected) {
+      const a = JSON.stringify(actual), b = JSON.stringify(expected);
+      if (a !== b) throw new Error(`Expected ${b}, got ${a}`);
+    },
+    toBeNull() {
+      if (actual !== null) throw new Error(`Expected null, got ${JSON.stringify(actual)}`);
+    },
+    toContain(sub) {
+      if (!String(actual).includes(sub))
+        throw new Error(`Expected "${actual}" to contain "${sub}"`);
+    },
+    toBeTruthy() {
+      if (!actual) throw new Error(`Expected truthy, got ${JSON.stringify(actual)}`);
+    },
+    toBeFalsy() {
+      if (actual) throw new Error(`Expected falsy, got ${JSON.stringify(actual)}`);
+    },
+    toBeGreaterThan(n) {
+      if (actual <= n) throw new Error(`Expected ${actual} > ${n}`);
+    },
+  };
+}
+
+async function expectReject(promise, sub) {
+  try {
+    await promise;
+  } catch (e) {
+    if (sub) expect(e.message).toContain(sub);
+    return e;
+  }
+  throw new Error('Expected promise to reject');
+}
+
+function expectThrow(fn, sub) {
+  try {
+    fn();
+  } catch (e) {
+    if (sub) expect(e.message).toContain(sub);
+    return e;
+  }
+  throw new Error('Expected function to throw');
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, log() {} };
+
+function tmpDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `stategraph-${prefix}-`));
+}
+
+// executeCommand-style loop: run steps until skillCursor reaches the plan length
+function stepLoopGraph(options = {}, failAtCursor = null) {
+  let shouldFail = failAtCursor !== null;
+  const nodes = {
+    plan: (state) => ({ ...state, skillPlan: ['a', 'b', 'c'], skillCursor: 0, skillResults: [] }),
+    step: (state) => {
+      if (shouldFail && state.skillCursor === failAtCursor) {
+        shouldFail = false; // fail once, succeed on resume
+        throw new Error('simulated crash');
+      }
+      const skill = state.skillPlan[state.skillCursor];
+      return {
+        ...state,
+        skillCursor: state.skillCursor + 1,
+        skillResults: [...state.skillResults, { skill, ok: true }]
+      };
+    }
+  };
+  const edges = {
+    start: 'plan',
+    plan: 'step',
+    step: (state) => (state.skillCursor < state.skillPlan.length ? 'step' : 'end')
+  };
+  return new StateGraph(nodes, edges, { logger: silentLogger, ...options });
+}
+
+// ─── 1. Checkpointing and resume ─────────────────────────────────────────────
+
+describe('StateGraph — checkpointing and resume', () => {
+  it('saves a completed checkpoint after a successful run', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = stepLoopGraph({ checkpointer });
+    const result = await graph.execute({ message: 'go', runId: 'run_ok' });
+    expect(result.success).toBe(true);
+    const checkpoint = await checkpointer.load('run_ok');
+    expect(checkpoint.status).toBe('completed');
+    expect(checkpoint.state.skillResults.length).toBe(3);
+  });
+
+  it('strips adapters, loggers and callbacks from checkpoints', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = stepLoopGraph({ checkpointer, mcpAdapter: { callService() {} } });
+    await graph.execute({ runId: 'run_strip', progressCallback: () => {} });
+    const { state } = await checkpointer.load('run_strip');
+    expect(state.mcpAdapter).toBe(undefined);
+    expect(state.logger).toBe(undefined);
+    expect(state.progressCallback).toBe(undefined);
+  });
+
+  it('resumes a failed run at the failed node with skillCursor and skillResults intact', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = stepLoopGraph({ checkpointer }, 2);
+    const first = await graph.execute({ runId: 'run_crash' });
+    expect(first.success).toBe(false);
+    expect(first.failedNode).toBe('step');
+
+    const checkpoint = await checkpointer.load('run_crash');
+    expect(checkpoint.status).toBe('failed');
+    expect(checkpoint.nextNode).toBe('step');
+    expect(checkpoint.state.skillCursor).toBe(2);
+
+    const resumed = await graph.resume('run_crash');
+    expect(resumed.success).toBe(true);
+    expect(resumed.skillResults.map(r => r.skill)).toEqual(['a', 'b', 'c']);
+    expect((await checkpointer.load('run_crash')).status).toBe('completed');
+  });
+
+  it('re-injects runtime state passed to resume()', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = stepLoopGraph({ checkpointer }, 1);
+    await graph.execute({ runId: 'run_inject' });
+    const resumed = await graph.resume('run_inject', undefined, { state: { sessionId: 'abc' } });
+    expect(resumed.sessionId).toBe('abc');
+  });
+
+  it('rejects resume() for completed, unknown or un-checkpointed runs', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = stepLoopGraph({ checkpointer });
+    await graph.execute({ runId: 'run_done' });
+    await expectReject(graph.resume('run_done'), 'already completed');
+    await expectReject(graph.resume('run_missing'), 'No checkpoint found');
+    await expectReject(stepLoopGraph().resume('run_done'), 'requires a checkpointer');
+  });
+
+  it('FileCheckpointer persists checkpoints across graph instances', async () => {
+    const dir = tmpDir('checkpoints');
+    try {
+      await stepLoopGraph({ checkpointer: new FileCheckpointer({ dir }) }, 1).execute({ runId: 'run/file' });
+      const listed = await new FileCheckpointer({ dir }).list();
+      expect(listed.length).toBe(1);
+      expect(listed[0].status).toBe('failed');
+
+      // Fresh instance simulates an app restart
+      const resumed = await stepLoopGraph({ checkpointer: new FileCheckpointer({ dir }) }).resume('run/file');
+      expect(resumed.skillResults.length).toBe(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('FileCheckpointer keeps runIds that differ only in special characters apart', async () => {
+    const dir = tmpDir('checkpoints');
+    try {
+      const checkpointer = new FileCheckpointer({ dir });
+      for (const runId of ['a/b', 'a:b', 'a_b', '..']) {
+        await checkpointer.save(runId, { runId, status: 'running' });
+      }
+      expect((await checkpointer.load('a/b')).runId).toBe('a/b');
+      expect((await checkpointer.load('a:b')).runId).toBe('a:b');
+      expect((await checkpointer.load('a_b')).runId).toBe('a_b');
+      expect((await checkpointer.list()).length).toBe(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── 2. Parallel fan-out / fan-in ────────────────────────────────────────────
+
+function fanOutGraph(edgeForRouter, extraNodes = {}) {
+  const nodes = {
+    route: (state) => ({ ...state, routed: true }),
+    search: async (state) => {
+      await new Promise(r => setTimeout(r, 20));
+      return { ...state, contextDocs: [...state.contextDocs, 'web'], searchDone: true };
+    },
+    memory: (state) => ({ ...state, contextDocs: [...state.contextDocs, 'memory'], memories: ['m1'] }),
+    answer: (state) => ({ ...state, answer: `${state.contextDocs.join('+')}|${state.memories.join(',')}` }),
+    ...extraNodes
+  };
+  const edges = { start: 'route', route: edgeForRouter, answer: 'end' };
+  return new StateGraph(nodes, edges, { logger: silentLogger });
+}
+
+describe('StateGraph — parallel fan-out / fan-in edges', () => {
+  it('runs all branches and continues at the join node', async () => {
+    const graph = fanOutGraph(StateGraph.parallel(['search', 'memory'], { join: 'answer' }));
+    const result = await graph.execute({ contextDocs: [] });
+    expect(result.success).toBe(true);
+    expect(result.searchDone).toBe(true);
+    expect(result.trace.map(t => t.node)).toEqual(['route', 'search', 'memory', 'answer']);
+  });
+
+  it('merges only changed keys and applies per-key reducers', async () => {
+    const graph = fanOutGraph(StateGraph.parallel(['search', 'memory'], {
+      join: 'answer',
+      reducers: { contextDocs: (current, incoming) => [...new Set([...current, ...incoming])] }
+    }));
+    const result = await graph.execute({ contextDocs: ['seed'] });
+    // memory branch returns its own copy of state — searchDone must not be clobbered
+    expect(result.searchDone).toBe(true);
+    expect(result.answer).toBe('seed+web+memory|m1');
+  });
+
+  it('accepts a fan-out descriptor returned by a dynamic edge', async () => {
+    const graph = fanOutGraph((state) => state.routed
+      ? StateGraph.parallel(['search', 'memory'], { join: 'answer' })
+      : 'end');
+    const result = await graph.execute({ contextDocs: [] });
+    expect(result.answer).toContain('m1');
+  });
+
+  it('records failed branches in parallelErrors and still joins', async () => {
+    const graph = fanOutGraph(StateGraph.parallel(['search', 'broken', 'memory'], { join: 'answer' }), {
+      broken: () => { throw new Error('service down'); }
+    });
+    const result = await graph.execute({ contextDocs: [] });
+    expect(result.success).toBe(true);
+    expect(result.parallelErrors).toEqual([{ nodeName: 'broken', error: 'service down' }]);
+    // No contextDocs reducer — the last branch in declaration order wins
+    expect(result.answer).toBe('memory|m1');
+  });
+
+  it('requires a join node', () => {
+    let threw = false;
+    try { StateGraph.parallel(['a', 'b']); } catch (e) { threw = true; }
+    expect(threw).toBe(true);
+  });
+
+  it('full() fans out webSearch + retrieveMemory for questions', async () => {
+    const graph = StateGraphBuilder.full({ logger: silentLogger, mcpAdapter: new MockMCPAdapter({ logger: silentLogger }) });
+    const result = await graph.execute({ message: 'What is the capital of France?', context: { userId: 'u', sessionId: 's' } });
+    const nodes = result.trace.map(t => t.node);
+    expect(nodes.slice(nodes.indexOf('enrichIntent') + 1)).toEqual(['webSearch', 'retrieveMemory', 'answer', 'logConversation']);
+  });
+});
+
+// ─── 3. State schema reducers ────────────────────────────────────────────────
+
+describe('reducers — built-in merge functions', () => {
+  it('append adds partial items', () => {
+    expect(reducers.append([1, 2], [3])).toEqual([1, 2, 3]);
+    expect(reducers.append(undefined, 'x')).toEqual(['x']);
+  });
+  it('append does not duplicate copy-everything arrays', () => {
+    const base = [1, 2];
+    expect(reducers.append(base, [...base, 3], base)).toEqual([1, 2, 3]);
+  });
+  it('append combines two branches that extended the same base', () => {
+    const base = ['seed'];
+    const afterFirst = reducers.append(base, [...base, 'web'], base);
+    expect(reducers.append(afterFirst, [...base, 'memory'], base)).toEqual(['seed', 'web', 'memory']);
+  });
+  it('merge shallow-merges objects, max keeps the larger number', () => {
+    expect(reducers.merge({ a: 1, b: 1 }, { b: 2 })).toEqual({ a: 1, b: 2 });
+    expect(reducers.max(3, 1)).toBe(3);
+    expect(reducers.max(undefined, 1)).toBe(1);
+  });
+  it('rejects unknown reducer names', () => {
+    let threw = false;
+    try { reducers.resolveReducer('concat'); } catch (e) { threw = true; }
+    expect(threw).toBe(true);
+  });
+});
+
+describe('StateGraph — state schema and partial updates', () => {
+  it('merges partial node updates and keeps the engine-owned trace', async () => {
+    const graph = new StateGraph({
+      a: () => ({ skillResults: ['a'] }),
+      b: (state) => ({ skillResults: [...state.skillResults, 'b'], counter: 5 }),
+      c: () => ({ skillResults: ['c'], counter: 2 })
+    }, { start: 'a', a: 'b', b: 'c', c: 'end' }, {
+      logger: silentLogger,
+      stateSchema: { skillResults: 'append', counter: 'max' }
+    });
+    const result = await graph.execute({ message: 'keep me' });
+    expect(result.message).toBe('keep me');
+    expect(result.skillResults).toEqual(['a', 'b', 'c']);
+    expect(result.counter).toBe(5);
+    expect(result.trace.map(t => t.node)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('uses schema reducers for parallel merges and accumulates parallelErrors', async () => {
+    const graph = new StateGraph({
+      fan: () => ({}),
+      x: (state) => ({ ...state, docs: [...state.docs, 'x'] }),
+      y: () => ({ docs: ['y'] }),
+      z: () => { throw new Error('z down'); },
+      join: () => ({})
+    }, {
+      start: 'fan',
+      fan: StateGraph.parallel(['x', 'y', 'z'], { join: 'join' }),
+      join: 'end'
+    }, { logger: silentLogger, stateSchema: { docs: 'append' } });
+    const result = await graph.execute({ docs: ['seed'], parallelErrors: [{ nodeName: 'earlier', error: 'e' }] });
+    expect(result.docs).toEqual(['seed', 'x', 'y']);
+    expect(result.parallelErrors.map(e => e.nodeName)).toEqual(['earlier', 'z']);
+  });
+});
+
+// ─── 4. Subgraphs ────────────────────────────────────────────────────────────
+
+function childGraph(extraNodes = {}) {
+  return new StateGraph({
+    double: (state) => ({ value: state.value * 2 }),
+    label: (state) => ({ label: `value=${state.value}`, scratch: 'child-only' }),
+    ...extraNodes
+  }, {
+    start: (state) => (state.skipDouble ? 'label' : 'double'),
+    double: 'label',
+    label: 'end'
+  }, { logger: silentLogger });
+}
+
+function parentGraph(child, options) {
+  const graph = new StateGraph({
+    prepare: () => ({ value: 3 }),
+    finish: (state) => ({ answer: `${state.label}|${state.scratch || 'none'}` })
+  }, { start: 'prepare', prepare: 'child', child: 'finish', finish: 'end' }, { logger: silentLogger });
+  graph.addSubgraph('child', child, options);
+  return graph;
+}
+
+describe('StateGraph — subgraphs', () => {
+  it('runs the child with mapped input/output keys and nests its trace', async () => {
+    const graph = parentGraph(childGraph(), { input: ['value'], output: ['label', 'value'] });
+    const result = await graph.execute({ message: 'hi' });
+    expect(result.answer).toBe('value=6|none');
+    const entry = result.trace.find(t => t.node === 'child');
+    expect(entry.subgraph.name).toBe('child');
+    expect(entry.subgraph.trace.map(t => t.node)).toEqual(['double', 'label']);
+    expect(entry.subgraph.runId).toBe(`${result.runId}:child`);
+  });
+
+  it('supports rename maps and routing start edges', async () => {
+    const graph = parentGraph(childGraph(), {
+      input: { value: 'value', skipDouble: 'message' },
+      output: { label: 'label' }
+    });
+    const result = await graph.execute({ message: 'truthy' });
+    expect(result.answer).toBe('value=3|none');
+  });
+
+  it('copies back all non-engine keys by default', async () => {
+    const result = await parentGraph(childGraph()).execute({});
+    expect(result.answer).toBe('value=6|child-only');
+    expect(result.trace.map(t => t.node)).toEqual(['prepare', 'child', 'finish']);
+  });
+
+  it('fails the parent node when a child node throws', async () => {
+    const child = childGraph({ label: () => { throw new Error('boom'); } });
+    const result = await parentGraph(child).execute({});
+    expect(result.success).toBe(false);
+    expect(result.failedNode).toBe('child');
+    expect(result.error).toContain('failed at node label: boom');
+  });
+
+  it('shares the parent abort signal with the child', async () => {
+    const controller = new AbortController();
+    const child = childGraph({ double: (state) => { controller.abort(); return { value: state.value * 2 }; } });
+    const result = await parentGraph(child).execute({}, null, controller.signal);
+    expect(result.cancelled).toBe(true);
+    expect(result.trace.find(t => t.node === 'child').subgraph.trace.map(t => t.node)).toEqual(['double']);
+    expect(result.answer).toBe(undefined);
+  });
+
+  it('resumes an interrupted child at the node that asked', async () => {
+    let doubled = 0;
+    const child = childGraph({
+      double: (state) => { doubled++; return { value: state.value * 2 }; },
+      label: (state) => (state.userReply === undefined
+        ? interrupt({ question: 'Label?' })
+        : { label: `${state.userReply}=${state.value}` })
+    });
+    const graph = parentGraph(child, { input: ['value'], output: ['label'] });
+
+    const paused = await graph.execute({});
+    expect(paused.interrupted).toBe(true);
+    expect(paused.interrupt.payload).toEqual({ question: 'Label?' });
+
+    const resumed = await graph.resume(paused.interrupt.token, 'yes');
+    expect(resumed.interrupted).toBe(undefined);
+    expect(resumed.answer).toBe('yes=6|none');
+    expect(doubled).toBe(1);
+    expect(resumed.subgraphInterrupts).toEqual({});
+  });
+
+  it('automation() builds the command_automate loop as a standalone graph', () => {
+    const graph = StateGraphBuilder.automation({ logger: silentLogger, mcpAdapter: new MockMCPAdapter({ logger: silentLogger }) });
+    expect(Object.keys(graph.nodes)).toEqual(['gatherContext', 'creatorPlanning', 'planSkills', 'executeCommand', 'recoverSkill', 'evaluateSkills']);
+    expect(graph._resolveStartNode({ matchedSkillName: 'x' })).toBe('planSkills');
+    expect(graph._resolveStartNode({})).toBe('gatherContext');
+    expect(graph.edges.recoverSkill({ recoveryAction: 'ask_user' })).toBe('end');
+    expect(graph.edges.planSkills({ planError: 'x' })).toBe('end');
+  });
+});
+
+// ─── 5. Interrupts ───────────────────────────────────────────────────────────
+
+function askGraph(options = {}) {
+  let askCount = 0;
+  const graph = new StateGraph({
+    prepare: () => ({ prepared: true }),
+    ask: (state) => {
+      askCount++;
+      if (state.userReply === undefined) {
+        return interrupt({ question: 'Which folder?', options: ['Desktop', 'Documents'] }, { asked: true });
+      }
+      return { folder: state.userReply };
+    },
+    finish: (state) => ({ answer: `saved to ${state.folder}`, sawReply: state.userReply })
+  }, { start: 'prepare', prepare: 'ask', ask: 'finish', finish: 'end' }, { logger: silentLogger, ...options });
+  graph.askCount = () => askCount;
+  return graph;
+}
+
+describe('StateGraph — human-in-the-loop interrupts', () => {
+  it('suspends the run and returns a resume token with the payload', async () => {
+    const result = await askGraph().execute({ runId: 'run_ask' });
+    expect(result.interrupted).toBe(true);
+    expect(result.interrupt.token).toBe('run_ask');
+    expect(result.interrupt.node).toBe('ask');
+    expect(result.interrupt.payload.question).toBe('Which folder?');
+    expect(result.asked).toBe(true);
+    expect(result.answer).toBe(undefined);
+  });
+
+  it('resume(token, reply) re-runs the same node with the reply injected once', async () => {
+    const graph = askGraph();
+    const first = await graph.execute({});
+    const resumed = await graph.resume(first.interrupt.token, 'Documents');
+    expect(resumed.success).toBe(true);
+    expect(resumed.interrupted).toBe(undefined);
+    expect(resumed.answer).toBe('saved to Documents');
+    expect(resumed.sawReply).toBe(undefined); // cleared after the interrupted node
+    expect(resumed.prepared).toBe(true);
+    expect(graph.askCount()).toBe(2);
+  });
+
+  it('keeps interrupts in memory without a checkpointer (single use)', async () => {
+    const graph = askGraph();
+    const first = await graph.execute({});
+    await graph.resume(first.interrupt.token, 'Desktop');
+    await expectReject(graph.resume(first.interrupt.token, 'Desktop'), 'No checkpoint found');
+  });
+
+  it('persists interrupts through the configured checkpointer', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const first = await askGraph({ checkpointer }).execute({ runId: 'run_ask_cp' });
+    const checkpoint = await checkpointer.load('run_ask_cp');
+    expect(checkpoint.status).toBe('interrupted');
+    expect(checkpoint.nextNode).toBe('ask');
+
+    // A fresh graph instance (app restart) can answer the question
+    const resumed = await askGraph({ checkpointer }).resume(first.interrupt.token, 'Desktop');
+    expect(resumed.answer).toBe('saved to Desktop');
+    expect((await checkpointer.load('run_ask_cp')).status).toBe('completed');
+  });
+
+  it('api_suggest interrupts when useInterrupts is set and continues on "shortcuts anyway"', async () => {
+    const executeCommand = require('../src/nodes/executeCommand');
+    const { isInterrupt } = require('../src/core/interrupt');
+    const state = {
+      logger: silentLogger,
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      intent: { type: 'command_automate' },
+      useInterrupts: true,
+      skillPlan: [{ skill: 'api_suggest', args: { app: 'Slack' } }, { skill: 'shell.run', args: {} }],
+      skillCursor: 0,
+      skillResults: []
+    };
+    const suspended = await executeCommand(state);
+    expect(isInterrupt(suspended)).toBe(true);
+    expect(suspended.payload.options[0]).toBe('Set up Slack API');
+
+    const continued = await executeCommand({ ...state, userReply: 'Try keyboard shortcuts anyway' });
+    expect(continued.skillCursor).toBe(1);
+    const stopped = await executeCommand({ ...state, userReply: 'Set up Slack API' });
+    expect(stopped.skillCursor).toBe(2);
+    expect(stopped.followUpMessage).toBe('Set up Slack API');
+
+    for (const reply of ['continue', 'yes', ' Try KEYBOARD shortcuts anyway ']) {
+      const freeText = await executeCommand({ ...state, userReply: reply });
+      expect(freeText.skillCursor).toBe(1);
+      expect(freeText.followUpMessage).toBe(null);
+    }
+    const guided = await executeCommand({ ...state, userReply: '2' });
+    expect(guided.followUpMessage).toBe('Show me how to do it manually (guided)');
+    const cancelled = await executeCommand({ ...state, userReply: 'Cancel' });
+    expect(cancelled.skillCursor).toBe(2);
+    expect(cancelled.followUpMessage).toBe(null);
+  });
+
+  it('guide.step without a browser session interrupts until the user continues or stops', async () => {
+    const executeCommand = require('../src/nodes/executeCommand');
+    const { isInterrupt } = require('../src/core/interrupt');
+    const state = {
+      logger: silentLogger,
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      intent: { type: 'command_automate' },
+      useInterrupts: true,
+      skillPlan: [{ skill: 'guide.step', args: { instruction: 'Click Save' } }, { skill: 'shell.run', args: {} }],
+      skillCursor: 0,
+      skillResults: []
+    };
+    const suspended = await executeCommand(state);
+    expect(isInterrupt(suspended)).toBe(true);
+    expect(suspended.payload.type).toBe('guide_step');
+    expect(suspended.payload.question).toBe('Click Save');
+
+    expect((await executeCommand({ ...state, userReply: 'Done — continue' })).skillCursor).toBe(1);
+    const stopped = await executeCommand({ ...state, userReply: 'Stop guide' });
+    expect(stopped.skillCursor).toBe(2);
+    expect(stopped.skillResults[0].stdout).toBe('Guide cancelled by user');
+  });
+
+  it('recoverSkill ASK_USER interrupts and applies the reply (skip, abort, replan)', async () => {
+    const recoverSkill = require('../src/nodes/recoverSkill');
+    const { isInterrupt } = require('../src/core/interrupt');
+    const state = {
+      logger: silentLogger,
+      useInterrupts: true,
+      failedStep: { step: 1, skill: 'shell.run', args: { cmd: 'make' }, error: 'boom' },
+      skillPlan: [{ skill: 'shell.run', args: { cmd: 'make' } }, { skill: 'shell.run', args: { cmd: 'ls' } }],
+      skillCursor: 0,
+      skillResults: [{ step: 1, skill: 'shell.run', ok: false, error: 'boom' }]
+    };
+    const suspended = await recoverSkill(state);
+    expect(isInterrupt(suspended)).toBe(true);
+    expect(suspended.payload.type).toBe('ask_user');
+    expect(suspended.payload.options).toEqual(['Skip this step', 'Abort the task', 'Try a different approach']);
+    expect(suspended.update.recoveryAction).toBe('ask_user');
+
+    const resumedState = { ...state, ...suspended.update };
+    const skipped = await recoverSkill({ ...resumedState, userReply: 'Skip this step' });
+    expect([skipped.recoveryAction, skipped.skillCursor, skipped.failedStep]).toEqual(['auto_patch', 1, null]);
+    const aborted = await recoverSkill({ ...resumedState, userReply: 'Abort the task' });
+    expect([aborted.recoveryAction, aborted.skillCursor]).toEqual(['aborted', 2]);
+    const replanned = await recoverSkill({ ...resumedState, userReply: 'use ~/Desktop instead' });
+    expect(replanned.recoveryAction).toBe('replan');
+    expect(replanned.recoveryContext.suggestion.includes('use ~/Desktop instead')).toBe(true);
+  });
+
+  it('gatherContext asks each question through an interrupt and resumes the rounds', async () => {
+    const gatherContext = require('../src/nodes/gatherContext');
+    const { isInterrupt } = require('../src/core/interrupt');
+    const llmBackend = {
+      generateAnswer: async (system, prompt) => {
+        if (system.includes('task classifier')) return '{"type":"BUILD"}';
+        if (!prompt.includes('do NOT ask about any of these')) return '{"resolvedFacts":{}}';
+        return prompt.includes('service_sms: Textbelt')
+          ? '{"complete":true}'
+          : '{"complete":false,"credentials":[],"unknowns":[{"id":"service_sms","question":"Which SMS service?","type":"choice","options":["Twilio","Other"],"required":true}]}';
+      }
+    };
+    const state = {
+      logger: silentLogger,
+      llmBackend,
+      useInterrupts: true,
+      intent: { type: 'command_automate' },
+      message: 'Text me my top emails every day at 9pm'
+    };
+
+    const first = await gatherContext(state);
+    expect(isInterrupt(first)).toBe(true);
+    expect([first.payload.type, first.payload.id]).toEqual(['gather_question', 'service_sms']);
+
+    const followUp = await gatherContext({ ...state, ...first.update, userReply: 'Other' });
+    expect(followUp.payload.id).toBe('service_sms_other_specify');
+
+    const done = await gatherContext({ ...state, ...followUp.update, userReply: 'Textbelt' });
+    expect(isInterrupt(done)).toBe(false);
+    expect(done.gatheredContext.resolvedAnswers.service_sms).toBe('Textbelt');
+    expect(done.gatherProgress).toBe(null);
+  });
+
+  it('enrichIntent interrupts for unknown entities and stores the reply (MODE B)', async () => {
+    const enrichIntent = require('../src/nodes/enrichIntent');
+    const { isInterrupt } = require('../src/core/interrupt');
+    const stored = [];
+    const state = {
+      logger: silentLogger,
+      useInterrupts: true,
+      mcpAdapter: new MockMCPAdapter({
+        logger: silentLogger,
+        mockResponses: {
+          'user-memory.memory.search': () => ({ data: { results: [] } }),
+          'user-memory.memory.store': (params) => { stored.push(params.text); return { success: true }; }
+        }
+      }),
+      message: 'text my wife that I am late',
+      intent: { type: 'command_automate' },
+      conversationHistory: []
+    };
+    const suspended = await enrichIntent(state);
+    expect(isInterrupt(suspended)).toBe(true);
+    expect(suspended.payload.fields).toEqual(['entity:person:wife']);
+    expect(suspended.payload.question.startsWith('[')).toBe(false);
+
+    const resumed = await enrichIntent({ ...state, ...suspended.update, userReply: 'Jane Doe, 555-1234' });
+    expect(resumed.resolvedMessage).toBe('text my wife that I am late');
+    expect(resumed.enrichmentQuestion).toBe(null);
+    expect(stored).toEqual(['My wife — Jane Doe, 555-1234']);
+  });
+});
+
+// ─── 6. Node policies ────────────────────────────────────────────────────────
+
+function flakyGraph(policy, failures, extra = {}) {
+  let calls = 0;
+  const graph = new StateGraph({
+    flaky: async () => {
+      calls++;
+      if (calls <= failures) throw Object.assign(new Error(`failure ${calls}`), { code: calls === 1 ? 'ETIMEDOUT' : 'EFATAL' });
+      return { value: 'ok' };
+    },
+    backup: () => ({ value: 'backup' }),
+    finish: (state) => ({ answer: state.value })
+  }, { start: 'flaky', flaky: 'finish', backup: 'finish', finish: 'end' }, {
+    logger: silentLogger,
+    nodePolicies: { flaky: policy },
+    ...extra
+  });
+  graph.calls = () => calls;
+  return graph;
+}
+
+describe('StateGraph — node timeout, retry and fallback policies', () => {
+  it('retries a failing node and records attempts in the trace', async () => {
+    const graph = flakyGraph({ maxRetries: 2, backoffMs: 0 }, 2);
+    const result = await graph.execute({});
+    expect(result.answer).toBe('ok');
+    expect(graph.calls()).toBe(3);
+    expect(result.trace[0].attempts).toBe(3);
+  });
+
+  it('stops retrying when retryOn rejects the error', async () => {
+    const graph = flakyGraph({ maxRetries: 5, backoffMs: 0, retryOn: (e) => e.code === 'ETIMEDOUT' }, 3);
+    const result = await graph.execute({});
+    expect(result.success).toBe(false);
+    expect(graph.calls()).toBe(2);
+    expect(result.trace[0].attempts).toBe(2);
+  });
+
+  it('times out a hung node', async () => {
+    const graph = new StateGraph({
+      hang: () => new Promise(() => {}),
+    }, { start: 'hang', hang: 'end' }, { logger: silentLogger, nodePolicies: { hang: { timeoutMs: 30 } } });
+    const result = await graph.execute({});
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('timed out after 30ms');
+    expect(result.trace[0].timedOut).toBe(true);
+  });
+
+  it('routes to the fallback node once retries are exhausted', async () => {
+    const graph = flakyGraph({ maxRetries: 1, backoffMs: 0, fallback: 'backup' }, 5);
+    const result = await graph.execute({});
+    expect(result.success).toBe(true);
+    expect(result.answer).toBe('backup');
+    expect(result.trace.map(t => t.node)).toEqual(['flaky', 'backup', 'finish']);
+    expect(result.trace[0].fallback).toBe('backup');
+    expect(result.degradedNodes).toEqual([{ node: 'flaky', error: 'failure 2', fallback: 'backup' }]);
+  });
+
+  it('computes fixed, exponential and custom backoff delays', () => {
+    const graph = new StateGraph({}, {}, { logger: silentLogger });
+    expect(graph._backoffDelay({ backoffMs: 100 }, 3)).toBe(100);
+    expect(graph._backoffDelay({ backoff: 'exponential', backoffMs: 100 }, 3)).toBe(400);
+    expect(graph._backoffDelay({ backoff: (n) => n * 7 }, 3)).toBe(21);
+  });
+
+  it('applies policies registered with addNode() to parallel branches', async () => {
+    const graph = new StateGraph({ fan: () => ({}), join: () => ({}) }, {
+      start: 'fan',
+      fan: StateGraph.parallel(['slow', 'fast'], { join: 'join' }),
+      join: 'end'
+    }, { logger: silentLogger });
+    graph.addNode('slow', () => new Promise(() => {}), { timeoutMs: 20 });
+    graph.addNode('fast', () => ({ fast: true }));
+    const result = await graph.execute({});
+    expect(result.fast).toBe(true);
+    expect(result.parallelErrors[0].nodeName).toBe('slow');
+    expect(result.trace.find(t => t.node === 'slow').timedOut).toBe(true);
+  });
+});
+
+// ─── 7. Middleware ───────────────────────────────────────────────────────────
+
+function recordingMiddleware(events) {
+  return {
+    beforeNode: ({ node, parallel }) => events.push(`before:${node}${parallel ? ':p' : ''}`),
+    afterNode: ({ node, traceEntry }) => events.push(`after:${node}:${traceEntry.success}`),
+    onError: ({ node, error, fallback }) => events.push(`error:${node}:${error.message}:${fallback || '-'}`),
+    onRouting: ({ from, to, branches }) => events.push(`route:${from}->${branches ? `[${branches.join(',')}]->` : ''}${to}`),
+    onComplete: ({ state }) => events.push(`complete:${state.success}`)
+  };
+}
+
+describe('StateGraph — middleware hooks', () => {
+  it('calls hooks around sequential nodes and routing, in order', async () => {
+    const events = [];
+    const graph = new StateGraph({
+      a: () => ({ x: 1 }),
+      b: (state) => ({ y: state.x + 1 })
+    }, { start: 'a', a: 'b', b: 'end' }, { logger: silentLogger }).use(recordingMiddleware(events));
+    await graph.execute({});
+    expect(events).toEqual([
+      'before:a', 'after:a:true', 'route:a->b',
+      'before:b', 'after:b:true', 'route:b->end',
+      'complete:true'
+    ]);
+  });
+
+  it('runs the same hooks for parallel branches', async () => {
+    const events = [];
+    const graph = fanOutGraph(StateGraph.parallel(['search', 'broken', 'memory'], { join: 'answer' }), {
+      broken: () => { throw new Error('down'); }
+    }).use(recordingMiddleware(events));
+    await graph.execute({ contextDocs: [] });
+    expect(events).toContain('route:route->[search,broken,memory]->answer');
+    expect(events).toContain('before:search:p');
+    expect(events).toContain('after:memory:true');
+    expect(events).toContain('error:broken:down:-');
+  });
+
+  it('reports policy fallbacks through onError and onRouting', async () => {
+    const events = [];
+    const graph = flakyGraph({ fallback: 'backup' }, 1).use(recordingMiddleware(events));
+    await graph.execute({});
+    expect(events.slice(0, 4)).toEqual(['before:flaky', 'error:flaky:failure 1:backup', 'route:flaky->backup', 'before:backup']);
+  });
+
+  it('never fails the run when a hook throws', async () => {
+    const warnings = [];
+    const graph = new StateGraph({ a: () => ({ done: true }) }, { start: 'a', a: 'end' }, {
+      logger: { ...silentLogger, warn: (...args) => warnings.push(args.join(' ')) }
+    }).use({ beforeNode: () => { throw new Error('hook broke'); } });
+    const result = await graph.execute({});
+    expect(result.done).toBe(true);
+    expect(warnings[0]).toContain('Middleware beforeNode error');
+  });
+
+  it('keeps onProgress working on top of the middleware pipeline', async () => {
+    const calls = [];
+    const graph = new StateGraph({ a: () => ({}) }, { start: 'a', a: 'end' }, { logger: silentLogger });
+    await graph.execute({}, (node, state, duration, status) => calls.push(`${node}:${status}`));
+    expect(calls).toEqual(['a:started', 'a:completed']);
+  });
+});
+
+// ─── 8. Journal progress ─────────────────────────────────────────────────────
+
+const { createJournal } = require('../src/nodes/journalProgress');
+
+function journalGraph(journalPath, nodes = {}) {
+  return new StateGraph({
+    first: () => ({ first: true }),
+    second: (state) => ({ seen: state.injectedMessages || [] }),
+    ...nodes
+  }, { start: 'first', first: 'second', second: 'end' }, {
+    logger: silentLogger,
+    checkpointer: new MemoryCheckpointer(),
+    journal: { journalPath, pollIntervalMs: 5 }
+  });
+}
+
+function writeSignals(journalPath, signals) {
+  const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  journal.signals = signals.map((s, i) => ({ id: `sig${i}`, ts: new Date().toISOString(), status: 'pending', ...s }));
+  fs.writeFileSync(journalPath, JSON.stringify(journal));
+}
+
+describe('StateGraph — voice-state journal and signals', () => {
+  it('journals each node and the final status to a configurable path', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      await journalGraph(journalPath).execute({ intent: { type: 'question' } });
+      const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+      expect(journal.stategraph.status).toBe('done');
+      expect(journal.stategraph.intent).toBe('question');
+      expect(journal.stategraph.traceSteps.map(t => t.node)).toEqual(['first', 'second']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('cancels between nodes on a cancel signal and acknowledges it', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      const graph = journalGraph(journalPath, {
+        first: () => { writeSignals(journalPath, [{ type: 'cancel' }]); return { first: true }; }
+      });
+      const result = await graph.execute({});
+      expect(result.cancelled).toBe(true);
+      expect(result.error).toBe('Cancelled by voice signal');
+      expect(result.trace.map(t => t.node)).toEqual(['first']);
+      expect((await graph.checkpointer.load(result.runId)).status).toBe('cancelled');
+      expect(createJournal(journalPath).checkSignals()).toEqual([]);
+      expect(JSON.parse(fs.readFileSync(journalPath, 'utf8')).stategraph.status).toBe('error');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('injects signal payloads into state', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      const graph = journalGraph(journalPath, {
+        first: () => { writeSignals(journalPath, [{ type: 'inject', payload: 'also check email' }]); return {}; }
+      });
+      const result = await graph.execute({});
+      expect(result.seen).toEqual(['also check email']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('merges injected messages through the state schema and checkpoints them', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      const checkpointer = new MemoryCheckpointer();
+      const graph = new StateGraph({
+        first: () => { writeSignals(journalPath, [{ type: 'inject', payload: 'also check email' }]); return {}; },
+        second: () => ({})
+      }, { start: 'first', first: 'second', second: 'end' }, {
+        logger: silentLogger,
+        checkpointer,
+        // Keep only the latest injected message
+        stateSchema: { injectedMessages: (current, incoming, base) => reducers.append(current, incoming, base).slice(-1) },
+        journal: { journalPath, pollIntervalMs: 5 }
+      });
+      const result = await graph.execute({ runId: 'run_injected', injectedMessages: ['earlier'] });
+      expect(result.injectedMessages).toEqual(['also check email']);
+      expect((await checkpointer.load('run_injected')).state.injectedMessages).toEqual(['also check email']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('the answer node adds injected messages to its query', async () => {
+    const answerNode = require('../src/nodes/answer');
+    const queries = [];
+    class EchoBackend extends LLMBackend {
+      async isAvailable() { return true; }
+      getInfo() { return { name: 'echo', type: 'echo' }; }
+      async generateAnswer(query) { queries.push(query); return 'ok'; }
+    }
+    await answerNode({
+      logger: silentLogger,
+      llmBackend: new EchoBackend(),
+      message: 'What is on my calendar?',
+      intent: { type: 'question' },
+      injectedMessages: ['and tomorrow too']
+    });
+    expect(queries[0].includes('What is on my calendar?')).toBe(true);
+    expect(queries[0].includes('- and tomorrow too')).toBe(true);
+  });
+
+  it('journals an interrupted run as waiting for a reply, not done', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      const graph = journalGraph(journalPath, {
+        second: () => interrupt({ question: 'Which folder?' })
+      });
+      const result = await graph.execute({});
+      expect(result.interrupted).toBe(true);
+      const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+      expect(journal.stategraph.status).toBe('interrupted');
+      expect(journal.stategraph.currentNode).toBe('second');
+      expect(journal.stategraph.summary).toBe('Waiting for a reply — Which folder?');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('holds the run on pause until a resume signal arrives', async () => {
+    const dir = tmpDir('journal');
+    try {
+      const journalPath = path.join(dir, 'voice-state.json');
+      const journal = createJournal(journalPath);
+      let pausedSeen = false;
+      const graph = journalGraph(journalPath, {
+        first: () => {
+          writeSignals(journalPath, [{ type: 'pause' }]);
+          setTimeout(() => {
+            pausedSeen = JSON.parse(fs.readFileSync(journalPath, 'utf8')).stategraph.status === 'paused';
+            writeSignals(journalPath, [{ type: 'resume' }]);
+          }, 30);
+          return {};
+        }
+      });
+      const result = await graph.execute({});
+      expect(pausedSeen).toBe(true);
+      expect(result.success).toBe(true);
+      expect(journal.checkSignals()).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── 9. Streaming ────────────────────────────────────────────────────────────
+
+async function collect(iterator) {
+  const events = [];
+  for await (const event of iterator) events.push(event);
+  return events;
+}
+
+describe('StateGraph — stream() event iterator', () => {
+  it('yields node, step and token events followed by the final state', async () => {
+    const graph = new StateGraph({
+      plan: (state) => {
+        state.progressCallback({ type: 'step_start', stepIndex: 0 });
+        return { planned: true };
+      },
+      answer: (state) => {
+        state.streamCallback('Hel');
+        state.streamCallback('lo');
+        return { answer: 'Hello' };
+      }
+    }, { start: 'plan', plan: 'answer', answer: 'end' }, { logger: silentLogger });
+
+    const events = await collect(graph.stream({ runId: 'run_stream' }));
+    expect(events.map(e => e.type)).toEqual([
+      'node_started', 'step_progress', 'node_completed',
+      'node_started', 'token', 'token', 'node_completed',
+      'final_state'
+    ]);
+    expect(events[1].step).toEqual({ type: 'step_start', stepIndex: 0 });
+    expect(events[4]).toEqual({ type: 'token', node: 'answer', token: 'Hel', runId: 'run_stream' });
+    expect(events[events.length - 1].state.answer).toBe('Hello');
+  });
+
+  it('still calls callbacks supplied in the initial state', async () => {
+    const tokens = [];
+    const graph = new StateGraph({ a: (state) => { state.streamCallback('x'); return {}; } },
+      { start: 'a', a: 'end' }, { logger: silentLogger });
+    await collect(graph.stream({ streamCallback: (t) => tokens.push(t) }));
+    expect(tokens).toEqual(['x']);
+  });
+
+  it('emits an interrupt event for suspended runs', async () => {
+    const events = await collect(askGraph().stream({}));
+    const pause = events.find(e => e.type === 'interrupt');
+    expect(pause.node).toBe('ask');
+    expect(pause.interrupt.payload.question).toBe('Which folder?');
+    expect(events[events.length - 1].state.interrupted).toBe(true);
+  });
+
+  it('aborts the run when the consumer stops early', async () => {
+    let secondRan = false;
+    const graph = new StateGraph({
+      first: () => new Promise(r => setTimeout(() => r({}), 20)),
+      second: () => { secondRan = true; return {}; }
+    }, { start: 'first', first: 'second', second: 'end' }, { logger: silentLogger });
+    for await (const event of graph.stream({})) {
+      if (event.type === 'node_started') break;
+    }
+    await new Promise(r => setTimeout(r, 50));
+    expect(secondRan).toBe(false);
+  });
+});
+
+// ─── 10. Node result cache ───────────────────────────────────────────────────
+
+function cachedGraph(options = {}) {
+  let searches = 0;
+  const graph = new StateGraph({
+    search: async (state) => {
+      searches++;
+      return { ...state, results: [`result for ${state.query}`] };
+    },
+    answer: (state) => ({ answer: state.results[0] })
+  }, { start: 'search', search: 'answer', answer: 'end' }, {
+    logger: silentLogger,
+    cacheEnabled: true,
+    nodePolicies: { search: { cacheKey: (state) => state.query.toLowerCase() } },
+    ...options
+  });
+  graph.searches = () => searches;
+  return graph;
+}
+
+describe('StateGraph — node result cache', () => {
+  it('memoizes nodes by their cache key and records hits in the trace', async () => {
+    const graph = cachedGraph();
+    await graph.execute({ query: 'Weather' });
+    const second = await graph.execute({ query: 'weather', extra: 'kept' });
+    expect(graph.searches()).toBe(1);
+    expect(second.answer).toBe('result for Weather');
+    expect(second.extra).toBe('kept'); // cached delta, not the first run's whole state
+    expect(second.trace[0].cached).toBe(true);
+    expect(graph.getCacheStats().hits).toBe(1);
+  });
+
+  it('expires entries after the TTL', async () => {
+    const graph = cachedGraph({ cacheTTL: 10 });
+    await graph.execute({ query: 'a' });
+    await new Promise(r => setTimeout(r, 20));
+    await graph.execute({ query: 'a' });
+    expect(graph.searches()).toBe(2);
+  });
+
+  it('evicts the least recently used entry beyond cacheMaxSize', async () => {
+    const graph = cachedGraph({ cacheMaxSize: 2 });
+    await graph.execute({ query: 'a' });
+    await graph.execute({ query: 'b' });
+    await graph.execute({ query: 'a' }); // a is now most recent
+    await graph.execute({ query: 'c' }); // evicts b
+    expect(graph.getCacheStats().size).toBe(2);
+    await graph.execute({ query: 'a' });
+    expect(graph.searches()).toBe(3);
+    await graph.execute({ query: 'b' });
+    expect(graph.searches()).toBe(4);
+  });
+
+  it('does nothing unless cacheEnabled is set', async () => {
+    const graph = cachedGraph({ cacheEnabled: false });
+    await graph.execute({ query: 'a' });
+    await graph.execute({ query: 'a' });
+    expect(graph.searches()).toBe(2);
+  });
+});
+
+// ─── 11. compile() validation ────────────────────────────────────────────────
+
+function validationErrors(nodes, edges, options = {}) {
+  return new StateGraph(nodes, edges, { logger: silentLogger, ...options }).validate().errors;
+}
+
+const noop = () => ({});
+
+describe('StateGraph — compile() validation', () => {
+  it('accepts a well-formed graph with declared dynamic edges', () => {
+    const graph = new StateGraph({ a: noop, b: noop, c: noop }, {
+      start: 'a',
+      a: StateGraph.route(['b', 'c'], (state) => state.x ? 'b' : 'c'),
+      b: 'end'
+    }, { logger: silentLogger });
+    expect(graph.compile()).toBe(graph);
+  });
+
+  it('reports edges to unknown nodes and undeclared dynamic edges', () => {
+    const errors = validationErrors({ a: noop, b: noop }, { start: 'a', a: 'missing', b: () => 'a' });
+    expect(errors).toContain('Edge a → missing targets an unknown node');
+    expect(errors).toContain('Dynamic edge from b must declare its targets (route([...], fn))');
+  });
+
+  it('reports cycles with no exit and nodes with no path to end', () => {
+    const errors = validationErrors({ a: noop, b: noop, c: noop, d: noop }, {
+      start: 'a',
+      a: StateGraph.route(['b', 'd'], () => 'b'),
+      b: 'c',
+      c: 'b',
+      d: 'b'
+    });
+    expect(errors).toContain('Cycle with no exit: b → c → b');
+    expect(errors).toContain('Node a has no path to end');
+    expect(errors).toContain('Node d has no path to end');
+  });
+
+  it('allows guarded cycles and counts policy fallbacks as edges', () => {
+    const errors = validationErrors({ loop: noop, backup: noop }, {
+      start: 'loop',
+      loop: StateGraph.route(['loop', 'end'], (state) => state.done ? 'end' : 'loop'),
+      backup: 'end'
+    }, { nodePolicies: { loop: { fallback: 'backup' } } });
+    expect(errors).toEqual([]);
+  });
+
+  it('warns about unreachable nodes without failing', () => {
+    const graph = new StateGraph({ a: noop, orphan: noop }, { start: 'a', a: 'end' }, { logger: silentLogger });
+    expect(graph.validate().warnings).toEqual(['Node orphan is unreachable from start']);
+    expect(graph.compile()).toBe(graph);
+  });
+
+  it('rejects undeclared targets at runtime', async () => {
+    const graph = new StateGraph({ a: noop, b: noop, c: noop }, {
+      start: 'a',
+      a: StateGraph.route(['b'], () => 'c')
+    }, { logger: silentLogger });
+    const result = await graph.execute({});
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Edge from a returned undeclared target: c');
+  });
+
+  it('full() and custom() fail fast on misconfigured graphs', async () => {
+    const mcpAdapter = new MockMCPAdapter({ logger: silentLogger });
+    StateGraphBuilder.full({ logger: silentLogger, mcpAdapter });
+    await expectReject(
+      Promise.resolve().then(() => StateGraphBuilder.custom({ a: noop }, { start: 'a', a: 'nowhere' }, { logger: silentLogger })),
+      'Invalid graph'
+    );
+  });
+});
+
+// ─── 12. Topology export ─────────────────────────────────────────────────────
+
+function exportGraph() {
+  return new StateGraph({ route: noop, search: noop, memory: noop, answer: noop, retry: noop }, {
+    start: 'route',
+    route: StateGraph.route(['search', 'answer'], () => 'search'),
+    search: StateGraph.parallel(['memory'], { join: 'answer' }),
+    answer: 'end'
+  }, { logger: silentLogger, nodePolicies: { search: { fallback: 'retry' } } });
+}
+
+describe('StateGraph — Mermaid / DOT export', () => {
+  it('renders static, conditional, parallel and fallback edges as Mermaid', () => {
+    const lines = exportGraph().toMermaid().split('\n');
+    expect(lines[0]).toBe('flowchart TD');
+    expect(lines).toContain('  __start__ --> route');
+    expect(lines).toContain('  route -.-> search');
+    expect(lines).toContain('  search ==> memory');
+    expect(lines).toContain('  memory ==> answer');
+    expect(lines).toContain('  search -.->|fallback| retry');
+    expect(lines).toContain('  retry --> __end__');
+  });
+
+  it('overlays a trace with durations and the path taken', () => {
+    const trace = [
+      { node: 'route', duration: 3, success: true },
+      { node: 'answer', duration: 12, success: true },
+      { node: 'answer', duration: 8, success: false, error: 'boom' }
+    ];
+    const mermaid = exportGraph().toMermaid({ trace });
+    expect(mermaid).toContain('route["route<br/>3ms"]');
+    expect(mermaid).toContain('answer["answer<br/>20ms ×2"]');
+    expect(mermaid).toContain('class answer failed');
+    expect(mermaid).toContain('linkStyle 0,2 stroke');
+  });
+
+  it('links a fan-out source to each branch and each branch to the join', async () => {
+    const graph = new StateGraph({ a: noop, b: noop, c: noop, d: noop }, {
+      start: 'a',
+      a: StateGraph.parallel(['b', 'c'], { join: 'd' }),
+      d: 'end'
+    }, { logger: silentLogger });
+    const result = await graph.execute({});
+    expect(result.trace.map(entry => entry.node)).toEqual(['a', 'b', 'c', 'd']);
+
+    const lines = graph.toMermaid({ trace: result.trace }).split('\n');
+    const edges = lines.filter(line => /^  \S+ (-->|==>|-\.->)/.test(line));
+    const taken = lines.find(line => line.startsWith('  linkStyle ')).split(' ')[3].split(',').map(Number);
+    expect(taken.map(index => edges[index].trim()).sort()).toEqual(
+      ['__start__ --> a', 'a ==> b', 'a ==> c', 'b ==> d', 'c ==> d', 'd --> __end__']
+    );
+  });
+
+  it('renders Graphviz DOT with the same overlay', () => {
+    const dot = exportGraph().toDot({ trace: [{ node: 'route', duration: 3, success: true }] });
+    expect(dot.startsWith('digraph StateGraph {')).toBe(true);
+    expect(dot).toContain('"route" -> "answer" [style=dashed];');
+    expect(dot).toContain('"search" -> "retry" [style=dotted, label="fallback"];');
+    expect(dot).toContain('"route" [label="route\\n3ms", style="rounded,filled", fillcolor="#c8e6c9"];');
+    expect(dot).toContain('"__start__" -> "route" [color="#2e7d32", penwidth=2];');
+  });
+});
+
+// ─── 13. Cassettes ───────────────────────────────────────────────────────────
+
+class RandomLLMBackend extends LLMBackend {
+  async generateAnswer(prompt, payload, options = {}, onToken = null) {
+    const answer = `Paris (${Math.random().toString(36).slice(2, 8)})`;
+    if (onToken) answer.split(' ').forEach(token => onToken(token));
+    return answer;
+  }
+  async isAvailable() { return true; }
+  getInfo() { return { name: 'RandomLLMBackend', type: 'test', model: 'random', provider: 'test' }; }
+}
+
+describe('Cassette — record / replay of graph runs', () => {
+  const message = 'What is the capital of France?';
+  const context = { userId: 'u', sessionId: 's' };
+
+  it('replays a recorded full() run offline with the same routing and answer', async () => {
+    const dir = tmpDir('cassette');
+    try {
+      const cassettePath = path.join(dir, 'run.json');
+      const recorder = new Cassette({ path: cassettePath, mode: 'record', logger: silentLogger });
+      const recorded = await StateGraphBuilder.full(recorder.wrap({
+        logger: silentLogger,
+        mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+        llmBackend: new RandomLLMBackend()
+      })).execute({ message, context });
+      recorder.close();
+
+      const replayer = new Cassette({ path: cassettePath, mode: 'replay', logger: silentLogger });
+      const replayed = await StateGraphBuilder.full(replayer.wrap({ logger: silentLogger })).execute({ message, context });
+
+      expect(replayed.answer).toBe(recorded.answer);
+      expect(replayed.trace.map(t => t.node)).toEqual(recorded.trace.map(t => t.node));
+      expect(replayed.intent).toEqual(recorded.intent);
+      expect(replayer.remaining()).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('re-emits streamed tokens and recorded errors', async () => {
+    const dir = tmpDir('cassette');
+    try {
+      const cassettePath = path.join(dir, 'run.json');
+      const recorder = new Cassette({ path: cassettePath, mode: 'record' });
+      const { mcpAdapter, llmBackend } = recorder.wrap({
+        mcpAdapter: { callService: async () => { throw Object.assign(new Error('service down'), { code: 'EDOWN' }); } },
+        llmBackend: new RandomLLMBackend()
+      });
+      const tokens = [];
+      const answer = await llmBackend.generateAnswer('q', {}, {}, (t) => tokens.push(t));
+      await expectReject(mcpAdapter.callService('web-search', 'web.search', { query: 'x' }), 'service down');
+      recorder.close();
+
+      const replay = new Cassette({ path: cassettePath, mode: 'replay' }).wrap({});
+      const replayedTokens = [];
+      expect(await replay.llmBackend.generateAnswer('q', {}, {}, (t) => replayedTokens.push(t))).toBe(answer);
+      expect(replayedTokens).toEqual(tokens);
+      const error = await expectReject(replay.mcpAdapter.callService('web-search', 'web.search', { query: 'x' }), 'service down');
+      expect(error.code).toBe('EDOWN');
+      await expectReject(replay.mcpAdapter.callService('phi4', 'intent.parse', {}), 'No recorded mcp call');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('matches LLM calls on their payload, not just the prompt', async () => {
+    const dir = tmpDir('cassette');
+    try {
+      const cassettePath = path.join(dir, 'run.json');
+      const recorder = new Cassette({ path: cassettePath, mode: 'record', logger: silentLogger });
+      const backend = new RandomLLMBackend();
+      backend.generateAnswer = async (prompt, payload) => `plan for ${payload.query}`;
+      const { llmBackend } = recorder.wrap({ llmBackend: backend });
+      const self = { onDone: () => {} };
+      self.self = self;
+      await llmBackend.generateAnswer('Plan the task', { query: 'Task: "email Bob"', circular: self });
+      await llmBackend.generateAnswer('Plan the task', { query: 'Task: "call Ann"' });
+      recorder.close();
+
+      const recorded = JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions;
+      expect(recorded[0].request.payload).toEqual({ query: 'Task: "email Bob"' });
+
+      const replayer = new Cassette({ path: cassettePath, mode: 'replay', logger: silentLogger });
+      const replay = replayer.wrap({});
+      expect(await replay.llmBackend.generateAnswer('Plan the task', { query: 'Task: "call Ann"' })).toBe('plan for Task: "call Ann"');
+      expect(await replay.llmBackend.generateAnswer('Plan the task', { query: 'Task: "email Bob"' })).toBe('plan for Task: "email Bob"');
+      expect(replayer.remaining()).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('buffers recordings and writes them once per flush', async () => {
+    const dir = tmpDir('cassette');
+    try {
+      const cassettePath = path.join(dir, 'run.json');
+      const recorder = new Cassette({ path: cassettePath, mode: 'record', flushDelay: 20 });
+      const { mcpAdapter } = recorder.wrap({ mcpAdapter: { callService: async (service, action, params) => params } });
+      let saves = 0;
+      const save = recorder.save.bind(recorder);
+      recorder.save = () => { saves++; save(); };
+
+      for (let i = 0; i < 5; i++) await mcpAdapter.callService('memory', 'memory.store', { i });
+      expect(fs.existsSync(cassettePath)).toBe(false);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(saves).toBe(1);
+      expect(JSON.parse(fs.readFileSync(cassettePath, 'utf8')).interactions.length).toBe(5);
+
+      await mcpAdapter.callService('memory', 'memory.store', { i: 5 });
+      recorder.close();
+      recorder.close();
+      expect(saves).toBe(2);
+      expect(new Cassette({ path: cassettePath }).interactions.length).toBe(6);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── 14. Time-travel debugging ───────────────────────────────────────────────
+
+function replanGraph(options = {}) {
+  return new StateGraph({
+    plan: (state) => ({ skillPlan: ['a', 'b'], skillCursor: 0, planCount: (state.planCount || 0) + 1 }),
+    execute: (state) => state.skillCursor === 1 && !state.recovered
+      ? { failedStep: { cursor: 1 }, skillCursor: state.skillCursor }
+      : { skillCursor: state.skillCursor + 1, failedStep: undefined },
+    recover: (state) => ({ recoveryAction: state.forceAction || 'replan', recovered: true, failedStep: undefined }),
+    done: (state) => ({ answer: `ran ${state.skillCursor} steps after ${state.planCount} plan(s)` })
+  }, {
+    start: 'plan',
+    plan: 'execute',
+    execute: (state) => state.failedStep ? 'recover' : state.skillCursor < state.skillPlan.length ? 'execute' : 'done',
+    recover: (state) => state.recoveryAction === 'replan' ? 'plan' : 'execute',
+    done: 'end'
+  }, { logger: silentLogger, verboseTrace: true, ...options });
+}
+
+describe('StateGraph — verbose trace and time travel', () => {
+  it('records the keys each node set or removed', async () => {
+    const result = await replanGraph().execute({ apiToken: 'sk-123' });
+    expect(result.trace.map(t => t.node)).toEqual(['plan', 'execute', 'execute', 'recover', 'plan', 'execute', 'execute', 'done']);
+    expect(result.trace[0].diff.set).toEqual({ skillPlan: ['a', 'b'], skillCursor: 0, planCount: 1 });
+    expect(result.trace[3].diff.set.recoveryAction).toBe('replan');
+    expect(result.trace[3].diff.unset).toEqual(['failedStep']);
+    expect(result.traceBase.state.apiToken).toBe('[REDACTED]');
+  });
+
+  it('caps long strings and arrays and marks them lossy', async () => {
+    const graph = new StateGraph({ a: () => ({ log: 'x'.repeat(50), items: [1, 2, 3, 4] }) }, { start: 'a' }, {
+      logger: silentLogger, verboseTrace: { maxStringLength: 10, maxArrayLength: 2 }
+    });
+    const { diff } = (await graph.execute({})).trace[0];
+    expect(diff.set.log).toBe('xxxxxxxxxx…[+40 chars]');
+    expect(diff.set.items).toEqual([1, 2, '…[+2 items]']);
+    expect(diff.lossy).toEqual(['log', 'items']);
+  });
+
+  it('reconstructs the state at any step', async () => {
+    const graph = replanGraph();
+    const result = await graph.execute({ message: 'go' });
+    expect(graph.stateAt(result, -1)).toEqual({ message: 'go' });
+    const beforeReplan = graph.stateAt(result, 3);
+    expect(beforeReplan.recoveryAction).toBe('replan');
+    expect(beforeReplan.skillCursor).toBe(1);
+    expect(beforeReplan.failedStep).toBe(undefined);
+    expect(graph.stateAt(result, 7).answer).toBe(result.answer);
+  });
+
+  it('re-runs from a step with overridden state', async () => {
+    const graph = replanGraph();
+    const result = await graph.execute({});
+    // Re-run recoverSkill, but this time retry the step instead of replanning
+    const rerun = await graph.rerunFrom(result, 3, { state: { forceAction: 'auto_patch' } });
+    expect(rerun.success).toBe(true);
+    expect(rerun.runId === result.runId).toBe(false);
+    expect(rerun.trace.map(t => t.node)).toEqual(['plan', 'execute', 'execute', 'recover', 'execute', 'done']);
+    expect(rerun.answer).toBe('ran 2 steps after 1 plan(s)');
+    expect(graph.stateAt(rerun, 4).skillCursor).toBe(2);
+  });
+
+  it('diffs parallel branches against the fan-out state', async () => {
+    const graph = fanOutGraph(StateGraph.parallel(['search', 'memory'], { join: 'answer' }));
+    graph.verboseTrace = { maxStringLength: 2000, maxArrayLength: 50, maxDepth: 6, redact: [] };
+    const result = await graph.execute({ contextDocs: [] });
+    expect(result.trace[2].parallel).toBe(true);
+    expect(graph.stateAt(result, 2).memories).toEqual(['m1']);
+    expect(graph.stateAt(result, 2).searchDone).toBe(undefined);
+    expect(graph.stateAt(result, 3).searchDone).toBe(true);
+    await expectReject(graph.rerunFrom(result, 2), 'inside a fan-out');
+  });
+
+  it('requires verboseTrace for stateAt()', async () => {
+    const graph = new StateGraph({ a: noop }, { start: 'a' }, { logger: silentLogger });
+    const result = await graph.execute({});
+    let threw = false;
+    try { graph.stateAt(result, 0); } catch (e) { threw = e.message.includes('verboseTrace'); }
+    expect(threw).toBe(true);
+  });
+});
+
+// ─── 15. Tracing spans ───────────────────────────────────────────────────────
+
+function spanTree(spans) {
+  const byId = new Map(spans.map(span => [span.spanId, span]));
+  return (name) => {
+    const span = spans.find(s => s.name === name);
+    return { span, parent: span && byId.get(span.parentSpanId)?.name };
+  };
+}
+
+describe('Tracer — spans for runs, nodes and service calls', () => {
+  it('nests MCP and LLM calls under their node and the run', async () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new Tracer({ exporter });
+    const graph = StateGraphBuilder.full(tracer.wrap({
+      logger: silentLogger,
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      llmBackend: new RandomLLMBackend()
+    }));
+    await graph.execute({ message: 'What is the capital of France?', context: { userId: 'u', sessionId: 's' } });
+    await tracer.flush();
+
+    const spans = exporter.getFinishedSpans();
+    const find = spanTree(spans);
+    const run = find('stategraph.run').span;
+    expect(run.parentSpanId).toBeNull();
+    expect(run.attributes['stategraph.intent.type']).toBe('question');
+    expect(spans.every(span => span.traceId === run.traceId)).toBe(true);
+    expect(find('node parseIntent').parent).toBe('stategraph.run');
+    expect(find('mcp phi4.intent.parse').parent).toBe('node parseIntent');
+    expect(find('mcp phi4.intent.parse').span.kind).toBe('CLIENT');
+    expect(find('mcp web-search.web.search').parent).toBe('node webSearch');
+    expect(find('llm generateAnswer').parent).toBe('node answer');
+  });
+
+  it('records retries, failures, parallel branches and token usage', async () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new Tracer({ exporter });
+    const { mcpAdapter } = tracer.wrap({ mcpAdapter: new MockMCPAdapter({ logger: silentLogger }) });
+    let flaky = 1;
+    const graph = new StateGraph({
+      fetch: async () => {
+        if (flaky-- > 0) throw new Error('socket hang up');
+        return { fetched: true };
+      },
+      llm: async () => ({ reply: await mcpAdapter.callService('phi4', 'chat.completion', { query: 'hi' }) }),
+      step: async () => ({ step: await mcpAdapter.callService('command', 'command.automate', { skill: 'shell.run', args: {} }) }),
+      broken: async () => { throw new Error('boom'); }
+    }, {
+      start: 'fetch',
+      fetch: StateGraph.parallel(['llm', 'step'], { join: 'broken' })
+    }, { logger: silentLogger, tracer, nodePolicies: { fetch: { maxRetries: 1, backoffMs: 0 } } });
+    const result = await graph.execute({});
+    await tracer.flush();
+
+    const find = spanTree(exporter.getFinishedSpans());
+    const fetch = find('node fetch').span;
+    expect(fetch.attributes['stategraph.attempts']).toBe(2);
+    expect(fetch.events.map(e => e.name)).toEqual(['retry']);
+    expect(find('mcp phi4.chat.completion').parent).toBe('node llm');
+    expect(find('mcp phi4.chat.completion').span.attributes['llm.usage.prompt_tokens']).toBe(100);
+    expect(find('mcp command.command.automate').parent).toBe('node step');
+    expect(find('mcp command.command.automate').span.attributes['mcp.skill']).toBe('shell.run');
+    expect(find('node broken').span.status).toEqual({ code: 'ERROR', message: 'boom' });
+    expect(find('stategraph.run').span.status.code).toBe('ERROR');
+    expect(result.success).toBe(false);
+  });
+
+  it('writes JSON lines and survives a failing exporter', async () => {
+    const dir = tmpDir('spans');
+    try {
+      const spansPath = path.join(dir, 'nested', 'spans.jsonl');
+      const warnings = [];
+      const tracer = new Tracer({
+        exporters: [new JsonlSpanExporter({ path: spansPath }), { export: async () => { throw new Error('collector down'); } }],
+        logger: { ...silentLogger, warn: (...args) => warnings.push(args.join(' ')) }
+      });
+      const graph = new StateGraph({ a: noop, b: noop }, { start: 'a', a: 'b' }, { logger: silentLogger, tracer });
+      const result = await graph.execute({});
+      await tracer.shutdown();
+
+      expect(result.success).toBe(true);
+      const lines = fs.readFileSync(spansPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(span => span.name)).toEqual(['node a', 'node b', 'stategraph.run']);
+      expect(lines[2].resource).toEqual({ 'service.name': 'stategraph' });
+      expect(warnings.length).toBe(3);
+      expect(warnings[0]).toContain('collector down');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── 16. Metrics ─────────────────────────────────────────────────────────────
+
+describe('MetricsRegistry — counters, histograms, gauges', () => {
+  it('exports Prometheus text and a JSON snapshot', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('jobs_total', 'Jobs done').inc({ queue: 'a"b' }, 2);
+    registry.gauge('workers', 'Busy workers').set({}, 3);
+    const latency = registry.histogram('latency_ms', 'Latency', { buckets: [10, 100] });
+    [5, 50, 500].forEach(ms => latency.observe({ node: 'x' }, ms));
+
+    expect(registry.toPrometheus()).toBe([
+      '# HELP jobs_total Jobs done',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="a\\"b"} 2',
+      '# HELP workers Busy workers',
+      '# TYPE workers gauge',
+      'workers 3',
+      '# HELP latency_ms Latency',
+      '# TYPE latency_ms histogram',
+      'latency_ms_bucket{node="x",le="10"} 1',
+      'latency_ms_bucket{node="x",le="100"} 2',
+      'latency_ms_bucket{node="x",le="+Inf"} 3',
+      'latency_ms_sum{node="x"} 555',
+      'latency_ms_count{node="x"} 3',
+      ''
+    ].join('\n'));
+
+    const snapshot = registry.snapshot();
+    expect(snapshot.jobs_total.series).toEqual([{ labels: { queue: 'a"b' }, value: 2 }]);
+    expect(latency.get({ node: 'x' }).p50).toBe(50);
+    expect(latency.get({ node: 'x' }).p95).toBe(500);
+    expect(registry.counter('jobs_total')).toBe(registry.get('jobs_total'));
+    let threw = false;
+    try { registry.gauge('jobs_total'); } catch (e) { threw = e.message.includes('already registered'); }
+    expect(threw).toBe(true);
+  });
+});
+
+describe('StateGraph — run metrics', () => {
+  it('counts node outcomes, retries, recoveries and verdicts', async () => {
+    let flaky = 1;
+    const graph = new StateGraph({
+      executeCommand: (state) => state.recovered ? { done: true } : { failedStep: { skill: 'shell.run' } },
+      recoverSkill: () => {
+        if (flaky-- > 0) throw new Error('llm timeout');
+        return { recovered: true, failedStep: undefined };
+      },
+      evaluateSkills: () => ({ evaluationVerdict: 'PASS' })
+    }, {
+      start: 'executeCommand',
+      executeCommand: (state) => (state.failedStep ? 'recoverSkill' : 'evaluateSkills'),
+      recoverSkill: 'executeCommand',
+      evaluateSkills: 'end'
+    }, { logger: silentLogger, metrics: true, nodePolicies: { recoverSkill: { maxRetries: 1, backoffMs: 0 } } });
+    await graph.execute({});
+
+    const { metrics } = graph;
+    expect(metrics.get('stategraph_runs_total').get({ status: 'completed' })).toBe(1);
+    expect(metrics.get('stategraph_runs_in_progress').get()).toBe(0);
+    expect(metrics.get('stategraph_node_executions_total').get({ node: 'executeCommand', status: 'success' })).toBe(2);
+    expect(metrics.get('stategraph_node_retries_total').get({ node: 'recoverSkill' })).toBe(1);
+    expect(metrics.get('stategraph_skill_recoveries_total').get({ skill: 'shell.run' })).toBe(1);
+    expect(metrics.get('stategraph_evaluation_verdicts_total').get({ verdict: 'PASS' })).toBe(1);
+    expect(metrics.get('stategraph_node_duration_ms').get({ node: 'executeCommand' }).count).toBe(2);
+    expect(metrics.toPrometheus()).toContain('stategraph_node_duration_ms_bucket{node="recoverSkill",le="+Inf"} 1');
+  });
+
+  it('shares a registry across graphs and counts iteration-limit stops', async () => {
+    const registry = new MetricsRegistry();
+    const looping = new StateGraph({ spin: (state) => ({ n: (state.n || 0) + 1 }) }, { start: 'spin', spin: 'spin' }, { logger: silentLogger, metrics: registry });
+    const failing = new StateGraph({ a: () => { throw new Error('boom'); } }, { start: 'a' }, { logger: silentLogger, metrics: registry });
+
+    const result = await looping.execute({});
+    await failing.execute({});
+
+    expect(result.iterationLimitReached).toBe(true);
+    expect(registry.get('stategraph_iteration_limit_total').get()).toBe(1);
+    expect(registry.get('stategraph_runs_total').get({ status: 'failed' })).toBe(2);
+    expect(registry.get('stategraph_node_executions_total').get({ node: 'a', status: 'error' })).toBe(1);
+    expect(registry.get('stategraph_run_duration_ms').get().count).toBe(2);
+  });
+});
+
+// ─── 17. Loop guards ─────────────────────────────────────────────────────────
+
+function countingGraph(stopAt, options = {}) {
+  return new StateGraph({
+    step: (state) => ({ count: (state.count || 0) + 1 })
+  }, {
+    start: 'step',
+    step: (state) => (state.count < stopAt ? 'step' : 'end')
+  }, { logger: silentLogger, ...options });
+}
+
+describe('StateGraph — iteration limits and loop detection', () => {
+  it('stops a cycle that keeps reaching the same state', async () => {
+    const graph = new StateGraph({ plan: noop, execute: noop }, {
+      start: 'plan', plan: 'execute', execute: 'plan'
+    }, { logger: silentLogger, loopDetection: true });
+    const result = await graph.execute({ message: 'hi' });
+
+    expect(result.success).toBe(false);
+    expect(result.loopDetected.reason).toBe('repeated_state');
+    expect(result.loopDetected.cycle).toEqual(['plan', 'execute', 'plan']);
+    expect(result.trace.length).toBe(4);
+    expect(result.error).toContain('identical state seen 3 times');
+  });
+
+  it('enforces per-node maxVisits and saves a failed checkpoint', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const graph = new StateGraph({
+      execute: (state) => ({ attempt: (state.attempt || 0) + 1 }),
+      recoverSkill: noop
+    }, {
+      start: 'execute', execute: 'recoverSkill', recoverSkill: 'execute'
+    }, { logger: silentLogger, checkpointer, nodePolicies: { recoverSkill: { maxVisits: 2 } } });
+    const result = await graph.execute({ runId: 'visits' });
+
+    expect(result.loopDetected).toEqual({
+      reason: 'max_visits', node: 'recoverSkill', limit: 2, count: 3,
+      message: 'Loop detected: node recoverSkill exceeded maxVisits (2)'
+    });
+    expect(result.trace.map(t => t.node)).toEqual(['execute', 'recoverSkill', 'execute', 'recoverSkill', 'execute']);
+    const checkpoint = await checkpointer.load('visits');
+    expect(checkpoint.status).toBe('failed');
+    expect(checkpoint.nextNode).toBe('recoverSkill');
+  });
+
+  it('makes maxIterations configurable and reports when it trips', async () => {
+    const limited = await countingGraph(80).execute({});
+    expect(limited.loopDetected.reason).toBe('max_iterations');
+    expect(limited.loopDetected.limit).toBe(50);
+    expect(limited.iterationLimitReached).toBe(true);
+    expect(limited.success).toBe(false);
+
+    const raised = await countingGraph(80, { maxIterations: 100 }).execute({});
+    expect(raised.success).toBe(true);
+    expect(raised.count).toBe(80);
+    expect(raised.loopDetected).toBe(undefined);
+  });
+
+  it('resumes a run stopped by maxIterations with a fresh budget', async () => {
+    const graph = countingGraph(80, { checkpointer: new MemoryCheckpointer() });
+    const limited = await graph.execute({ runId: 'iterations' });
+    expect(limited.iterationLimitReached).toBe(true);
+
+    const resumed = await graph.resume('iterations');
+    expect(resumed.success).toBe(true);
+    expect(resumed.count).toBe(80);
+    expect(resumed.loopDetected).toBe(undefined);
+  });
+
+  it('caps recoverSkill visits in full() and automation()', () => {
+    const options = { logger: silentLogger, mcpAdapter: new MockMCPAdapter({ logger: silentLogger }) };
+    expect(StateGraphBuilder.full(options).nodePolicies.recoverSkill.maxVisits).toBe(30);
+    expect(StateGraphBuilder.automation(options).nodePolicies.recoverSkill.maxVisits).toBe(30);
+    expect(StateGraphBuilder.automation({ ...options, nodePolicies: { recoverSkill: { maxVisits: 5 } } })
+      .nodePolicies.recoverSkill.maxVisits).toBe(5);
+  });
+
+  it('fingerprints state only when loopDetection is enabled, optionally on routing keys only', async () => {
+    const graph = new StateGraph({ poll: noop }, { start: 'poll', poll: 'poll' }, {
+      logger: silentLogger, maxIterations: 10
+    });
+    const result = await graph.execute({});
+    expect(result.loopDetected.reason).toBe('max_iterations');
+    expect(result.trace.length).toBe(10);
+
+    const keyed = new StateGraph({ poll: (state) => ({ log: [...(state.log || []), Date.now()] }) }, {
+      start: 'poll', poll: (state) => (state.done ? 'end' : 'poll')
+    }, { logger: silentLogger, loopDetection: { keys: ['done'] } });
+    const keyedResult = await keyed.execute({});
+    expect(keyedResult.loopDetected.reason).toBe('repeated_state');
+    expect(keyedResult.trace.length).toBe(2);
+
+    const ignoring = new StateGraph({ poll: () => ({ polledAt: Date.now() + Math.random() }) }, { start: 'poll', poll: 'poll' }, {
+      logger: silentLogger, loopDetection: { ignoreKeys: ['polledAt'], maxRepeats: 5 }
+    });
+    expect((await ignoring.execute({})).loopDetected.count).toBe(5);
+  });
+});
+
+// ─── 18. AbortSignal propagation ─────────────────────────────────────────────
+
+/** MockMCPAdapter whose command.automate hangs until the signal fires */
+function hangingAdapter(calls) {
+  return new MockMCPAdapter({
+    logger: silentLogger,
+    mockResponses: {
+      'command.command.automate': (params, options) => {
+        calls.push({ params, signal: options.signal });
+        return new Promise(() => {});
+      }
+    }
+  });
+}
+
+describe('StateGraph — AbortSignal propagation', () => {
+  it('cancels a node blocked on an MCP call and keeps earlier work', async () => {
+    const checkpointer = new MemoryCheckpointer();
+    const calls = [];
+    const graph = new StateGraph({
+      plan: () => ({ skillResults: [{ step: 1, ok: true }] }),
+      execute: async (state) => {
+        await state.mcpAdapter.callService('command', 'command.automate', { skill: 'shell.run' });
+        return { skillResults: [...state.skillResults, { step: 2, ok: true }] };
+      }
+    }, { start: 'plan', plan: 'execute', execute: 'end' }, { logger: silentLogger, checkpointer, mcpAdapter: hangingAdapter(calls) });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+    const startedAt = Date.now();
+    const result = await graph.execute({ runId: 'abort-mid-node' }, null, controller.signal);
+
+    expect(Date.now() - startedAt < 1000).toBe(true);
+    expect(result.cancelled).toBe(true);
+    expect(result.error).toBe('Cancelled by user');
+    expect(result.skillResults).toEqual([{ step: 1, ok: true }]);
+    expect(calls[0].signal).toBe(controller.signal);
+    expect(result.trace.map(t => [t.node, !!t.cancelled])).toEqual([['plan', false], ['execute', true]]);
+
+    const checkpoint = await checkpointer.load('abort-mid-node');
+    expect(checkpoint.status).toBe('cancelled');
+    expect(checkpoint.nextNode).toBe('execute');
+  });
+
+  it('does not retry a node after the run was cancelled', async () => {
+    let attempts = 0;
+    const graph = new StateGraph({
+      flaky: async (state) => {
+        attempts++;
+        await state.mcpAdapter.callService('command', 'command.automate', {});
+      }
+    }, { start: 'flaky', flaky: 'end' }, {
+      logger: silentLogger,
+      mcpAdapter: hangingAdapter([]),
+      nodePolicies: { flaky: { maxRetries: 2, backoffMs: 10 } }
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const result = await graph.execute({}, null, controller.signal);
+
+    expect(result.cancelled).toBe(true);
+    expect(attempts).toBe(1);
+  });
+
+  it('stops a token stream through the tracing and cassette wrappers', async () => {
+    const streamed = [];
+    let streamSignal = null;
+    const adapter = new MockMCPAdapter({ logger: silentLogger });
+    adapter.callServiceStream = (serviceName, action, params, onToken, onProgress, options = {}) => {
+      streamSignal = options.signal;
+      return new Promise((resolve, reject) => {
+        const timer = setInterval(() => onToken('tok '), 5);
+        options.signal?.addEventListener('abort', () => {
+          clearInterval(timer);
+          reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+        });
+      });
+    };
+    const cassettePath = path.join(os.tmpdir(), `stategraph-stream-cancel-${process.pid}.json`);
+    const cassette = new Cassette({ path: cassettePath, mode: 'record', logger: silentLogger });
+    const tracer = new Tracer({ exporter: new InMemorySpanExporter(), logger: silentLogger });
+    const graph = new StateGraph({
+      answer: async (state) => {
+        await state.mcpAdapter.callServiceStream('phi4', 'general.answer.stream', {}, token => streamed.push(token));
+        return { answer: streamed.join('') };
+      }
+    }, { start: 'answer', answer: 'end' }, tracer.wrap(cassette.wrap({ mcpAdapter: adapter, logger: silentLogger })));
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+    const result = await graph.execute({}, null, controller.signal);
+    const tokensAtCancel = streamed.length;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    cassette.close();
+    fs.rmSync(cassettePath, { force: true });
+
+    expect(result.cancelled).toBe(true);
+    expect(streamSignal).toBe(controller.signal);
+    expect(tokensAtCancel > 0).toBe(true);
+    expect(streamed.length).toBe(tokensAtCancel);
+  });
+
+  it('binds the signal to LLM backends', async () => {
+    const seen = [];
+    class SlowBackend extends LLMBackend {
+      generateAnswer(prompt, payload, options) {
+        seen.push(options);
+        return new Promise(() => {});
+      }
+    }
+    const controller = new AbortController();
+    const backend = withAbortSignal(new SlowBackend(), controller.signal);
+    const pending = backend.generateAnswer('hi', {}, { maxTokens: 10 });
+    controller.abort();
+
+    const error = await expectReject(pending, 'Cancelled by user');
+    expect(isAbortError(error)).toBe(true);
+    expect(seen[0].maxTokens).toBe(10);
+    expect(seen[0].signal).toBe(controller.signal);
+    expect(backend instanceof SlowBackend).toBe(true);
+  });
+
+  it('stops a scheduled wait when the run is cancelled', async () => {
+    const graph = StateGraphBuilder.custom(
+      { executeCommand: require('../src/nodes/executeCommand') },
+      { start: 'executeCommand', executeCommand: 'end' },
+      { mcpAdapter: new MockMCPAdapter({ logger: silentLogger }), logger: silentLogger }
+    );
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+    const startedAt = Date.now();
+    const result = await graph.execute({
+      intent: { type: 'command_automate' },
+      skillPlan: [{ skill: 'schedule', args: { delayMs: 60000, label: 'later' } }],
+      skillCursor: 0,
+      skillResults: []
+    }, null, controller.signal);
+
+    expect(Date.now() - startedAt < 1000).toBe(true);
+    expect(result.cancelled).toBe(true);
+  });
+});
+
+// ─── 19. RunManager ──────────────────────────────────────────────────────────
+
+/** Graph whose 'work' node waits until release() is called for its message */
+function gatedGraph() {
+  const gates = new Map();
+  const release = (message) => gates.get(message)?.();
+  const graph = new StateGraph({
+    work: async (state) => {
+      state.logger.info(`working on ${state.message}`);
+      await new Promise(resolve => gates.set(state.message, resolve));
+      return { answer: `done ${state.message}`, activeBrowserSessionId: state.activeBrowserSessionId || `tab-${state.message}` };
+    }
+  }, { start: 'work', work: 'end' }, { logger: silentLogger });
+  return { graph, release };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('RunManager — concurrent runs and sessions', () => {
+  it('queues a second message for a busy session and carries session keys over', async () => {
+    const { graph, release } = gatedGraph();
+    const runs = new RunManager(graph);
+    const first = runs.start({ message: 'a' }, { sessionId: 's1' });
+    const second = runs.start({ message: 'b' }, { sessionId: 's1' });
+    const other = runs.start({ message: 'c' }, { sessionId: 's2' });
+    await tick();
+
+    expect(runs.status(first.runId).status).toBe('running');
+    expect(runs.status(first.runId).node).toBe('work');
+    expect(runs.status(second.runId).status).toBe('queued');
+    expect(runs.status(second.runId).position).toBe(1);
+    expect(runs.status(other.runId).status).toBe('running');
+    expect(runs.list({ status: 'running' }).map(r => r.sessionId)).toEqual(['s1', 's2']);
+
+    release('a');
+    expect((await first.result).answer).toBe('done a');
+    await tick();
+    expect(runs.status(second.runId).status).toBe('running');
+    release('b');
+    release('c');
+
+    expect((await second.result).activeBrowserSessionId).toBe('tab-a');
+    expect((await other.result).activeBrowserSessionId).toBe('tab-c');
+    expect(runs.sessionState('s1')).toEqual({ activeBrowserSessionId: 'tab-a' });
+    expect(runs.status(first.runId).status).toBe('completed');
+    expect(runs.status(first.runId).runLog).toEqual(['[INFO]  working on a']);
+  });
+
+  it('rejects a busy session when overflow is reject', async () => {
+    const { graph, release } = gatedGraph();
+    const runs = new RunManager(graph, { overflow: 'reject' });
+    const first = runs.start({ message: 'a', context: { sessionId: 's1' } });
+
+    let error = null;
+    try { runs.start({ message: 'b', context: { sessionId: 's1' } }); } catch (e) { error = e; }
+    expect(error.code).toBe('SESSION_BUSY');
+    expect(first.sessionId).toBe('s1');
+
+    await tick();
+    release('a');
+    await first.result;
+    expect(runs.list().length).toBe(1);
+  });
+
+  it('cancels running and queued runs', async () => {
+    const { graph } = gatedGraph();
+    const runs = new RunManager(graph);
+    const running = runs.start({ message: 'a' }, { sessionId: 's1' });
+    const queued = runs.start({ message: 'b' }, { sessionId: 's1' });
+    await tick();
+
+    expect(runs.cancelSession('s1')).toBe(2);
+    expect((await queued.result).cancelled).toBe(true);
+    expect((await running.result).cancelled).toBe(true);
+    expect(runs.status(running.runId).status).toBe('cancelled');
+    expect(runs.status(queued.runId).status).toBe('cancelled');
+    expect(runs.cancel(running.runId)).toBe(false);
+  });
+
+  it('routes events to the run and its session only', async () => {
+    const { graph, release } = gatedGraph();
+    const runs = new RunManager(graph);
+    const s1Events = [], s2Events = [], runEvents = [];
+    runs.subscribe('s1', event => s1Events.push(event));
+    const unsubscribe = runs.subscribe('s2', event => s2Events.push(event));
+
+    const run = runs.start({ message: 'a' }, { sessionId: 's1', onEvent: event => runEvents.push(event.type) });
+    await tick();
+    release('a');
+    await run.result;
+    unsubscribe();
+
+    expect(runEvents).toEqual(['node_started', 'node_completed', 'final_state']);
+    expect(s1Events.every(event => event.runId === run.runId && event.sessionId === 's1')).toBe(true);
+    expect(s1Events.length).toBe(3);
+    expect(s2Events.length).toBe(0);
+  });
+});
+
+// ─── 20. Graph definitions ───────────────────────────────────────────────────
+
+const definitionNodes = {
+  classify: (state) => ({ intent: { type: state.message.startsWith('remember') ? 'memory_store' : 'question' } }),
+  store: () => ({ stored: true }),
+  search: () => ({ searchResults: ['r'] }),
+  recall: () => ({ memories: ['m'] }),
+  reply: (state) => ({ answer: `${state.intent.type}:${(state.searchResults || []).length + (state.memories || []).length}` })
+};
+
+describe('StateGraphBuilder.fromDefinition — declarative graphs', () => {
+  it('evaluates rule conditions without eval', () => {
+    const state = { intent: { type: 'question' }, skillPlan: [1, 2], skillCursor: 1, failedStep: null };
+    expect(compileCondition("intent.type == 'question'")(state)).toBe(true);
+    expect(compileCondition("intent.type in ['memory_store', 'question'] && skillCursor < skillPlan.length")(state)).toBe(true);
+    expect(compileCondition('not failedStep and (skillPlan[1] >= 2 or missing.key)')(state)).toBe(true);
+    expect(compileCondition('intent.constructor != null')(state)).toBe(false);
+    expectThrow(() => compileCondition("intent.type = 'x'"), 'Unexpected input');
+    expectThrow(() => compileCondition('(intent.type'), 'Missing )');
+  });
+
+  it('routes with rule tables and applies policies from the document', async () => {
+    const graph = StateGraphBuilder.fromDefinition(JSON.stringify({
+      name: 'test-flow',
+      version: '2',
+      nodes: { classify: 'classify', store: 'store', search: 'search', recall: 'recall', reply: 'reply' },
+      edges: {
+        start: 'classify',
+        classify: [
+          "intent.type == 'memory_store' → store",
+          { when: "intent.type == 'question'", parallel: ['search', 'recall'], join: 'reply' },
+          'reply'
+        ],
+        store: 'end',
+        search: 'end',
+        recall: 'end',
+        reply: 'end'
+      },
+      policies: { search: { timeoutMs: 1000, fallback: 'recall' } },
+      options: { maxIterations: 7 }
+    }), { logger: silentLogger, nodes: definitionNodes });
+
+    expect(graph.definition).toEqual({ name: 'test-flow', version: '2' });
+    expect(graph.maxIterations).toBe(7);
+    expect(graph.nodePolicies.search).toEqual({ timeoutMs: 1000, fallback: 'recall' });
+    expect(graph.edges.classify.targets).toEqual(['store', 'search', 'recall', 'reply']);
+
+    const stored = await graph.execute({ message: 'remember milk' });
+    expect(stored.trace.map(t => t.node)).toEqual(['classify', 'store']);
+    const answered = await graph.execute({ message: 'what is new' });
+    expect(answered.answer).toBe('question:2');
+  });
+
+  it('rejects invalid documents with the offending rule', () => {
+    const base = { nodes: ['classify', 'reply'], edges: { start: 'classify', reply: 'end' } };
+    const build = (edges, extra = {}) => () => StateGraphBuilder.fromDefinition(
+      { ...base, ...extra, edges: { ...base.edges, ...edges } }, { logger: silentLogger, nodes: definitionNodes });
+
+    expectThrow(build({ classify: ["intent.type == 'x' → reply"] }), 'Rule table of classify needs a default rule');
+    expectThrow(build({ classify: ['reply', "intent.type == 'x' → end"] }), 'can never match');
+    expectThrow(build({ classify: ["intent.type == 'x' → nowhere", 'reply'] }), 'Invalid graph');
+    expectThrow(build({ classify: 'reply' }, { nodes: ['classify', 'reply', 'teleport'] }), 'Unknown node "teleport"');
+    expectThrow(build({ classify: 'reply' }, { policies: { reply: { retryOn: 'x' } } }), 'Unsupported policy keys for reply: retryOn');
+  });
+
+  it('ships the example flows as valid definitions', () => {
+    for (const name of ['voice-only', 'no-screen']) {
+      const graph = StateGraphBuilder.fromDefinition(path.join(__dirname, '../examples/graphs', `${name}.json`), {
+        logger: silentLogger, mcpAdapter: new MockMCPAdapter({ logger: silentLogger })
+      });
+      expect(graph.definition.name).toBe(name);
+    }
+  });
+});
+
+// ─── 21. full() enabledNodes and overrides ───────────────────────────────────
+
+// Deterministic stand-ins for the MCP-backed nodes a question run reaches
+const questionOverrides = {
+  parseIntent: () => ({ intent: { type: 'question' } }),
+  webSearch: () => ({ searchResults: ['s'] }),
+  retrieveMemory: () => ({ memories: ['m'] }),
+  answer: (state) => ({ answer: `search:${(state.searchResults || []).length} memory:${(state.memories || []).length}` }),
+  logConversation: () => ({})
+};
+
+function prunedFull(enabledNodes, overrides = {}) {
+  return StateGraphBuilder.full({
+    mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+    logger: silentLogger,
+    enabledNodes,
+    overrides: { ...overrides, nodes: { ...questionOverrides, ...(overrides.nodes || {}) } }
+  });
+}
+
+describe('StateGraphBuilder.full() — enabledNodes and overrides', () => {
+  it('drops a disabled fan-out branch and keeps the join', async () => {
+    const graph = prunedFull(['parseIntent', 'retrieveMemory', 'answer', 'logConversation']);
+    expect(graph.topology.reroutes.webSearch).toEqual(['retrieveMemory']);
+    expect(Object.keys(graph.nodes)).toEqual(['parseIntent', 'retrieveMemory', 'answer', 'logConversation']);
+
+    const result = await graph.execute({ message: 'what is new' });
+    expect(result.trace.map(t => t.node)).toEqual(['parseIntent', 'retrieveMemory', 'answer', 'logConversation']);
+    expect(result.answer).toBe('search:0 memory:1');
+  });
+
+  it('reroutes past consecutive disabled nodes to the nearest enabled one', async () => {
+    const graph = prunedFull(['parseIntent', 'answer']);
+    expect(graph.topology.reroutes.webSearch).toEqual(['answer']);
+    expect(graph.topology.reroutes.logConversation).toEqual(['end']);
+
+    const result = await graph.execute({ message: 'what is new' });
+    expect(result.trace.map(t => t.node)).toEqual(['parseIntent', 'answer']);
+    expect(result.answer).toBe('search:0 memory:0');
+  });
+
+  it('sends automation requests to answer when the executor is disabled', async () => {
+    const graph = prunedFull(['parseIntent', 'answer'], {
+      nodes: { parseIntent: () => ({ intent: { type: 'command_execute' } }) }
+    });
+    expect(graph.topology.reroutes.executeCommand).toEqual(['answer']);
+
+    const result = await graph.execute({ message: 'open the terminal' });
+    expect(result.trace.map(t => t.node)).toEqual(['parseIntent', 'answer']);
+  });
+
+  it('rejects unknown node names', () => {
+    expectThrow(() => prunedFull(['parseIntent', 'webSerch']), 'enabledNodes lists unknown nodes: webSerch');
+    expectThrow(() => prunedFull(undefined, { nodes: { nope: () => ({}) } }), 'full() has no node nope');
+    expectThrow(() => prunedFull(undefined, { edges: { nope: 'end' } }), 'full() has no node nope');
+  });
+
+  it('replaces routers and reports the effective topology', async () => {
+    const graph = prunedFull(undefined, {
+      edges: { enrichIntent: StateGraph.route(['webSearch', 'answer'], (state) => (state.message.includes('?') ? 'webSearch' : 'answer')) }
+    });
+    expect(graph.topology.disabledNodes).toEqual([]);
+    expect(graph.topology.overrides.edges).toEqual(['enrichIntent']);
+    expect(graph.topology.overrides.nodes).toEqual(Object.keys(questionOverrides));
+
+    const searched = await graph.execute({ message: 'what is new?' });
+    expect(searched.trace.map(t => t.node).slice(-4)).toEqual(['webSearch', 'retrieveMemory', 'answer', 'logConversation']);
+    expect(searched.answer).toBe('search:1 memory:1');
+  });
+});
+
+// ─── 22. Intent route registry ───────────────────────────────────────────────
+
+describe('IntentRouteRegistry — intent routing', () => {
+  it('picks routes by priority, precondition and registration order', () => {
+    const routes = new IntentRouteRegistry({ logger: silentLogger, defaultRoute: 'answer' });
+    routes.register('question', { to: 'search' });
+    routes.register('question', { to: 'recall', when: 'memories.length > 0', priority: 5 });
+    routes.register('*', { to: 'ask', when: (state) => state.needsInput === true, priority: 100 });
+
+    const at = (state) => routes.match(state).to;
+    expect(at({ intent: { type: 'question' } })).toBe('search');
+    expect(at({ intent: { type: 'question' }, memories: ['m'] })).toBe('recall');
+    expect(at({ intent: { type: 'greeting' }, needsInput: true })).toBe('ask');
+    expect(at({ intent: { type: 'calendar_query' } })).toBe('answer');
+
+    const unregister = routes.register('question', { to: 'web' });
+    expect(at({ intent: { type: 'question' } })).toBe('web');
+    unregister();
+    expect(routes.unregister('question')).toBe(2);
+    expect(at({ intent: { type: 'question' } })).toBe('answer');
+    expect(routes.targets()).toEqual(['ask', 'answer']);
+    expectThrow(() => routes.register('question', { to: 42 }), 'needs a node name');
+  });
+
+  it('routes custom intents in full() without changing the builder', async () => {
+    const calendarLookup = () => ({ events: ['standup'] });
+    const graph = StateGraphBuilder.full({
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      logger: silentLogger,
+      overrides: {
+        nodes: {
+          ...questionOverrides,
+          parseIntent: (state) => ({ intent: { type: state.message.startsWith('when') ? 'calendar_query' : 'reminder' } }),
+          synthesize: calendarLookup
+        }
+      },
+      intentRoutes: [{ intent: 'calendar_query', to: 'synthesize' }]
+    });
+    expect(graph.edges.enrichIntent.targets.includes('synthesize')).toBe(true);
+
+    const calendar = await graph.execute({ message: 'when is standup' });
+    expect(calendar.trace.map(t => t.node).slice(-2)).toEqual(['synthesize', 'logConversation']);
+    expect(calendar.events).toEqual(['standup']);
+
+    // Unknown intents take the default route until one is registered
+    const before = await graph.execute({ message: 'remind me' });
+    expect(before.trace.map(t => t.node).slice(-3)).toEqual(['retrieveMemory', 'answer', 'logConversation']);
+    graph.intentRoutes.register('reminder', { to: 'answer' });
+    const after = await graph.execute({ message: 'remind me' });
+    expect(after.trace.map(t => t.node).slice(-2)).toEqual(['answer', 'logConversation']);
+  });
+});
+
+// ─── 23. Automatic profile selection ─────────────────────────────────────────
+
+// Mock adapter whose service list the test changes between probes
+class FlakyServicesAdapter extends MockMCPAdapter {
+  constructor(services) {
+    super({ logger: silentLogger });
+    this.services = services;
+  }
+  async getAvailableServices() { return [...this.services]; }
+}
+
+const ALL_SERVICES = ['phi4', 'conversation', 'user-memory', 'web-search', 'command', 'screen-intelligence', 'coreference'];
+
+describe('StateGraphBuilder.auto() — service-availability profiles', () => {
+  it('selects profiles from the available services', () => {
+    expect(StateGraphBuilder.selectProfile({ services: ALL_SERVICES, llmAvailable: true }).profile).toBe('full');
+
+    const noSearch = StateGraphBuilder.selectProfile({ services: ALL_SERVICES.filter(s => s !== 'web-search'), llmAvailable: true });
+    expect(noSearch.profile).toBe('partial');
+    expect(noSearch.skippedNodes).toEqual(['webSearch']);
+    expect(noSearch.missingServices).toEqual(['web-search']);
+
+    const noLLM = StateGraphBuilder.selectProfile({ services: ALL_SERVICES, llmAvailable: false });
+    expect(noLLM.profile).toBe('minimal');
+    expect(noLLM.enabledNodes).toEqual(['parseIntent', 'answer']);
+  });
+
+  it('builds the richest graph and rebuilds when services come back', async () => {
+    const adapter = new FlakyServicesAdapter(ALL_SERVICES.filter(s => s !== 'web-search' && s !== 'coreference'));
+    const changes = [];
+    const graph = await StateGraphBuilder.auto({
+      mcpAdapter: adapter,
+      logger: silentLogger,
+      refreshIntervalMs: 0,
+      overrides: { nodes: questionOverrides },
+      onProfileChange: (selection, previous) => changes.push(`${previous.profile}→${selection.profile}`)
+    });
+    expect(graph.profile).toBe('partial');
+    expect(graph.skippedNodes).toEqual(['resolveReferences', 'webSearch']);
+
+    const partial = await graph.execute({ message: 'what is new' });
+    expect(partial.answer).toBe('search:0 memory:1');
+    expect(partial.graphProfile).toEqual({ profile: 'partial', skippedNodes: ['resolveReferences', 'webSearch'] });
+
+    const before = graph.graph;
+    await graph.refresh();
+    expect(graph.graph).toBe(before); // Same services — no rebuild
+
+    adapter.services = ALL_SERVICES;
+    await graph.refresh();
+    expect(graph.profile).toBe('full');
+    expect(changes).toEqual(['partial→full']);
+    const full = await graph.execute({ message: 'what is new' });
+    expect(full.answer).toBe('search:1 memory:1');
+  });
+
+  it('picks the same profile through the tracing wrapper', async () => {
+    const adapter = new FlakyServicesAdapter(ALL_SERVICES.filter(s => s !== 'coreference'));
+    adapter.isServiceAvailable = async () => true;
+    const tracer = new Tracer({ exporter: new InMemorySpanExporter(), logger: silentLogger });
+    const plain = await StateGraphBuilder.auto({ mcpAdapter: adapter, logger: silentLogger, refreshIntervalMs: 0 });
+    const traced = await StateGraphBuilder.auto(tracer.wrap({ mcpAdapter: adapter, logger: silentLogger, refreshIntervalMs: 0 }));
+    expect(plain.profile).toBe('partial');
+    expect(traced.selection).toEqual(plain.selection);
+  });
+
+  it('records and replays service discovery through a cassette', async () => {
+    const dir = tmpDir('cassette');
+    try {
+      const cassettePath = path.join(dir, 'auto.json');
+      const adapter = new FlakyServicesAdapter(ALL_SERVICES.filter(s => s !== 'web-search'));
+      adapter.isServiceAvailable = async () => { throw new Error('probed one service at a time'); };
+      const recorder = new Cassette({ path: cassettePath, mode: 'record', logger: silentLogger });
+      const recorded = await StateGraphBuilder.auto(recorder.wrap({ mcpAdapter: adapter, logger: silentLogger, refreshIntervalMs: 0 }));
+      recorder.close();
+      expect(recorded.profile).toBe('partial');
+
+      const replayed = await StateGraphBuilder.auto(new Cassette({ path: cassettePath, logger: silentLogger }).wrap({ logger: silentLogger, refreshIntervalMs: 0 }));
+      expect(replayed.selection).toEqual(recorded.selection);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('re-probes on a timer and falls back to minimal without an LLM', async () => {
+    const llmBackend = new RandomLLMBackend();
+    llmBackend.isAvailable = async () => llmBackend.up;
+    llmBackend.up = true;
+    const graph = await StateGraphBuilder.auto({
+      mcpAdapter: new FlakyServicesAdapter(ALL_SERVICES),
+      llmBackend,
+      logger: silentLogger,
+      refreshIntervalMs: 10
+    });
+    try {
+      expect(graph.profile).toBe('full');
+      llmBackend.up = false;
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(graph.profile).toBe('minimal');
+      expect(graph.selection.missingServices).toEqual(['llm']);
+    } finally {
+      graph.stop();
+    }
+  });
+
+  it('delegates resume, replay and export to the graph a run belongs to', async () => {
+    const adapter = new FlakyServicesAdapter(ALL_SERVICES);
+    const graph = await StateGraphBuilder.auto({
+      mcpAdapter: adapter,
+      logger: silentLogger,
+      refreshIntervalMs: 0,
+      verboseTrace: true,
+      overrides: {
+        nodes: {
+          parseIntent: (state) => (state.userReply ? { intent: { type: 'question' } } : interrupt({ question: 'Which city?' }))
+        }
+      }
+    });
+    expect(graph.compile()).toBe(graph);
+    expect(graph.toMermaid()).toContain('webSearch');
+    expect(graph.toDot()).toContain('"webSearch"');
+
+    const paused = await graph.execute({ message: 'weather' });
+    expect(paused.interrupted).toBe(true);
+
+    adapter.services = ALL_SERVICES.filter(s => s !== 'web-search');
+    await graph.refresh();
+    expect(graph.profile).toBe('partial');
+    expect(graph.toMermaid().includes('webSearch')).toBe(false);
+
+    // The interrupt lives in the full graph's in-memory store
+    const resumed = await graph.resume(paused.interrupt.token, 'Paris');
+    expect(resumed.success).toBe(true);
+    expect(resumed.graphProfile.profile).toBe('full');
+
+    const step = resumed.trace.findIndex(entry => entry.node === 'answer');
+    expect(graph.stateAt(resumed, step - 1).intent).toEqual({ type: 'question' });
+    const rerun = await graph.rerunFrom(resumed, step);
+    expect(rerun.graphProfile.profile).toBe('partial');
+    expect(rerun.trace.slice(step).map(entry => entry.node)).toEqual(['answer', 'logConversation']);
+  });
+});
+
+// ─── 24. Plugins ─────────────────────────────────────────────────────────────
+
+const calendarPlugin = {
+  name: 'calendar',
+  version: '1.0.0',
+  nodes: { calendarLookup: (state) => ({ events: [`standup for ${state.message}`] }) },
+  edges: { calendarLookup: 'answer' },
+  routes: [{ intent: 'calendar_query', to: 'calendarLookup' }],
+  skills: {
+    'calendar.create': {
+      description: 'Create a calendar event. Args: { title, time }',
+      handler: async (args, { state }) => {
+        if (!args.time) throw new Error('calendar.create needs a time');
+        return { stdout: `Created ${args.title}`, updates: { lastEventTitle: args.title, calendarUser: state.context?.userId } };
+      }
+    }
+  },
+  plannerPrompt: (state) => `Prefer calendar.create over browser steps for ${state.context?.userId || 'anyone'}.`
+};
+
+function commandState(plugins, skillPlan) {
+  return {
+    intent: { type: 'command_automate' },
+    mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+    logger: silentLogger,
+    context: { userId: 'u1' },
+    skillPlan,
+    skillCursor: 0,
+    skillResults: [],
+    plugins
+  };
+}
+
+describe('Plugins — nodes, routes, pseudo-skills and planner prompts', () => {
+  it('validates plugins and rejects clashing names', () => {
+    const registry = new PluginRegistry({ logger: silentLogger, plugins: [calendarPlugin] });
+    expect(registry.list()).toEqual([{ name: 'calendar', version: '1.0.0', nodes: ['calendarLookup'], routes: 1, skills: ['calendar.create'] }]);
+    expectThrow(() => registry.use({ nodes: {} }), 'needs a name');
+    expectThrow(() => registry.use({ name: 'calendar' }), 'already registered');
+    expectThrow(() => registry.use({ name: 'x', skills: { synthesize: () => ({}) } }), 'built-in pseudo-skill');
+    expectThrow(() => registry.use({ name: 'x', skills: { 'calendar.create': () => ({}) } }), 'redefines skill calendar.create of plugin calendar');
+    expectThrow(() => registry.use({ name: 'x', edges: { ghost: 'end' } }), 'does not define');
+    expectThrow(() => registry.use({ name: 'x', prompt: 'typo' }), 'unknown keys: prompt');
+  });
+
+  it('adds plugin nodes and routes to full()', async () => {
+    const graph = StateGraphBuilder.full({
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      logger: silentLogger,
+      plugins: [calendarPlugin],
+      overrides: { nodes: { ...questionOverrides, parseIntent: () => ({ intent: { type: 'calendar_query' } }) } }
+    });
+    const result = await graph.execute({ message: 'today' });
+    expect(result.trace.map(t => t.node).slice(-3)).toEqual(['calendarLookup', 'answer', 'logConversation']);
+    expect(result.events).toEqual(['standup for today']);
+
+    expectThrow(() => StateGraphBuilder.full({
+      mcpAdapter: new MockMCPAdapter({ logger: silentLogger }),
+      logger: silentLogger,
+      plugins: [{ name: 'clash', nodes: { answer: () => ({}) }, edges: { answer: 'end' } }]
+    }), 'which full() already has');
+  });
+
+  it('runs plugin skills in executeCommand and hands failures to recoverSkill', async () => {
+    const registry = new PluginRegistry({ logger: silentLogger, plugins: [calendarPlugin] });
+
+    const done = await builtInNodes.executeCommand(commandState(registry, [{ skill: 'calendar.create', args: { title: 'Standup', time: '9:00' } }]));
+    expect(done.skillCursor).toBe(1);
+    expect(done.failedStep).toBe(null);
+    expect(done.skillResults[0].stdout).toBe('Created Standup');
+    expect(done.lastEventTitle).toBe('Standup');
+    expect(done.calendarUser).toBe('u1');
+
+    const failed = await builtInNodes.executeCommand(commandState(registry, [{ skill: 'calendar.create', args: { title: 'Standup' } }]));
+    expect(failed.skillCursor).toBe(0);
+    expect(failed.failedStep.error).toBe('calendar.create needs a time');
+
+    const listed = await builtInNodes.executeCommand(commandState(registry, [{ skill: 'list_skills', args: {} }]));
+    expect(listed.skillResults[0].stdout.includes('`calendar.create`** — Create a calendar event')).toBe(true);
+  });
+
+  it('reserves built-in pseudo-skill names and keeps progress events on the step', async () => {
+    expectThrow(() => new PluginRegistry({ logger: silentLogger, plugins: [{ name: 'shadow', skills: { synthesize: () => ({}) } }] }),
+      'synthesize is a built-in pseudo-skill');
+    expect(PluginRegistry.BUILT_IN_SKILLS.includes('guide.step')).toBe(true);
+
+    const events = [];
+    const reporting = new PluginRegistry({
+      logger: silentLogger,
+      plugins: [{ name: 'reporter', skills: { 'report.run': (args, { progress }) => { progress({ type: 'report_tick', stepIndex: 9, skill: 'other', pct: 50 }); return { stdout: 'ok' }; } } }]
+    });
+    await builtInNodes.executeCommand({
+      ...commandState(reporting, [{ skill: 'report.run', args: {} }]),
+      progressCallback: (event) => events.push(event)
+    });
+    expect(events.find(event => event.type === 'report_tick')).toEqual({ type: 'report_tick', stepIndex: 0, skill: 'report.run', pct: 50, totalSteps: 1 });
+  });
+
+  it('contributes planner prompt fragments and registers with the builder', async () => {
+    const prompt = new PluginRegistry({ logger: silentLogger, plugins: [calendarPlugin] }).plannerPrompt({ context: { userId: 'u1' } });
+    expect(prompt.startsWith('## PLUGIN SKILLS')).toBe(true);
+    expect(prompt.includes('  - calendar.create — Create a calendar event. Args: { title, time }')).toBe(true);
+    expect(prompt.includes('Prefer calendar.create over browser steps for u1.')).toBe(true);
+
+    StateGraphBuilder.use(calendarPlugin);
+    try {
+      expect(StateGraphBuilder.plugins.list().map(p => p.name)).toEqual(['calendar']);
+      const graph = StateGraphBuilder.fromDefinition({
+        nodes: ['calendarLookup'],
+        edges: { start: 'calendarLookup', calendarLookup: 'end' }
+      }, { logger: silentLogger, mcpAdapter: new MockMCPAdapter({ logger: silentLogger }) });
+      const result = await graph.execute({ message: 'friday' });
+      expect(result.events).toEqual(['standup for friday']);
+    } finally {
+      StateGraphBuilder.plugins.remove('calendar');
+    }
+  });
+});
+
+// ─── 25. HttpMCPAdapter ──────────────────────────────────────────────────────
+
+// Stub MCP services on one local port: /phi4 and /memory speak JSON-RPC; /down fails
+function startStubServices() {
+  const requests = [];
+  const disconnected = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const rpc = JSON.parse(body || '{}');
+      requests.push({ path: req.url, rpc, headers: req.headers });
+      const reply = (payload, status = 200) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: rpc.id, ...payload }));
+      };
+
+      if (req.url === '/down') return reply({ error: { code: -32000, message: 'service down' } }, 503);
+      if (req.headers.authorization !== 'Bearer secret') return reply({ error: { code: 401, message: 'unauthorized' } }, 401);
+      if (rpc.method === 'health.check') return reply({ result: { status: 'ok' } });
+      if (rpc.method === 'memory.search') return reply({ result: { data: { results: [{ text: rpc.params.query }] } } });
+      if (rpc.method === 'memory.fail') return reply({ error: { code: -32602, message: 'bad query' } });
+      if (rpc.method === 'slow') return setTimeout(() => reply({ result: {} }), 500);
+
+      if (rpc.method === 'general.answer.stream' && rpc.params.format === 'ndjson') {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write('{"type":"start"}\n{"type":"token","token":"Hel"}\n');
+        await tick();
+        return res.end('{"type":"token","token":"lo"}\n{"type":"done","tokens":2}');
+      }
+      if (rpc.method === 'general.answer.stream') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"type":"start"}\n\ndata: {"type":"token","token":"Par"}\n\n');
+        await tick();
+        res.write('event: token\ndata: {"token":"is"}\n\n');
+        if (rpc.params.fail === 'open') {
+          // Error event on a stream the service keeps open
+          res.on('close', () => disconnected.push(rpc.method));
+          return res.write('data: {"type":"error","error":"model crashed"}\n\n');
+        }
+        if (rpc.params.fail) return res.end('data: {"type":"error","error":"model crashed"}\n\n');
+        return res.end('data: {"type":"done","tokens":2}\n\ndata: {"type":"token","token":"ignored"}\n\n');
+      }
+      reply({ result: { answer: 'blocking' } });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    resolve({ server, url, requests, disconnected, close: () => new Promise(done => { server.close(done); server.closeAllConnections(); }) });
+  }));
+}
+
+describe('HttpMCPAdapter — JSON-RPC over HTTP with SSE streaming', () => {
+  it('calls services as JSON-RPC with auth headers and surfaces errors', async () => {
+    const stub = await startStubServices();
+    try {
+      const adapter = new HttpMCPAdapter({
+        services: { 'user-memory': `${stub.url}/memory/`, broken: `${stub.url}/down` },
+        apiKey: 'secret',
+        headers: (service) => ({ 'X-Service': service }),
+        timeoutMs: 200,
+        logger: silentLogger
+      });
+
+      const result = await adapter.callService('user-memory', 'memory.search', { query: 'keys' });
+      expect(result).toEqual({ data: { results: [{ text: 'keys' }] } });
+      expect(stub.requests[0].path).toBe('/memory');
+      expect(stub.requests[0].rpc.jsonrpc).toBe('2.0');
+      expect(stub.requests[0].rpc.method).toBe('memory.search');
+      expect(stub.requests[0].headers['x-service']).toBe('user-memory');
+
+      await expectReject(adapter.callService('user-memory', 'memory.fail', {}), 'user-memory.memory.fail failed: bad query');
+      await expectReject(adapter.callService('broken', 'anything', {}), 'HTTP 503: service down');
+      await expectReject(adapter.callService('user-memory', 'slow', {}, { timeoutMs: 50 }), 'timed out after 50ms');
+      await expectReject(adapter.callService('vision', 'x', {}), 'No URL configured for service vision');
+
+      const controller = new AbortController();
+      const pending = adapter.callService('user-memory', 'slow', {}, { signal: controller.signal });
+      controller.abort();
+      expect(isAbortError(await expectReject(pending))).toBe(true);
+
+      expect(await adapter.getAvailableServices()).toEqual(['user-memory']);
+      expect(await new HttpMCPAdapter({ services: { phi4: stub.url }, logger: silentLogger }).isServiceAvailable('phi4')).toBe(false);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('streams tokens from SSE and NDJSON responses', async () => {
+    const stub = await startStubServices();
+    try {
+      const adapter = new HttpMCPAdapter({ baseUrl: stub.url, apiKey: 'secret', logger: silentLogger });
+      const tokens = [];
+      const progress = [];
+      const sse = await adapter.callServiceStream('phi4', 'general.answer.stream', {}, t => tokens.push(t), e => progress.push(e.type));
+      expect(tokens).toEqual(['Par', 'is']);
+      expect(progress).toEqual(['start', 'done']);
+      expect(sse).toEqual({ tokens: 2, answer: 'Paris' });
+      expect(stub.requests[0].path).toBe('/phi4');
+
+      const ndjson = await adapter.callServiceStream('phi4', 'general.answer.stream', { format: 'ndjson' }, () => {});
+      expect(ndjson).toEqual({ tokens: 2, answer: 'Hello' });
+
+      const blocking = await adapter.callServiceStream('phi4', 'general.answer', {}, t => tokens.push(t));
+      expect(blocking.answer).toBe('blocking');
+
+      await expectReject(adapter.callServiceStream('phi4', 'general.answer.stream', { fail: true }, () => {}), 'stream failed: model crashed');
+
+      await expectReject(adapter.callServiceStream('phi4', 'general.answer.stream', { fail: 'open' }, () => {}), 'stream failed: model crashed');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(stub.disconnected).toEqual(['general.answer.stream']);
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+_runQueue().then(() => {
+  console.log('\n' + '='.repeat(70));
+  console.log('  TEST SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`  Total:   ${_passed + _failed}`);
+  console.log(`  Passed:  ${_passed} ✅`);
+  console.log(`  Failed:  ${_failed} ❌`);
+
+  if (_failures.length > 0) {
+    console.log('\n  FAILURES:');
+    _failures.forEach(f => console.log(`    ❌ ${f.label}\n       ${f.error}`));
+  }
+
+  console.log('='.repeat(70));
+  process.exit(_failed > 0 ? 1 : 0);
+});